@@ -0,0 +1,304 @@
+/**
+ * AI Search client
+ *
+ * Shared by index-production.html, the WordPress widget and Node scripts so
+ * none of them has to guess the response shape. Talks to /v2/search (or the
+ * WordPress proxy's /wp-json/ais/v2/search) and always resolves to the v2
+ * envelope:
+ *
+ *   { apiVersion, requestId, mode, query, didYouMean, results, total, page,
+ *     limit, offset, hasMore, nextCursor, facets, warnings, timing, diagnostics? }
+ *
+ * Failed requests reject with an AISError carrying status, code and requestId.
+ *
+ * stream() asks /v2/search/stream for the same answer as Server-Sent Events:
+ * catalog matches first, AI recommendations as the model writes them, then the
+ * final envelope.
+ *
+ * feedback() reports what the visitor did with a result (click, thumbs up or
+ * down, not relevant) against the search's requestId, so the server can learn
+ * which recommendations help.
+ *
+ * Browser:  <script src="ais-client.js"></script>  →  window.AISClient
+ * Node 18+: const AISClient = require("./ais-client");
+ *
+ *   const client = AISClient.createClient({ baseUrl: 'https://search.example.edu:8443', apiKey: '...' });
+ *   const page = await client.search('water law', { limit: 7, filters: { type: ['guide'] } });
+ *   const next = page.hasMore ? await client.search('water law', { cursor: page.nextCursor }) : null;
+ *   client.feedback(page.requestId, 'click', page.results[0]).catch(() => {});
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.AISClient = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const API_VERSION = 2;
+  const FILTERS = ['type', 'subject', 'jurisdiction', 'access'];
+
+  class AISError extends Error {
+    constructor(message, { status = 0, code = 'error', requestId = null, retryAfter, details } = {}) {
+      super(message);
+      this.name = 'AISError';
+      this.status = status;
+      this.code = code;
+      this.requestId = requestId;
+      if (retryAfter !== undefined) this.retryAfter = retryAfter;
+      if (details !== undefined) this.details = details;
+    }
+  }
+
+  /**
+   * Bring any /search answer into the v2 shape. v2 envelopes pass through;
+   * v1 shapes (bare array or { results, ... }) from an older server or
+   * proxy are converted so callers only handle one shape.
+   */
+  function toEnvelope(json, { query = '', requestId = null, totalCount = null, didYouMean = null } = {}) {
+    if (json && json.apiVersion === API_VERSION) return json;
+    const obj = Array.isArray(json) ? { results: json, didYouMean } : (json || {});
+    const results = Array.isArray(obj.results) ? obj.results : [];
+    const total = typeof obj.total === 'number' ? obj.total : (totalCount !== null ? totalCount : results.length);
+    const offset = obj.offset || 0;
+    const limit = obj.limit || results.length;
+    const warnings = [];
+    if (obj.didYouMean) warnings.push({ code: 'spelling_corrected', message: `Showing results for "${obj.didYouMean}"` });
+    if (obj.fallback && obj.aiSkipped) warnings.push({ code: 'ai_skipped', message: obj.message || 'AI search took too long; showing catalog matches' });
+    else if (obj.fallback) warnings.push({ code: 'ai_unavailable', message: obj.message || 'AI search is unavailable; showing catalog matches' });
+    return {
+      apiVersion: API_VERSION,
+      requestId,
+      mode: obj.fallback ? 'fallback' : results.some(r => r.isLegalHelp) ? 'legal-help' : 'ai',
+      query,
+      didYouMean: obj.didYouMean || null,
+      results,
+      total,
+      page: obj.page || 1,
+      limit,
+      offset,
+      hasMore: typeof obj.hasMore === 'boolean' ? obj.hasMore : offset + results.length < total,
+      nextCursor: obj.nextCursor || null,
+      facets: obj.facets || null,
+      warnings,
+      timing: { totalMs: null, stages: {} },
+      ...(obj.diagnostics ? { diagnostics: obj.diagnostics } : {}),
+    };
+  }
+
+  /**
+   * @param {object} opts
+   * @param {string} opts.baseUrl - server origin, or the WordPress proxy base (…/wp-json/ais/v2)
+   * @param {string} [opts.searchPath='/v2/search'] - '/search' behind the WordPress proxy
+   * @param {string} [opts.streamPath] - event-stream route, default `${searchPath}/stream`
+   * @param {string} [opts.feedbackPath] - feedback route, default searchPath with "feedback" for "search"
+   * @param {string} [opts.apiKey] - sent as a Bearer token; leave out behind the proxy
+   * @param {'GET'|'POST'} [opts.method='GET'] - POST keeps queries out of URLs and logs
+   * @param {number} [opts.timeoutMs=60000] - AI queries can take a while
+   * @param {Function} [opts.fetch] - defaults to the global fetch
+   */
+  function createClient({ baseUrl, searchPath = '/v2/search', streamPath, feedbackPath, apiKey, method = 'GET', timeoutMs = 60000, fetch: fetchImpl } = {}) {
+    const doFetch = fetchImpl || (typeof fetch === 'function' ? (...args) => fetch(...args) : null);
+    if (!doFetch) throw new Error('AISClient needs fetch (Node 18+ or a browser)');
+    const base = String(baseUrl || '').replace(/\/+$/, '');
+    streamPath = streamPath || `${searchPath}/stream`;
+    feedbackPath = feedbackPath || searchPath.replace(/search$/, 'feedback');
+
+    function buildRequest(path, query, opts) {
+      const headers = { Accept: 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      if (opts.requestId) headers['X-Request-Id'] = opts.requestId;
+      const filters = opts.filters || {};
+      const paging = {};
+      ['limit', 'offset', 'cursor', 'minScore'].forEach((k) => {
+        if (opts[k] !== undefined && opts[k] !== null && opts[k] !== '') paging[k] = opts[k];
+      });
+
+      let url = base + path;
+      const init = { method, headers };
+      if (method === 'POST') {
+        headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify({
+          query,
+          filters,
+          ...paging,
+          options: { facets: !!opts.facets, ...(opts.debug ? { debug: opts.debug } : {}) },
+        });
+      } else {
+        const params = new URLSearchParams({ query });
+        Object.entries(paging).forEach(([k, v]) => params.set(k, String(v)));
+        FILTERS.forEach((f) => {
+          const values = [].concat(filters[f] || []);
+          if (values.length) params.set(f, values.join(','));
+        });
+        if (opts.facets) params.set('facets', '1');
+        if (opts.debug) params.set('debug', String(opts.debug));
+        url += (url.includes('?') ? '&' : '?') + params.toString();
+      }
+      return { url, init };
+    }
+
+    // fetch() whose timeout (and the caller's signal) also covers reading the body; call done() when finished
+    async function open(url, init, timeout, signal) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+      const done = () => clearTimeout(timer);
+      try {
+        return { res: await doFetch(url, { ...init, signal: controller.signal }), done };
+      } catch (e) {
+        done();
+        throw transportError(e);
+      }
+    }
+
+    function transportError(e) {
+      if (e instanceof AISError) return e;
+      const timedOut = e && e.name === 'AbortError';
+      return new AISError(timedOut ? 'Search timed out' : `Cannot reach the search server: ${e.message || e}`, { code: timedOut ? 'timeout' : 'network' });
+    }
+
+    function responseError(res, json) {
+      const err = json && json.error;
+      // WordPress REST errors (WP_Error) are { code, message, data }
+      const message = (err && typeof err === 'object' ? err.message : err) || (json && json.message) || `HTTP ${res.status}`;
+      return new AISError(message, {
+        status: res.status,
+        code: (err && err.code) || (res.status === 429 ? 'rate_limited' : 'http_error'),
+        requestId: res.headers.get('X-Request-Id') || (json && json.requestId) || null,
+        retryAfter: (err && err.retryAfter) || (json && json.retryAfter) || Number(res.headers.get('Retry-After')) || undefined,
+        details: err && (err.detail || err.details),
+      });
+    }
+
+    async function readJson(res) {
+      try { return await res.json(); } catch (e) { return null; /* non-JSON body (proxy error page) */ }
+    }
+
+    /**
+     * @param {string} query
+     * @param {object} [opts]
+     * @param {object} [opts.filters] - { type, subject, jurisdiction, access }: a value or a list each
+     * @param {number} [opts.limit]
+     * @param {number} [opts.offset]
+     * @param {string} [opts.cursor] - nextCursor of the previous page
+     * @param {number} [opts.minScore]
+     * @param {boolean} [opts.facets] - ask for facet counts
+     * @param {number} [opts.debug] - 1 or 2 for diagnostics
+     * @param {string} [opts.requestId] - sent as X-Request-Id
+     * @param {AbortSignal} [opts.signal]
+     * @returns {Promise<object>} v2 envelope
+     */
+    async function search(query, opts = {}) {
+      const { url, init } = buildRequest(searchPath, query, opts);
+      const { res, done } = await open(url, init, opts.timeoutMs || timeoutMs, opts.signal);
+      let json;
+      try {
+        json = await readJson(res);
+      } catch (e) {
+        throw transportError(e);
+      } finally {
+        done();
+      }
+      if (!res.ok || (json && json.error)) throw responseError(res, json);
+      const totalCount = res.headers.get('X-Total-Count');
+      const didYouMean = res.headers.get('X-Did-You-Mean');
+      return toEnvelope(json, {
+        query,
+        requestId: res.headers.get('X-Request-Id'),
+        totalCount: totalCount === null ? null : Number(totalCount),
+        didYouMean: didYouMean ? decodeURIComponent(didYouMean) : null,
+      });
+    }
+
+    /**
+     * Same request as search(), answered progressively over Server-Sent Events:
+     * onLocal(results) gets the catalog matches right away, onResult(result)
+     * each AI recommendation as the model produces it. Resolves with the final
+     * envelope, which replaces everything shown so far. Without a stream route
+     * (404, e.g. an older proxy) it quietly does a plain search().
+     *
+     * @param {string} query
+     * @param {object} [opts] - as for search()
+     * @param {object} [handlers]
+     * @param {(results: object[]) => void} [handlers.onLocal]
+     * @param {(result: object) => void} [handlers.onResult]
+     * @returns {Promise<object>} v2 envelope
+     */
+    async function stream(query, opts = {}, { onLocal = () => {}, onResult = () => {} } = {}) {
+      const { url, init } = buildRequest(streamPath, query, opts);
+      init.headers.Accept = 'text/event-stream';
+      const { res, done } = await open(url, init, opts.timeoutMs || timeoutMs, opts.signal);
+      try {
+        const contentType = res.headers.get('Content-Type') || '';
+        if (res.status === 404) return search(query, opts);
+        if (!res.ok || !contentType.includes('text/event-stream')) throw responseError(res, await readJson(res));
+
+        let final = null;
+        const dispatch = (block) => {
+          let event = 'message';
+          let data = '';
+          block.split(/\r?\n/).forEach((line) => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          if (!data) return; // keep-alive comment
+          const payload = JSON.parse(data);
+          if (event === 'local') onLocal(payload.results || []);
+          else if (event === 'ai') onResult(payload.result);
+          else if (event === 'final') final = payload;
+          else if (event === 'error') {
+            throw new AISError(payload.error.message, { status: 200, code: payload.error.code, requestId: payload.requestId, details: payload.error.detail });
+          }
+        };
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done: ended } = await reader.read();
+          buffer += ended ? decoder.decode() : decoder.decode(value, { stream: true });
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = ended ? '' : blocks.pop();
+          blocks.filter(b => b.trim()).forEach(dispatch);
+          if (ended || final) break;
+        }
+        if (!final) throw new AISError('The search stream ended before the final results', { code: 'network', requestId: res.headers.get('X-Request-Id') });
+        return final;
+      } catch (e) {
+        throw transportError(e);
+      } finally {
+        done();
+      }
+    }
+
+    /**
+     * Report what the visitor did with one result of a search. The request is
+     * sent with keepalive, so a click report still goes out when the link
+     * navigates away.
+     *
+     * @param {string} requestId - requestId of the envelope the result came from
+     * @param {'click'|'up'|'down'|'not_relevant'} type
+     * @param {{ name?: string, url?: string }} result - the result (its name, else its url, identifies it)
+     * @returns {Promise<{ recorded: boolean, duplicate?: boolean, position: number }>}
+     */
+    async function feedback(requestId, type, result = {}) {
+      const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const body = JSON.stringify({ requestId, type, name: result.name, url: result.url });
+      const { res, done } = await open(base + feedbackPath, { method: 'POST', headers, body, keepalive: true }, 10000);
+      let json;
+      try {
+        json = await readJson(res);
+      } catch (e) {
+        throw transportError(e);
+      } finally {
+        done();
+      }
+      if (!res.ok || (json && json.error)) throw responseError(res, json);
+      return json;
+    }
+
+    return { search, stream, feedback };
+  }
+
+  return { createClient, toEnvelope, AISError, API_VERSION };
+});
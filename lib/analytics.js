@@ -0,0 +1,331 @@
+/**
+ * Search Analytics
+ *
+ * Owns search.log (JSON lines): writes entries, rotates the file and drops
+ * old ones, and aggregates them into reports for GET /admin/analytics.
+ *
+ * Privacy:
+ *   - Visitors are identified by visitorId(ip): an HMAC-SHA256 of the address
+ *     under a key that changes every UTC day. Ids cannot be traced back to an
+ *     address without the secret (unlike the old md5 prefix, which a brute
+ *     force over the IPv4 space reverses in seconds), and the same visitor
+ *     gets unrelated ids on different days.
+ *   - pseudonym(value) is the non-rotating variant for state that has to
+ *     outlive a day (rate-limit buckets, the catalog audit log).
+ *   - The secret is ANALYTICS_SECRET, else a random one kept in
+ *     cache/analytics.secret. Deleting that file unlinks all earlier ids.
+ *   - Queries are kept (truncated) because they are what librarians need;
+ *     they go away with their file after `retentionDays`.
+ *
+ * Rotation: the current file becomes search.log.YYYY-MM-DD at the first write
+ * of a new UTC day, or search.log.YYYY-MM-DD.N when it grows past `maxBytes`.
+ * Rotated files older than `retentionDays` are deleted (checked on rotation,
+ * at start and daily).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const readline = require("node:readline");
+const { normalize } = require("./query-analysis");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// ANALYTICS_SECRET, else a random secret generated once and kept next to the other runtime state
+function loadSecret({ secret, secretFile }) {
+  if (secret) return secret;
+  try {
+    return fs.readFileSync(secretFile, "utf8").trim();
+  } catch {
+    const generated = crypto.randomBytes(32).toString("hex");
+    try {
+      fs.mkdirSync(path.dirname(secretFile), { recursive: true });
+      fs.writeFileSync(secretFile, generated + "\n", { mode: 0o600 });
+    } catch (e) {
+      console.error(`❌ Cannot save analytics secret to ${secretFile}: ${e.message} (visitor ids change on restart)`);
+    }
+    return generated;
+  }
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+// Entries for completed searches carry `mode`; older lines are recognized by shape
+function isSearch(entry) {
+  if (entry.mode) return true;
+  if (String(entry.query || "").startsWith("/")) return false;
+  return !entry.error || /fallback/i.test(entry.error);
+}
+
+function isFallback(entry) {
+  return entry.mode === "fallback" || (!entry.mode && /fallback/i.test(entry.error || ""));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.logFile
+ * @param {string} [opts.secret] - ANALYTICS_SECRET
+ * @param {string} [opts.secretFile] - where a generated secret is kept
+ * @param {number} [opts.maxBytes=10485760] - rotate the current file beyond this size
+ * @param {number} [opts.retentionDays=90] - delete rotated files older than this (0 = keep)
+ * @param {() => number} [opts.now=Date.now]
+ */
+function createAnalytics({ logFile, secret, secretFile, maxBytes = 10 * 1024 * 1024, retentionDays = 90, now = Date.now }) {
+  const key = loadSecret({ secret, secretFile: secretFile || path.join(path.dirname(logFile), "cache", "analytics.secret") });
+  const dir = path.dirname(logFile);
+  const base = path.basename(logFile);
+  let dayKey = { day: null, key: null };
+  let size = 0;
+  let fileDay = utcDay(now());
+  const counts = { written: 0, rotations: 0, deleted: 0 };
+
+  try {
+    const stat = fs.statSync(logFile);
+    size = stat.size;
+    fileDay = utcDay(stat.mtimeMs);
+  } catch {}
+
+  function hmac(secretKey, value) {
+    return crypto.createHmac("sha256", secretKey).update(String(value)).digest("hex");
+  }
+
+  /** Daily-rotating visitor id for an IP address. */
+  function visitorId(ip) {
+    const day = utcDay(now());
+    if (dayKey.day !== day) dayKey = { day, key: hmac(key, `visitor|${day}`) };
+    return hmac(dayKey.key, ip || "unknown").substring(0, 16);
+  }
+
+  /** Stable keyed pseudonym (does not rotate). */
+  function pseudonym(value) {
+    return hmac(key, `pseudonym|${value}`).substring(0, 16);
+  }
+
+  function rotatedFiles() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter(n => n.startsWith(`${base}.`) && /^\d{4}-\d{2}-\d{2}(\.\d+)?$/.test(n.slice(base.length + 1)));
+    } catch {}
+    return names.sort().map(n => path.join(dir, n));
+  }
+
+  function rotate() {
+    let target = `${logFile}.${fileDay}`;
+    for (let n = 1; fs.existsSync(target); n++) target = `${logFile}.${fileDay}.${n}`;
+    try {
+      fs.renameSync(logFile, target);
+      counts.rotations += 1;
+      console.log(`🗂️  Rotated ${base} → ${path.basename(target)}`);
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error(`❌ Failed to rotate ${logFile}: ${e.message}`);
+    }
+    size = 0;
+    enforceRetention();
+  }
+
+  /** Delete rotated files older than retentionDays; returns how many went. */
+  function enforceRetention() {
+    if (!retentionDays) return 0;
+    const cutoff = now() - retentionDays * DAY_MS;
+    let deleted = 0;
+    for (const file of rotatedFiles()) {
+      try {
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.unlinkSync(file);
+          deleted += 1;
+        }
+      } catch (e) {
+        console.error(`❌ Failed to apply log retention to ${file}: ${e.message}`);
+      }
+    }
+    if (deleted) console.log(`🧹 Deleted ${deleted} search log file${deleted === 1 ? "" : "s"} older than ${retentionDays} days`);
+    counts.deleted += deleted;
+    return deleted;
+  }
+
+  /** Append one entry (async, never throws). */
+  function append(entry) {
+    const day = utcDay(now());
+    if (size > 0 && (day !== fileDay || size >= maxBytes)) rotate();
+    fileDay = day;
+    const line = JSON.stringify(entry) + "\n";
+    size += Buffer.byteLength(line);
+    counts.written += 1;
+    fs.appendFile(logFile, line, (err) => {
+      if (err) console.error('Failed to write to log:', err.message);
+    });
+  }
+
+  /** Last `lines` entries of the current file. */
+  function tail(lines = 50) {
+    if (!fs.existsSync(logFile)) return [];
+    const content = fs.readFileSync(logFile, "utf8").trim();
+    if (!content) return [];
+    return content.split("\n").slice(-lines).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return { raw: line };
+      }
+    });
+  }
+
+  async function eachEntry(files, from, fn) {
+    for (const file of files) {
+      let stat;
+      try {
+        stat = fs.statSync(file);
+      } catch {
+        continue;
+      }
+      if (stat.mtimeMs < from) continue; // nothing in it is recent enough
+      const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const at = Date.parse(entry.timestamp);
+        if (!(at >= from)) continue;
+        fn(entry, at);
+      }
+    }
+  }
+
+  /**
+   * Aggregate report over the last `days` days.
+   * @param {object} [opts]
+   * @param {number} [opts.days=30]
+   * @param {number} [opts.top=20] - length of the query lists
+   * @param {string} [opts.client] - only this API client's requests
+   */
+  async function report({ days = 30, top = 20, client } = {}) {
+    const to = now();
+    const from = to - days * DAY_MS;
+    const files = [...rotatedFiles(), logFile];
+    const totals = { searches: 0, zeroResults: 0, fallbacks: 0, aiSkipped: 0, legalAdvice: 0, cacheHits: 0, spellingCorrected: 0 };
+    const errors = { rateLimited: 0, unauthorized: 0, failed: 0 };
+    const modes = {};
+    const clients = {};
+    const visitors = new Set();
+    const byDay = new Map();
+    const queries = new Map();
+    const durations = [];
+
+    await eachEntry(files, from, (entry) => {
+      if (client && entry.client !== client) return;
+      const clientId = entry.client || "unattributed";
+      clients[clientId] = (clients[clientId] || 0) + 1;
+
+      if (!isSearch(entry)) {
+        const error = String(entry.error || "");
+        if (/rate limited/i.test(error)) errors.rateLimited += 1;
+        else if (/api key/i.test(error)) errors.unauthorized += 1;
+        else errors.failed += 1;
+        return;
+      }
+
+      const day = String(entry.timestamp).slice(0, 10);
+      const results = Number(entry.results) || 0;
+      const fallback = isFallback(entry);
+      const zero = results === 0;
+      const legal = entry.mode === "legal-help";
+      const mode = entry.mode || (fallback ? "fallback" : "ai");
+
+      totals.searches += 1;
+      if (zero) totals.zeroResults += 1;
+      if (fallback) totals.fallbacks += 1;
+      if (entry.aiSkipped) totals.aiSkipped += 1;
+      if (legal) totals.legalAdvice += 1;
+      if (entry.cache === "hit") totals.cacheHits += 1;
+      if (entry.didYouMean) totals.spellingCorrected += 1;
+      modes[mode] = (modes[mode] || 0) + 1;
+      const visitor = entry.visitor || entry.hashedIP;
+      if (visitor) visitors.add(`${day}|${visitor}`);
+      if (Number.isFinite(entry.durationMs)) durations.push(entry.durationMs);
+
+      const d = byDay.get(day) || { date: day, searches: 0, zeroResults: 0, fallbacks: 0, legalAdvice: 0 };
+      d.searches += 1;
+      if (zero) d.zeroResults += 1;
+      if (fallback) d.fallbacks += 1;
+      if (legal) d.legalAdvice += 1;
+      byDay.set(day, d);
+
+      if (legal) return; // legal-advice questions are not catalog gaps
+      const q = normalize(entry.query).trim();
+      if (!q) return;
+      const agg = queries.get(q) || { query: q, count: 0, results: 0, zeroResults: 0, fallbacks: 0, lastSeen: null };
+      agg.count += 1;
+      agg.results += results;
+      if (zero) agg.zeroResults += 1;
+      if (fallback) agg.fallbacks += 1;
+      agg.lastSeen = entry.timestamp;
+      queries.set(q, agg);
+    });
+
+    durations.sort((a, b) => a - b);
+    const list = [...queries.values()];
+    const shape = ({ query, count, results, zeroResults, fallbacks, lastSeen }) => ({
+      query, count, avgResults: Math.round((results / count) * 10) / 10, zeroResults, fallbacks, lastSeen,
+    });
+    const ranked = (filter, key) => list.filter(filter).sort((a, b) => b[key] - a[key] || b.count - a.count).slice(0, top).map(shape);
+
+    return {
+      period: { from: new Date(from).toISOString(), to: new Date(to).toISOString(), days },
+      client: client || null,
+      searches: totals.searches,
+      visitorDays: visitors.size,
+      clients,
+      modes,
+      rates: {
+        zeroResult: ratio(totals.zeroResults, totals.searches),
+        fallback: ratio(totals.fallbacks, totals.searches),
+        aiSkipped: ratio(totals.aiSkipped, totals.searches),
+        legalAdvice: ratio(totals.legalAdvice, totals.searches),
+        cacheHit: ratio(totals.cacheHits, totals.searches),
+        spellingCorrected: ratio(totals.spellingCorrected, totals.searches),
+      },
+      latencyMs: {
+        samples: durations.length,
+        p50: percentile(durations, 50),
+        p90: percentile(durations, 90),
+        p95: percentile(durations, 95),
+        p99: percentile(durations, 99),
+        max: durations.length ? durations[durations.length - 1] : null,
+      },
+      errors,
+      topQueries: ranked(() => true, "count"),
+      // Topics the catalogs do not cover: candidates for new guides
+      zeroResultQueries: ranked(q => q.zeroResults > 0, "zeroResults"),
+      fallbackQueries: ranked(q => q.fallbacks > 0, "fallbacks"),
+      byDay: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    };
+  }
+
+  function status() {
+    const rotated = rotatedFiles();
+    return { logFile, currentBytes: size, maxBytes, retentionDays, rotatedFiles: rotated.length, oldest: rotated.length ? path.basename(rotated[0]) : null, ...counts };
+  }
+
+  enforceRetention();
+  setInterval(enforceRetention, DAY_MS).unref();
+
+  return { visitorId, pseudonym, append, tail, report, enforceRetention, status };
+}
+
+module.exports = { createAnalytics, percentile };
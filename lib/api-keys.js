@@ -0,0 +1,329 @@
+/**
+ * API Key Registry
+ *
+ * Named clients (the WordPress site, the GitHub Pages demo, internal tools),
+ * each with scopes and one or more keys. Only SHA-256 hashes of the keys are
+ * kept, in a JSON file (API_KEYS_FILE, default ./api-keys.json):
+ *
+ *   { "clients": [{
+ *       "id": "wordpress", "name": "Law library WordPress site",
+ *       "scopes": ["search"], "rateLimit": 600,
+ *       "keys": [{ "id": "9c1e04ab", "hash": "<sha256 hex>", "createdAt": "...", "expiresAt": null }]
+ *   }] }
+ *
+ * Scopes: search (the search routes), admin (/admin/*, /models, /test-ai),
+ * logs (/logs). `rateLimit` is the client's requests per rate-limit window,
+ * all of its keys together (lib/rate-limit.js); without it RATE_LIMIT_PER_KEY
+ * applies.
+ *
+ * Rotation adds a key and lets the client's older keys expire after an
+ * overlap window, so a site can switch over without downtime. The server
+ * re-reads the file when it changes, so scripts/api-keys.js can add, rotate
+ * and revoke keys while it runs.
+ *
+ * LOCAL_API_KEY and ADMIN_API_KEY from .env keep working as the clients
+ * "local" (search scope only: it is the key the public pages send) and
+ * "admin" (every scope).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const SCOPES = ["search", "admin", "logs"];
+const CLIENT_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Short, non-secret key fingerprint for logs and listings
+function keyIdOf(key) {
+  return hashKey(key).substring(0, 8);
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* ------------------------------- Key file -------------------------------- */
+
+function readKeyFile(filePath) {
+  if (!fs.existsSync(filePath)) return { clients: [] };
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const problems = validateKeyFile(data);
+  if (problems.length) throw new Error(`${filePath}: ${problems.join("; ")}`);
+  return data;
+}
+
+// Atomic write, readable by the owner only
+function writeKeyFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+function validateKeyFile(data) {
+  const problems = [];
+  if (!data || !Array.isArray(data.clients)) return ['expected { "clients": [...] }'];
+  const ids = new Set();
+  data.clients.forEach((client, i) => {
+    const where = `clients[${i}]`;
+    if (!client || !CLIENT_ID.test(client.id || "")) problems.push(`${where}: id must be lowercase letters, digits, "-" or "_"`);
+    else if (ids.has(client.id)) problems.push(`${where}: duplicate id "${client.id}"`);
+    else ids.add(client.id);
+    const scopes = client && client.scopes;
+    if (!Array.isArray(scopes) || !scopes.length) problems.push(`${where}: scopes must be a non-empty list`);
+    else scopes.filter(s => !SCOPES.includes(s)).forEach(s => problems.push(`${where}: unknown scope "${s}"`));
+    if (client && client.rateLimit !== undefined && !(Number.isFinite(client.rateLimit) && client.rateLimit >= 0)) {
+      problems.push(`${where}: rateLimit must be a number >= 0`);
+    }
+    ((client && client.keys) || []).forEach((key, k) => {
+      if (!key || !/^[0-9a-f]{64}$/.test(key.hash || "")) problems.push(`${where}.keys[${k}]: hash must be a sha256 hex digest`);
+      if (key && key.expiresAt && Number.isNaN(Date.parse(key.expiresAt))) problems.push(`${where}.keys[${k}]: bad expiresAt`);
+    });
+  });
+  return problems;
+}
+
+/* ---------------------- Key file edits (scripts/api-keys.js) -------------- */
+
+function newKeyEntry(now, expiresAt = null) {
+  const key = generateKey();
+  const entry = { id: keyIdOf(key), hash: hashKey(key), createdAt: new Date(now).toISOString(), expiresAt };
+  return { key, entry };
+}
+
+function findClient(data, clientId) {
+  const client = data.clients.find(c => c.id === clientId);
+  if (!client) throw httpError(404, `Unknown client "${clientId}"`);
+  return client;
+}
+
+/**
+ * @param {object} data - key file contents (changed in place)
+ * @param {object} opts
+ * @param {string} opts.id
+ * @param {string} [opts.name]
+ * @param {string[]} opts.scopes
+ * @param {number} [opts.rateLimit]
+ * @param {string|null} [opts.expiresAt] - ISO date the first key stops working
+ * @returns {{ client: object, key: string }} the plain key, shown once
+ */
+function addClient(data, { id, name, scopes, rateLimit, expiresAt = null }, now = Date.now()) {
+  if (data.clients.some(c => c.id === id)) throw httpError(409, `Client "${id}" already exists`);
+  const { key, entry } = newKeyEntry(now, expiresAt);
+  const client = { id, name: name || id, scopes, ...(rateLimit !== undefined ? { rateLimit } : {}), keys: [entry] };
+  const problems = validateKeyFile({ clients: [client] });
+  if (problems.length) throw httpError(400, problems.join("; "));
+  data.clients.push(client);
+  return { client, key };
+}
+
+/**
+ * New key for a client; its current keys keep working for `overlapMs` more
+ * (or until their own earlier expiry).
+ * @returns {{ client: object, key: string, retiring: { id: string, expiresAt: string }[] }}
+ */
+function rotateKey(data, clientId, { overlapMs = 7 * 24 * 60 * 60 * 1000, expiresAt = null } = {}, now = Date.now()) {
+  const client = findClient(data, clientId);
+  const cutoff = new Date(now + overlapMs).toISOString();
+  const retiring = [];
+  for (const entry of client.keys) {
+    if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) continue;
+    if (!entry.expiresAt || entry.expiresAt > cutoff) entry.expiresAt = cutoff;
+    retiring.push({ id: entry.id, expiresAt: entry.expiresAt });
+  }
+  const { key, entry } = newKeyEntry(now, expiresAt);
+  client.keys.push(entry);
+  return { client, key, retiring };
+}
+
+// Remove one key at once (by key id), e.g. after a leak
+function revokeKey(data, keyId) {
+  for (const client of data.clients) {
+    const index = client.keys.findIndex(k => k.id === keyId);
+    if (index !== -1) {
+      client.keys.splice(index, 1);
+      return { client, keyId };
+    }
+  }
+  throw httpError(404, `Unknown key "${keyId}"`);
+}
+
+function removeClient(data, clientId) {
+  const client = findClient(data, clientId);
+  data.clients = data.clients.filter(c => c !== client);
+  return { client };
+}
+
+// Expired keys are only clutter; drop them (rotate leaves them for the record until then)
+function pruneExpired(data, now = Date.now()) {
+  let removed = 0;
+  for (const client of data.clients) {
+    const before = client.keys.length;
+    client.keys = client.keys.filter(k => !k.expiresAt || Date.parse(k.expiresAt) > now);
+    removed += before - client.keys.length;
+  }
+  return removed;
+}
+
+/* ------------------------------- Registry -------------------------------- */
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.filePath] - key file; missing is fine (env keys only)
+ * @param {string} [opts.localKey] - LOCAL_API_KEY
+ * @param {string} [opts.adminKey] - ADMIN_API_KEY
+ * @param {number} [opts.checkIntervalMs=5000] - how often the file's mtime is checked
+ * @param {() => number} [opts.now=Date.now]
+ */
+function createKeyRegistry({ filePath, localKey, adminKey, checkIntervalMs = 5000, now = Date.now } = {}) {
+  // hash → { client, key }
+  let byHash = new Map();
+  let clients = [];
+  let fileState = { mtimeMs: null, loadedAt: null, lastError: null };
+  let checkedAt = 0;
+  const usage = new Map();
+
+  // LOCAL_API_KEY is the public browser key: search only, whether or not ADMIN_API_KEY is set
+  function envClients() {
+    const list = [];
+    if (localKey) {
+      list.push({ id: "local", name: "LOCAL_API_KEY", scopes: ["search"], keys: [{ id: keyIdOf(localKey), hash: hashKey(localKey), expiresAt: null }], source: "env" });
+    }
+    if (adminKey && adminKey === localKey) {
+      console.warn("⚠️  ADMIN_API_KEY is the same as LOCAL_API_KEY - ignored, admin routes stay closed until it differs");
+    } else if (adminKey) {
+      list.push({ id: "admin", name: "ADMIN_API_KEY", scopes: [...SCOPES], keys: [{ id: keyIdOf(adminKey), hash: hashKey(adminKey), expiresAt: null }], source: "env" });
+    }
+    return list;
+  }
+
+  function load() {
+    let fileClients = [];
+    if (filePath) {
+      try {
+        fileClients = readKeyFile(filePath).clients.map(c => ({ ...c, keys: c.keys || [], source: "file" }));
+        fileState = { mtimeMs: fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null, loadedAt: new Date(now()).toISOString(), lastError: null };
+      } catch (e) {
+        // Keep the keys we had rather than locking every client out
+        fileState = { ...fileState, mtimeMs: fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null, lastError: e.message };
+        console.error(`❌ Failed to load API keys: ${e.message}`);
+        return;
+      }
+    }
+    const env = envClients().filter(e => !fileClients.some(c => c.id === e.id));
+    clients = [...fileClients, ...env];
+    byHash = new Map();
+    for (const client of clients) {
+      for (const key of client.keys) byHash.set(key.hash, { client, key });
+    }
+    const keys = byHash.size;
+    console.log(`🔑 API keys: ${clients.length} client${clients.length === 1 ? "" : "s"}, ${keys} key${keys === 1 ? "" : "s"}${filePath && fileClients.length ? ` (${path.basename(filePath)})` : ""}`);
+  }
+
+  function refresh() {
+    if (!filePath || now() - checkedAt < checkIntervalMs) return;
+    checkedAt = now();
+    const mtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+    if (mtimeMs !== fileState.mtimeMs) load();
+  }
+
+  /**
+   * @param {string} key - as sent by the caller
+   * @returns {{ client: { id: string, name: string, scopes: string[], rateLimit?: number }, keyId: string, expired: boolean }|null} null for unknown keys
+   */
+  function authenticate(key) {
+    if (!key) return null;
+    refresh();
+    const found = byHash.get(hashKey(key));
+    if (!found) return null;
+    const { client, key: entry } = found;
+    const expired = Boolean(entry.expiresAt) && Date.parse(entry.expiresAt) <= now();
+    return {
+      client: { id: client.id, name: client.name, scopes: client.scopes, ...(client.rateLimit !== undefined ? { rateLimit: client.rateLimit } : {}) },
+      keyId: entry.id,
+      expired,
+    };
+  }
+
+  /**
+   * Count a request against its client for the usage report.
+   * @param {string} clientId
+   * @param {string|null} keyId
+   * @param {"allowed"|"denied"|"limited"} outcome - denied: the key lacks the route's scope or has
+   *   expired; limited: a request already counted as allowed was then refused by the rate limiter
+   */
+  function record(clientId, keyId, outcome) {
+    const u = usage.get(clientId) || { requests: 0, limited: 0, denied: 0, lastSeenAt: null, keys: {} };
+    if (outcome === "limited") {
+      u.limited += 1;
+      return;
+    }
+    u.requests += 1;
+    if (outcome === "denied") u.denied += 1;
+    u.lastSeenAt = new Date(now()).toISOString();
+    if (keyId) u.keys[keyId] = u.lastSeenAt;
+    usage.set(clientId, u);
+  }
+
+  // Clients, keys (never hashes) and usage since the server started
+  function list() {
+    refresh();
+    const t = now();
+    return clients.map(client => {
+      const u = usage.get(client.id) || { requests: 0, limited: 0, denied: 0, lastSeenAt: null, keys: {} };
+      return {
+        id: client.id,
+        name: client.name,
+        source: client.source,
+        scopes: client.scopes,
+        rateLimit: client.rateLimit ?? null,
+        keys: client.keys.map(k => ({
+          id: k.id,
+          createdAt: k.createdAt || null,
+          expiresAt: k.expiresAt || null,
+          expired: Boolean(k.expiresAt) && Date.parse(k.expiresAt) <= t,
+          lastUsedAt: u.keys[k.id] || null,
+        })),
+        usage: { requests: u.requests, limited: u.limited, denied: u.denied, lastSeenAt: u.lastSeenAt },
+      };
+    });
+  }
+
+  load();
+
+  return {
+    authenticate,
+    record,
+    list,
+    reload: load,
+    enabled: () => byHash.size > 0,
+    status: () => ({ file: filePath || null, clients: clients.length, keys: byHash.size, ...fileState }),
+  };
+}
+
+module.exports = {
+  SCOPES,
+  CLIENT_ID,
+  createKeyRegistry,
+  hashKey,
+  keyIdOf,
+  generateKey,
+  readKeyFile,
+  writeKeyFile,
+  validateKeyFile,
+  addClient,
+  rotateKey,
+  revokeKey,
+  removeClient,
+  pruneExpired,
+};
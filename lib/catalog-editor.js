@@ -0,0 +1,276 @@
+/**
+ * Catalog Editor
+ *
+ * List/get/create/update/delete entries of the hand-maintained catalog files
+ * (used by the /admin/catalog routes) so librarians stop editing JSON by hand.
+ *
+ *   - Entries are addressed by an id derived from the normalized name
+ *     ("Westlaw Edge" → "westlaw-edge"); renaming an entry changes its id.
+ *   - Every write validates the entry (CATALOG_ENTRY_SCHEMA, http(s) URL,
+ *     unique name), re-reads the file, applies the change and replaces the
+ *     file atomically (temp file + rename). Writes are serialized.
+ *   - A catalog with a whitelist file (the names the model may recommend)
+ *     gets the same change there: created entries are added, renamed ones
+ *     renamed, deleted ones removed. Both files are written together.
+ *   - After a write `onChange()` runs (the server reloads its catalog state);
+ *     if that throws, the file is restored and the change is rejected.
+ *   - Each change is appended to a JSON-lines audit log: who, when, what, diff.
+ *
+ * Errors carry an HTTP `status` (400, 404, 409, 422) like the LLM adapters do.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { validate } = require("./structured-output");
+const { normalize } = require("./query-analysis");
+const { CATALOG_ENTRY_SCHEMA, DESCRIPTION_MAX_LENGTH } = require("./catalog-schema");
+
+// Fields librarians may set; anything else in a request body is rejected
+const EDITABLE_FIELDS = ["name", "url", "description", "aliases", "subjects", "jurisdiction", "access"];
+
+const ENTRY_WRITE_SCHEMA = {
+  ...CATALOG_ENTRY_SCHEMA,
+  properties: Object.fromEntries(EDITABLE_FIELDS.map(f => [f, CATALOG_ENTRY_SCHEMA.properties[f]])),
+  additionalProperties: false,
+};
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+function entryId(name) {
+  return normalize(name).replace(/ /g, "-");
+}
+
+function checkBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw httpError(400, "Request body must be a JSON object");
+  const unknown = Object.keys(body).filter(k => !EDITABLE_FIELDS.includes(k) && k !== "id");
+  if (unknown.length) throw httpError(422, `Unknown fields: ${unknown.join(", ")} (editable: ${EDITABLE_FIELDS.join(", ")})`);
+}
+
+// Trim strings, drop empty list items and empty optional fields (null removes a field)
+function cleanEntry(entry) {
+  const out = {};
+  for (const field of EDITABLE_FIELDS) {
+    let v = entry[field];
+    if (typeof v === "string") v = v.trim();
+    if (Array.isArray(v)) v = [...new Set(v.map(x => (typeof x === "string" ? x.trim() : x)).filter(Boolean))];
+    if (v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length)) continue;
+    out[field] = v;
+  }
+  return out;
+}
+
+// Field-level diff: { field: { from, to } }
+function diffEntries(before = {}, after = {}) {
+  const diff = {};
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[field];
+    const to = after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[field] = { from: from ?? null, to: to ?? null };
+  }
+  return diff;
+}
+
+/**
+ * @param {object} opts
+ * @param {Object<string, string>} opts.files - catalogId -> absolute path of a JSON array catalog
+ * @param {Object<string, string>} [opts.whitelists] - catalogId -> absolute path of its whitelist ([{ name }])
+ * @param {string} opts.auditFile - JSON-lines audit log path
+ * @param {(catalogId: string) => void|Promise<void>} [opts.onChange] - refresh in-memory state; throw to roll back
+ */
+function createCatalogEditor({ files, whitelists = {}, auditFile, onChange = () => {} }) {
+  let queue = Promise.resolve();
+
+  function fileFor(catalogId) {
+    const file = files[catalogId];
+    if (!file) throw httpError(404, `Unknown catalog "${catalogId}" (expected one of: ${Object.keys(files).join(", ")})`);
+    return file;
+  }
+
+  function readList(file) {
+    const raw = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "[]";
+    const items = JSON.parse(raw);
+    if (!Array.isArray(items)) throw httpError(500, `${path.basename(file)} is not a JSON array`);
+    return { file, raw, items };
+  }
+
+  function readCatalog(catalogId) {
+    return readList(fileFor(catalogId));
+  }
+
+  // All temp files are written before the first rename, so a failed write changes nothing
+  function writeAtomic(...writes) {
+    const tmps = writes.map(([file, content]) => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, content);
+      return tmp;
+    });
+    writes.forEach(([file], i) => fs.renameSync(tmps[i], file));
+  }
+
+  function findIndex(items, id) {
+    return items.findIndex(it => it && typeof it.name === "string" && entryId(it.name) === id);
+  }
+
+  function checkEntry(entry, items, skipIndex = -1) {
+    const problems = validate(entry, ENTRY_WRITE_SCHEMA);
+    if (!problems.length && entry.url && !/^https?:\/\//i.test(entry.url)) {
+      problems.push(`$.url: must start with http:// or https://`);
+    }
+    if (problems.length) throw httpError(422, "Invalid catalog entry", problems);
+
+    const clash = findIndex(items, entryId(entry.name));
+    if (clash !== -1 && clash !== skipIndex) {
+      throw httpError(409, `An entry named "${items[clash].name}" already exists`);
+    }
+
+    const warnings = [];
+    if (!entry.url) warnings.push("entry has no url");
+    if (entry.description && entry.description.length > DESCRIPTION_MAX_LENGTH) {
+      warnings.push(`description is ${entry.description.length} characters; results show the first ${DESCRIPTION_MAX_LENGTH - 20}`);
+    }
+    return warnings;
+  }
+
+  // Mirror a catalog change in its whitelist; returns what happened there, if anything
+  function syncWhitelist(list, change) {
+    const i = findIndex(list, change.previousId || change.id);
+    if (change.action === "delete") {
+      if (i === -1) return null;
+      list.splice(i, 1);
+      return "removed";
+    }
+    const name = change.after.name;
+    if (i === -1) {
+      if (findIndex(list, change.id) !== -1) return null;
+      list.push({ name });
+      return "added";
+    }
+    if (list[i].name === name) return null;
+    list[i] = { ...list[i], name };
+    return "renamed";
+  }
+
+  function audit(record) {
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+    fs.appendFileSync(auditFile, JSON.stringify(record) + "\n");
+  }
+
+  // Serialize read-modify-write cycles; roll the files back if the reload fails
+  function mutate(catalogId, actor, fn) {
+    const run = queue.then(async () => {
+      const { file, raw, items } = readCatalog(catalogId);
+      const whitelist = whitelists[catalogId] ? readList(whitelists[catalogId]) : null;
+      const change = fn(items);
+      const whitelisted = whitelist ? syncWhitelist(whitelist.items, change) : null;
+      const writes = [[file, JSON.stringify(items, null, 2)]];
+      if (whitelisted) writes.push([whitelist.file, JSON.stringify(whitelist.items, null, 2)]);
+      writeAtomic(...writes);
+      try {
+        await onChange(catalogId);
+      } catch (e) {
+        writeAtomic([file, raw], ...(whitelisted ? [[whitelist.file, whitelist.raw]] : []));
+        throw httpError(422, `Change rejected: ${e.message}`, e.errors);
+      }
+      audit({
+        timestamp: new Date().toISOString(),
+        actor,
+        action: change.action,
+        catalog: catalogId,
+        id: change.id,
+        ...(change.previousId && change.previousId !== change.id ? { previousId: change.previousId } : {}),
+        diff: diffEntries(change.before, change.after),
+        ...(whitelisted ? { whitelist: whitelisted } : {}),
+      });
+      return { id: change.id, entry: change.after || null, warnings: change.warnings || [] };
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @param {string} catalogId
+   * @param {object} [opts]
+   * @param {string} [opts.q] - substring filter on name and aliases
+   * @param {number} [opts.offset=0]
+   * @param {number} [opts.limit=50]
+   */
+  function list(catalogId, { q = "", offset = 0, limit = 50 } = {}) {
+    const { items } = readCatalog(catalogId);
+    const needle = normalize(q);
+    const matches = items
+      .filter(it => it && typeof it.name === "string")
+      .filter(it => !needle || [it.name, ...(it.aliases || [])].some(v => normalize(v).includes(needle)));
+    return {
+      catalog: catalogId,
+      total: matches.length,
+      offset,
+      limit,
+      entries: matches.slice(offset, offset + limit).map(it => ({ id: entryId(it.name), ...it })),
+    };
+  }
+
+  function get(catalogId, id) {
+    const { items } = readCatalog(catalogId);
+    const i = findIndex(items, id);
+    if (i === -1) throw httpError(404, `No entry "${id}" in ${catalogId}`);
+    return { id, ...items[i] };
+  }
+
+  function create(catalogId, body, actor) {
+    return mutate(catalogId, actor, (items) => {
+      checkBody(body);
+      const entry = cleanEntry(body);
+      const warnings = checkEntry(entry, items);
+      items.push(entry);
+      return { action: "create", id: entryId(entry.name), after: entry, warnings };
+    });
+  }
+
+  /**
+   * @param {boolean} [merge=false] - true: PATCH semantics (only given fields change); false: replace
+   */
+  function update(catalogId, id, body, actor, merge = false) {
+    return mutate(catalogId, actor, (items) => {
+      const i = findIndex(items, id);
+      if (i === -1) throw httpError(404, `No entry "${id}" in ${catalogId}`);
+      const before = items[i];
+      // Fields the editor does not manage (flags, type, ...) are kept as they were
+      const kept = Object.fromEntries(Object.entries(before).filter(([k]) => !EDITABLE_FIELDS.includes(k)));
+      checkBody(body);
+      const entry = cleanEntry(merge ? { ...before, ...body } : body);
+      const warnings = checkEntry(entry, items, i);
+      items[i] = { ...entry, ...kept };
+      return { action: "update", id: entryId(entry.name), previousId: id, before, after: items[i], warnings };
+    });
+  }
+
+  function remove(catalogId, id, actor) {
+    return mutate(catalogId, actor, (items) => {
+      const i = findIndex(items, id);
+      if (i === -1) throw httpError(404, `No entry "${id}" in ${catalogId}`);
+      const [before] = items.splice(i, 1);
+      return { action: "delete", id, before };
+    });
+  }
+
+  // Most recent audit records first
+  function auditTrail({ limit = 50, catalog } = {}) {
+    if (!fs.existsSync(auditFile)) return [];
+    return fs.readFileSync(auditFile, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(r => r && (!catalog || r.catalog === catalog))
+      .slice(-limit)
+      .reverse();
+  }
+
+  return { catalogs: Object.keys(files), list, get, create, update, remove, auditTrail };
+}
+
+module.exports = { createCatalogEditor, entryId, diffEntries, EDITABLE_FIELDS };
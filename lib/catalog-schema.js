@@ -0,0 +1,166 @@
+/**
+ * Catalog and Whitelist Schemas + Lint Rules
+ *
+ * Formal shape of the catalog and whitelist files, checked with the same
+ * JSON Schema subset validator used for model output (structured-output.js),
+ * plus cross-file lint rules that a schema cannot express.
+ *
+ * Findings have a severity:
+ *   error   - the file does not match its schema; a catalog reload is refused
+ *   warning - data quality problems that search tolerates but librarians should fix
+ *
+ * Rules:
+ *   schema            entry does not match CATALOG_ENTRY_SCHEMA / WHITELIST_ENTRY_SCHEMA
+ *   missing-url       catalog entry has no url
+ *   url-protocol      url without http(s)://; enrichResults has to prepend https://
+ *   duplicate-name    the same (normalized) name appears twice in one file
+ *   orphan-whitelist  whitelist name matches no catalog entry name or alias
+ *   alias-collision   an alias points at different entries (within or across catalogs)
+ *   description-length description longer than DESCRIPTION_MAX_LENGTH, so results show it cut off
+ *
+ * Used at startup/reload (server.js) and by scripts/lint-catalogs.js.
+ */
+
+const { validate } = require("./structured-output");
+const { normalize } = require("./query-analysis");
+
+const DESCRIPTION_MAX_LENGTH = 400; // enrichResults truncates longer descriptions
+
+// Catalog and whitelist files, relative to the project root.
+// Catalogs: A = librarian guides (local), B = external databases (AI whitelist), C = LibGuide assets.
+const CATALOG_FILES = {
+  guides: "./library-resources-database.catalog.json",
+  databases: "./resource-database.catalog.json",
+  assets: "./libguide-assets.catalog.json",           // object keyed by asset id
+  whitelistA: "./library-resources-database.whitelist.json",
+  // Accept either singular or plural filename for the second list
+  whitelistB: ["./resource-database.whitelist.json", "./resources-database.whitelist.json"],
+};
+
+const STRING_LIST = { type: "array", items: { type: "string" } };
+
+const CATALOG_ENTRY_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    url: { type: "string" },
+    description: { type: "string" },
+    aliases: STRING_LIST,
+    subjects: STRING_LIST,
+    type: { type: "string" },
+    jurisdiction: { type: "string" },                         // facet override, e.g. "Utah"
+    access: { type: "string", enum: ["open", "proxied"] },    // facet override when the URL does not tell
+    isLocalGuide: { type: "boolean" },
+    isLibGuideAsset: { type: "boolean" },
+    isExternalDatabase: { type: "boolean" },
+  },
+  required: ["name"],
+};
+
+const CATALOG_SCHEMA = { type: "array", items: CATALOG_ENTRY_SCHEMA };
+
+const WHITELIST_ENTRY_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    aliases: STRING_LIST,
+  },
+  required: ["name"],
+};
+
+const WHITELIST_SCHEMA = { type: "array", items: WHITELIST_ENTRY_SCHEMA };
+
+const SCHEMAS = { catalog: CATALOG_SCHEMA, whitelist: WHITELIST_SCHEMA };
+
+/**
+ * @param {{ label: string, kind: "catalog"|"whitelist", items: object[] }[]} sources
+ *   the loaded files; keyed-object catalogs (LibGuide assets) are passed as Object.values()
+ * @returns {{ errors: object[], warnings: object[] }} findings: { rule, severity, source, at, message }
+ */
+function lintCatalogs(sources) {
+  const findings = [];
+  const add = (severity, rule, source, at, message) => findings.push({ rule, severity, source, at, message });
+
+  const named = (it) => it && typeof it.name === "string" && it.name.trim();
+
+  for (const { label, kind, items } of sources) {
+    for (const problem of validate(items, SCHEMAS[kind])) {
+      const [at, ...rest] = problem.split(": ");
+      add("error", "schema", label, at, rest.join(": "));
+    }
+    if (!Array.isArray(items)) continue;
+
+    const seen = new Map();
+    items.forEach((it, i) => {
+      if (!named(it)) return;
+      const at = `$[${i}]`;
+      const key = normalize(it.name);
+      if (seen.has(key)) add("warning", "duplicate-name", label, at, `"${it.name}" duplicates entry ${seen.get(key)}`);
+      else seen.set(key, at);
+
+      if (kind !== "catalog") return;
+      if (!it.url || !String(it.url).trim()) add("warning", "missing-url", label, at, `"${it.name}" has no url`);
+      else if (!/^https?:\/\//i.test(String(it.url).trim())) add("warning", "url-protocol", label, at, `"${it.name}" url "${it.url}" has no http(s):// protocol`);
+      if (typeof it.description === "string" && it.description.length > DESCRIPTION_MAX_LENGTH) {
+        add("warning", "description-length", label, at, `"${it.name}" description is ${it.description.length} characters (results cut it at ${DESCRIPTION_MAX_LENGTH})`);
+      }
+    });
+  }
+
+  // Every name and alias across all catalogs -> the entries it refers to
+  const catalogs = sources.filter(s => s.kind === "catalog" && Array.isArray(s.items));
+  const names = new Map(); // normalized name -> "catalog: Name"
+  const aliasOwners = new Map();
+  for (const { label, items } of catalogs) {
+    for (const it of items.filter(named)) {
+      const own = normalize(it.name);
+      if (!names.has(own)) names.set(own, `${label}: ${it.name}`);
+      for (const alias of Array.isArray(it.aliases) ? it.aliases : []) {
+        const a = normalize(alias);
+        if (!a || a === own) continue;
+        if (!aliasOwners.has(a)) aliasOwners.set(a, new Map());
+        aliasOwners.get(a).set(own, `${label}: ${it.name}`);
+      }
+    }
+  }
+
+  for (const [alias, owners] of aliasOwners) {
+    const targets = [...owners.values()];
+    if (names.has(alias)) targets.push(names.get(alias));
+    if (targets.length > 1) add("warning", "alias-collision", "catalogs", alias, `alias "${alias}" refers to ${targets.join(" / ")}`);
+  }
+
+  for (const { label, kind, items } of sources) {
+    if (kind !== "whitelist" || !Array.isArray(items)) continue;
+    items.forEach((it, i) => {
+      if (!named(it)) return;
+      const key = normalize(it.name);
+      if (!names.has(key) && !aliasOwners.has(key)) {
+        add("warning", "orphan-whitelist", label, `$[${i}]`, `"${it.name}" is not in any catalog`);
+      }
+    });
+  }
+
+  return {
+    errors: findings.filter(f => f.severity === "error"),
+    warnings: findings.filter(f => f.severity === "warning"),
+  };
+}
+
+// Finding counts per rule, e.g. { "missing-url": 3, "orphan-whitelist": 12 }
+function countByRule(findings) {
+  const counts = {};
+  for (const f of findings) counts[f.rule] = (counts[f.rule] || 0) + 1;
+  return counts;
+}
+
+module.exports = {
+  CATALOG_ENTRY_SCHEMA,
+  CATALOG_SCHEMA,
+  WHITELIST_ENTRY_SCHEMA,
+  WHITELIST_SCHEMA,
+  DESCRIPTION_MAX_LENGTH,
+  CATALOG_FILES,
+  lintCatalogs,
+  countByRule,
+};
@@ -0,0 +1,126 @@
+/**
+ * Hot-Reloadable Catalog State
+ *
+ * Everything derived from the catalog and whitelist files (merged catalog,
+ * whitelist, search indexes, spelling vocabulary, version hash, ...) lives in
+ * one immutable state object. A reload builds a complete new state next to the
+ * old one, validates it, and only then swaps the reference, so a request never
+ * sees half-loaded catalogs and a bad edit never replaces a good catalog.
+ *
+ * Reloads are triggered by file changes (fs.watch, debounced) or explicitly
+ * through reload(), e.g. from POST /admin/reload.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const DEFAULT_DEBOUNCE_MS = 500; // editors write files in several steps
+
+/**
+ * @param {object} opts
+ * @param {() => object} opts.build - builds a new state; must include `version` and `errors` (load problems)
+ * @param {(next: object, prev: object|null) => string[]} [opts.validate] - extra checks before a swap
+ * @param {(next: object, prev: object|null) => void} [opts.onSwap] - called after a successful swap
+ * @param {number} [opts.debounceMs=500]
+ */
+function createCatalogStore({ build, validate = () => [], onSwap = () => {}, debounceMs = DEFAULT_DEBOUNCE_MS }) {
+  let state = null;
+  let reloading = null;
+  const status = { reloads: 0, lastReloadAt: null, lastReason: null, lastError: null, watching: [] };
+
+  function load(reason) {
+    const started = Date.now();
+    const next = build();
+    const errors = [...(next.errors || []), ...validate(next, state)];
+    if (state && errors.length) {
+      const err = new Error(`Catalog reload rejected: ${errors.slice(0, 5).join("; ")}`);
+      err.errors = errors;
+      throw err;
+    }
+    next.loadedAt = new Date().toISOString();
+    next.loadMs = Date.now() - started;
+
+    const prev = state;
+    state = Object.freeze(next);
+    status.lastReloadAt = next.loadedAt;
+    status.lastReason = reason;
+    status.lastError = null;
+    if (prev) status.reloads++;
+    onSwap(state, prev);
+    return { changed: !prev || prev.version !== state.version, version: state.version, previousVersion: prev?.version ?? null, loadMs: next.loadMs, warnings: prev ? [] : errors };
+  }
+
+  /**
+   * First, synchronous load at startup. Load problems are returned as warnings
+   * instead of rejecting, since there is no previous state to keep.
+   */
+  function init(reason = "startup") {
+    return load(reason);
+  }
+
+  /**
+   * Rebuild and swap. Concurrent calls share one rebuild.
+   * @param {string} [reason] - shown in /health ("startup", "admin", "file change: ...")
+   * @returns {Promise<{changed: boolean, version: string, previousVersion: string|null, loadMs: number}>}
+   */
+  function reload(reason = "manual") {
+    if (!reloading) {
+      reloading = Promise.resolve()
+        .then(() => load(reason))
+        .catch((e) => {
+          status.lastError = { message: e.message, errors: e.errors, at: new Date().toISOString(), reason };
+          throw e;
+        })
+        .finally(() => { reloading = null; });
+    }
+    return reloading;
+  }
+
+  /**
+   * Reload when any of the files change. Watches the parent directories so
+   * files that are replaced by rename (atomic saves) keep being tracked.
+   * @param {string[]} files - absolute paths
+   */
+  function watch(files, log = console) {
+    const byDir = new Map();
+    for (const f of files) {
+      const dir = path.dirname(f);
+      if (!byDir.has(dir)) byDir.set(dir, new Set());
+      byDir.get(dir).add(path.basename(f));
+    }
+
+    let timer = null;
+    const changed = new Set();
+    for (const [dir, names] of byDir) {
+      try {
+        const watcher = fs.watch(dir, (event, filename) => {
+          if (!filename || !names.has(String(filename))) return;
+          changed.add(String(filename));
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            const list = [...changed].join(", ");
+            changed.clear();
+            reload(`file change: ${list}`)
+              .then((r) => log.log(`🔄 Catalogs reloaded after change to ${list}: ${r.previousVersion} → ${r.version}`))
+              .catch((e) => log.error(`❌ ${e.message}`));
+          }, debounceMs);
+          timer.unref?.();
+        });
+        watcher.unref?.();
+        status.watching.push(...[...names].map(n => path.join(dir, n)));
+      } catch (e) {
+        log.warn(`⚠️  Cannot watch ${dir} for catalog changes: ${e.message}`);
+      }
+    }
+  }
+
+  return {
+    current: () => state,
+    init,
+    reload,
+    watch,
+    status: () => ({ ...status, version: state?.version ?? null, loadedAt: state?.loadedAt ?? null, loadMs: state?.loadMs ?? null }),
+  };
+}
+
+module.exports = { createCatalogStore };
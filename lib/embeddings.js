@@ -0,0 +1,205 @@
+/**
+ * Embedding Retrieval
+ *
+ * Vectors for catalog entries, blended with BM25 keyword scores when the
+ * allowlist is built. What the vectors can match depends on the embedder:
+ *
+ * EMBEDDERS (EMBEDDINGS_PROVIDER):
+ *   local  - feature-hashed vectors over stemmed terms and character trigrams.
+ *            Pure JS, CPU only, no network. This is NOT semantic retrieval: it
+ *            is a second lexical scorer, tolerant of word forms and partial
+ *            words, plus dictionary expansion - the server embeds the query
+ *            together with its abbreviation and synonym expansions
+ *            (legal-synonyms.json). A query that shares no words with a
+ *            resource, directly or through the dictionary, does not find it.
+ *   openai - any OpenAI-compatible POST /embeddings endpoint, e.g. a local
+ *            Ollama (http://localhost:11434/v1) with nomic-embed-text. This is
+ *            the embedder for semantic matches ("who regulates drones" →
+ *            aviation resources that share no words with the question).
+ *   none   - keyword scores only.
+ *
+ * Every embedder exposes:
+ *   id                 - changes whenever vectors are not comparable (model, dimensions)
+ *   embed(texts, opts) - Promise<number[][]>, one unit-length vector per text;
+ *                        opts.timeoutMs bounds a network embedder's request
+ *
+ * Vectors are cached on disk keyed by a hash of the embedded text, so a
+ * restart only embeds entries that are new or changed.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { postJson } = require("./llm/http");
+
+const DEFAULT_DIMENSIONS = 512;
+const TRIGRAM_WEIGHT = 0.3; // character trigrams: partial credit for related word forms
+
+function hashOf(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+function unitLength(vector) {
+  const norm = Math.sqrt(vector.reduce((a, v) => a + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+// Vectors from embed() are unit length, so the dot product is the cosine
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/* ------------------------------ Embedders ------------------------------- */
+
+/**
+ * @param {object} opts
+ * @param {(text: string) => string[]} opts.tokenize - the catalog index tokenizer (stemmed terms)
+ * @param {number} [opts.dimensions=512]
+ */
+function createLocalEmbedder({ tokenize, dimensions = DEFAULT_DIMENSIONS }) {
+  function bucket(feature) {
+    const h = crypto.createHash("md5").update(feature).digest();
+    return { index: h.readUInt32LE(0) % dimensions, sign: h[4] & 1 ? 1 : -1 };
+  }
+
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const add = (feature, weight) => {
+      const { index, sign } = bucket(feature);
+      vector[index] += sign * weight;
+    };
+    for (const term of tokenize(text)) {
+      add(`t:${term}`, 1);
+      const padded = `^${term}$`;
+      for (let i = 0; i < padded.length - 2; i++) add(`c:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+    return unitLength(vector);
+  }
+
+  return {
+    id: `local-hash-${dimensions}`,
+    embed: async (texts) => texts.map(embedOne),
+  };
+}
+
+/**
+ * OpenAI-compatible embeddings endpoint (OpenAI, Ollama, vLLM, ...).
+ */
+function createOpenAIEmbedder({ baseUrl = "http://localhost:11434/v1", apiKey, model = "nomic-embed-text", batchSize = 64, timeoutMs } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  async function embed(texts, opts = {}) {
+    const out = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const data = await postJson(`${base}/embeddings`, { model, input: texts.slice(i, i + batchSize) }, { label: "Embeddings", headers, timeoutMs: opts.timeoutMs ?? timeoutMs });
+      const rows = [...(data?.data || [])].sort((a, b) => a.index - b.index);
+      out.push(...rows.map(r => unitLength(r.embedding)));
+    }
+    return out;
+  }
+
+  return { id: `openai:${model}`, embed };
+}
+
+const EMBEDDERS = {
+  local: createLocalEmbedder,
+  openai: createOpenAIEmbedder,
+  none: () => null,
+};
+
+/**
+ * @param {string} name - embedder name (see EMBEDDERS)
+ * @param {object} config - embedder-specific settings
+ * @returns {object|null} null when embeddings are disabled
+ */
+function createEmbedder(name, config = {}) {
+  const factory = EMBEDDERS[String(name || "local").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDINGS_PROVIDER "${name}" (expected one of: ${Object.keys(EMBEDDERS).join(", ")})`);
+  }
+  return factory(config);
+}
+
+/* ---------------------------- Vector index ------------------------------ */
+
+function loadVectorFile(filePath, embedderId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (data.embedder === embedderId && data.vectors) return new Map(Object.entries(data.vectors));
+  } catch {}
+  return new Map();
+}
+
+function saveVectorFile(filePath, embedderId, vectors) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  const rounded = {};
+  for (const [key, v] of vectors) rounded[key] = v.map(x => Math.round(x * 1e5) / 1e5);
+  fs.writeFileSync(tmp, JSON.stringify({ embedder: embedderId, vectors: rounded }));
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Brute-force cosine index over catalog entries (a few hundred items).
+ *
+ * @param {object[]} items - catalog entries
+ * @param {object} opts
+ * @param {object} opts.embedder - from createEmbedder()
+ * @param {(item: object) => string} opts.textOf - text embedded for an entry
+ * @param {string} [opts.filePath] - on-disk vector cache
+ */
+function createVectorIndex(items, { embedder, textOf, filePath }) {
+  const docs = items.filter(it => it && it.name);
+  let vectors = null; // aligned with docs once ready
+
+  // Embed only entries missing from the on-disk cache, then persist
+  const ready = (async () => {
+    const cached = filePath ? loadVectorFile(filePath, embedder.id) : new Map();
+    const keys = docs.map(d => hashOf(textOf(d)));
+    const missing = [...new Set(keys.filter(k => !cached.has(k)))];
+    if (missing.length) {
+      const texts = missing.map(k => textOf(docs[keys.indexOf(k)]));
+      const fresh = await embedder.embed(texts);
+      missing.forEach((k, i) => cached.set(k, fresh[i]));
+    }
+    vectors = keys.map(k => cached.get(k));
+    if (filePath && missing.length) {
+      const kept = new Map(keys.map(k => [k, cached.get(k)]));
+      saveVectorFile(filePath, embedder.id, kept);
+    }
+    return { embedded: missing.length, cached: docs.length - missing.length };
+  })();
+
+  /**
+   * @param {string} text - query text (include expansions for the local embedder)
+   * @param {object} [opts]
+   * @param {number} [opts.limit]
+   * @param {(item: object) => boolean} [opts.filter] - restrict hits, e.g. to one catalog
+   * @param {number} [opts.timeoutMs] - limit for embedding the query (network embedders)
+   * @returns {Promise<{ item: object, score: number }[]>} best first; [] until vectors are ready
+   * @throws when the query cannot be embedded (e.g. UpstreamError from the openai embedder)
+   */
+  async function search(text, opts = {}) {
+    if (!vectors) return [];
+    const [q] = await embedder.embed([text], { timeoutMs: opts.timeoutMs });
+    const hits = docs
+      .map((item, i) => ({ item, score: cosine(q, vectors[i]) }))
+      .filter(h => !opts.filter || opts.filter(h.item))
+      .sort((a, b) => b.score - a.score);
+    return opts.limit ? hits.slice(0, opts.limit) : hits;
+  }
+
+  return { search, ready, size: docs.length, isReady: () => vectors !== null };
+}
+
+module.exports = {
+  createEmbedder,
+  createLocalEmbedder,
+  createOpenAIEmbedder,
+  createVectorIndex,
+  cosine,
+  EMBEDDERS,
+};
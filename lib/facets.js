@@ -0,0 +1,156 @@
+/**
+ * Search Facets
+ *
+ * Classifies search results along four facets, counts them over the full
+ * candidate set (so the widget can show filter chips) and applies filters.
+ *
+ *   type          guide | database | asset | legal-help     (result flags)
+ *   subject       catalog `subjects`; a topical guide is its own subject
+ *   jurisdiction  catalog `jurisdiction`, else a gazetteer match on name,
+ *                 aliases and subjects (country guides + dictionary entries)
+ *   access        catalog `access`, else "proxied" for EZproxy / proxy-host
+ *                 URLs and "open" for everything else
+ *
+ * Filters: { type, subject, jurisdiction, access }, each a value or a list.
+ * Values within one facet are OR'ed, facets are AND'ed.
+ */
+
+const { normalize } = require("./query-analysis");
+const { proxyTarget } = require("./link-checker");
+
+const FACETS = ["type", "subject", "jurisdiction", "access"];
+const TYPES = ["guide", "database", "asset", "legal-help"];
+const ACCESS = ["open", "proxied"];
+const MAX_FACET_VALUES = 20; // subject/jurisdiction lists can get long
+
+// Country guides in catalog A all start their description this way
+const COUNTRY_GUIDE = /^Sources of Primary Law for /i;
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Jurisdictions known to the facet: every country guide in catalog A plus
+ * the `jurisdictions` section of legal-synonyms.json ({ "Utah": ["utah"], ... }).
+ * @returns {{ name: string, phrases: string[] }[]}
+ */
+function buildGazetteer(guides = [], extra = {}) {
+  const byName = new Map();
+  const add = (name, phrases) => {
+    const entry = byName.get(name) || { name, phrases: [] };
+    entry.phrases = [...new Set([...entry.phrases, ...phrases.map(normalize).filter(Boolean)])];
+    byName.set(name, entry);
+  };
+  for (const g of guides) {
+    if (g && g.name && COUNTRY_GUIDE.test(g.description || "")) add(g.name, [g.name, ...(g.aliases || [])]);
+  }
+  for (const [name, phrases] of Object.entries(extra || {})) add(name, [name, ...[].concat(phrases)]);
+  // Longest phrases first so "american samoa" is tried before "samoa"
+  return [...byName.values()].sort((a, b) => Math.max(...b.phrases.map(p => p.length)) - Math.max(...a.phrases.map(p => p.length)));
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Validate filters from a query string or POST body.
+ * @returns {{ filters: object }|{ error: string }} filters: facet -> list of values
+ */
+function parseFilters(input = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "filters must be an object" };
+  const unknown = Object.keys(input).filter(k => !FACETS.includes(k));
+  if (unknown.length) return { error: `Unknown filter: ${unknown.join(", ")} (expected: ${FACETS.join(", ")})` };
+
+  const filters = {};
+  for (const facet of FACETS) {
+    const values = asList(input[facet]);
+    if (!values.length) continue;
+    const allowed = facet === "type" ? TYPES : facet === "access" ? ACCESS : null;
+    const bad = allowed ? values.filter(v => !allowed.includes(v)) : [];
+    if (bad.length) return { error: `Unknown ${facet}: ${bad.join(", ")} (expected: ${allowed.join(", ")})` };
+    filters[facet] = values;
+  }
+  return { filters };
+}
+
+/**
+ * @param {object} opts
+ * @param {(name: string) => object|null} opts.lookup - catalog entry for a result name
+ * @param {() => object[]} opts.gazetteer - current buildGazetteer() output
+ * @param {string[]} [opts.proxyHosts] - hosts whose URLs require the library proxy / sign-in
+ */
+function createFacets({ lookup, gazetteer, proxyHosts = [] }) {
+  const hosts = proxyHosts.map(h => h.toLowerCase());
+
+  function accessOf(url) {
+    if (!url) return null;
+    if (proxyTarget(url)) return "proxied";
+    let host = "";
+    try { host = new URL(url).host.toLowerCase(); } catch {}
+    return hosts.some(h => host === h || host.endsWith(`.${h}`)) ? "proxied" : "open";
+  }
+
+  /**
+   * @returns {{ type: string|null, subject: string[], jurisdiction: string[], access: string|null }}
+   */
+  function classify(result) {
+    const entry = lookup(result.name) || {};
+    const type = result.isLegalHelp ? "legal-help"
+      : result.isLocalGuide ? "guide"
+      : result.isLibGuideAsset ? "asset"
+      : result.isExternalDatabase ? "database"
+      : null;
+
+    let jurisdiction = entry.jurisdiction ? [entry.jurisdiction] : [];
+    if (!jurisdiction.length) {
+      const text = normalize([result.name, ...(entry.aliases || []), ...(entry.subjects || [])].join(" "));
+      jurisdiction = gazetteer().filter(j => j.phrases.some(p => containsPhrase(text, p))).map(j => j.name);
+    }
+
+    let subject = entry.subjects || [];
+    if (!subject.length && type === "guide" && !jurisdiction.length) subject = [result.name];
+
+    return { type, subject, jurisdiction, access: entry.access || accessOf(result.url) };
+  }
+
+  function matches(facets, filters) {
+    return FACETS.every((facet) => {
+      const wanted = filters[facet];
+      if (!wanted || !wanted.length) return true;
+      const have = [].concat(facets[facet] || []).map(normalize);
+      return wanted.some(v => have.includes(normalize(v)));
+    });
+  }
+
+  /**
+   * Facet counts over the candidates, ignoring filters.
+   * @returns {Object<string, { value: string, count: number }[]>}
+   */
+  function count(results) {
+    const counts = Object.fromEntries(FACETS.map(f => [f, new Map()]));
+    for (const r of results) {
+      const facets = classify(r);
+      for (const facet of FACETS) {
+        for (const value of new Set([].concat(facets[facet] || []))) {
+          counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+        }
+      }
+    }
+    return Object.fromEntries(FACETS.map(f => [f, [...counts[f]]
+      .map(([value, n]) => ({ value, count: n }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, MAX_FACET_VALUES)]));
+  }
+
+  function apply(results, filters = {}) {
+    if (!FACETS.some(f => filters[f] && filters[f].length)) return results;
+    return results.filter(r => matches(classify(r), filters));
+  }
+
+  return { classify, count, apply };
+}
+
+module.exports = { createFacets, buildGazetteer, parseFilters, FACETS, TYPES, ACCESS };
@@ -0,0 +1,389 @@
+/**
+ * Result Feedback
+ *
+ * Learns which recommendations are useful from what visitors do with them.
+ * Every finished search records an impression (the results it returned,
+ * under its request id); clicks, thumbs up/down and "not relevant" marks are
+ * then accepted for those results only, from the visitor who searched, within
+ * `impressionTtlMs`.
+ *
+ * Both go to one JSON-lines file (FEEDBACK_FILE) and are aggregated per
+ * resource and per (query term, resource):
+ *
+ *   { "type": "impression", "at", "requestId", "terms", "shown": [{ name, url }], "voter" }
+ *   { "type": "click" | "up" | "down" | "not_relevant", "at", "requestId", "terms", "name", "url", "position", "voter" }
+ *
+ * The file is replayed at start; lines older than `windowDays` are dropped
+ * from it then, so the aggregates (and the file) only cover recent behaviour.
+ *
+ * LEARNED BOOST:
+ *   boostFor(terms) returns name => relevance points. For a resource it sums
+ *   the weighted events over the query's terms (click +1, up +2, down -2,
+ *   not relevant -3) and divides by the impressions plus a prior, so a few
+ *   clicks on a rarely shown resource do not count for much. Nothing moves
+ *   before `minImpressions`, and the result is capped at ±boostMax (0 = off).
+ *   Each visitor adds at most `perVisitorMax` events of a type to a resource
+ *   and to each (term, resource) pair, however often it searches again, so
+ *   one visitor cannot vote a resource up or down. Impressions count once per
+ *   visitor, resource and (term, resource) pair in the same way, so repeating
+ *   a search cannot dilute a resource's click rate either; a repeated search
+ *   whose results were all counted before writes no line. Both line types
+ *   carry `voter`, a hash of the visitor pseudonym, so the caps hold across
+ *   restarts.
+ *   Visitors are told apart by address: keep the boost off until
+ *   X-Forwarded-For is only taken from trusted proxies (TRUST_PROXY).
+ *
+ * Resources are keyed by normalized name, the key the search merge
+ * de-duplicates on.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIOR_IMPRESSIONS = 10;
+
+const EVENT_TYPES = ["click", "up", "down", "not_relevant"];
+const WEIGHTS = { click: 1, up: 2, down: -2, not_relevant: -3 };
+const COUNTERS = { click: "clicks", up: "up", down: "down", not_relevant: "notRelevant" };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function emptyCounts() {
+  return { impressions: 0, clicks: 0, up: 0, down: 0, notRelevant: 0 };
+}
+
+// Stored with events instead of the pseudonym, which also keys the visitor's rate limits
+function voterOf(visitor) {
+  return crypto.createHash("sha256").update(`feedback|${visitor}`).digest("hex").substring(0, 12);
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.filePath - JSON-lines event file
+ * @param {(text: string) => string} opts.normalize - resource key (lib/query-analysis.js normalize)
+ * @param {number} [opts.boostMax=0] - largest learned boost in relevance points (0 = off)
+ * @param {number} [opts.minImpressions=5] - impressions a (term, resource) pair needs before it boosts
+ * @param {number} [opts.windowDays=180] - events older than this are dropped at start
+ * @param {number} [opts.impressionTtlMs=86400000] - how long after a search feedback is accepted
+ * @param {number} [opts.maxImpressions=5000] - open searches kept in memory for validation
+ * @param {number} [opts.perVisitorMax=1] - events of one type a visitor adds to a resource and to each (term, resource) pair
+ * @param {() => number} [opts.now=Date.now]
+ */
+function createFeedbackStore({
+  filePath,
+  normalize,
+  boostMax = 0,
+  minImpressions = 5,
+  windowDays = 180,
+  impressionTtlMs = DAY_MS,
+  maxImpressions = 5000,
+  perVisitorMax = 1,
+  now = Date.now,
+}) {
+  const resources = new Map(); // key → { name, url, ...counts, lastClick }
+  const pairs = new Map();     // `${term}\u0000${key}` → counts
+  const open = new Map();      // requestId → { at, visitor, client, terms, items, seen }
+  const votes = new Map();     // `${voter}\u0000${type}\u0000${term}\u0000${key}` → lines counted
+  const counts = { impressions: 0, click: 0, up: 0, down: 0, not_relevant: 0, rejected: 0, dropped: 0, capped: 0, repeated: 0 };
+  let lastError = null;
+
+  function resourceFor(key, name, url) {
+    let r = resources.get(key);
+    if (!r) {
+      r = { name, url: url || null, ...emptyCounts(), lastClick: null };
+      resources.set(key, r);
+    }
+    if (url) r.url = url;
+    return r;
+  }
+
+  function pairFor(term, key) {
+    const id = `${term}\u0000${key}`;
+    let p = pairs.get(id);
+    if (!p) {
+      p = emptyCounts();
+      pairs.set(id, p);
+    }
+    return p;
+  }
+
+  function voteId(voter, type, term, key) {
+    return `${voter}\u0000${type}\u0000${term}\u0000${key}`;
+  }
+
+  // Per-visitor cap for one line on one resource ("" term) or (term, resource)
+  // pair; lines without a voter (none are written now) count as before
+  function take(voter, type, term, key, max) {
+    if (!voter) return true;
+    const id = voteId(voter, type, term, key);
+    const n = votes.get(id) || 0;
+    if (n >= max) return false;
+    votes.set(id, n + 1);
+    return true;
+  }
+
+  // Fold one file line into the aggregates
+  function apply(entry) {
+    const terms = Array.isArray(entry.terms) ? entry.terms : [];
+    if (entry.type === "impression") {
+      for (const item of entry.shown || []) {
+        const key = normalize(item.name || "");
+        if (!key) continue;
+        const r = resourceFor(key, item.name, item.url);
+        if (take(entry.voter, "impression", "", key, 1)) r.impressions += 1;
+        for (const term of terms) {
+          if (take(entry.voter, "impression", term, key, 1)) pairFor(term, key).impressions += 1;
+        }
+      }
+      counts.impressions += 1;
+      return;
+    }
+    const field = COUNTERS[entry.type];
+    const key = normalize(entry.name || "");
+    if (!field || !key) return;
+    const allowed = (term) => take(entry.voter, entry.type, term, key, perVisitorMax);
+    const resourceVote = allowed("");
+    const termVotes = terms.filter(allowed);
+    if (!resourceVote && !termVotes.length) {
+      counts.capped += 1;
+      return;
+    }
+    const r = resourceFor(key, entry.name, entry.url);
+    if (resourceVote) r[field] += 1;
+    if (entry.type === "click") r.lastClick = entry.at;
+    for (const term of termVotes) pairFor(term, key)[field] += 1;
+    counts[entry.type] += 1;
+  }
+
+  function write(entry) {
+    apply(entry);
+    fs.appendFile(filePath, JSON.stringify(entry) + "\n", (err) => {
+      if (err) {
+        lastError = err.message;
+        console.error(`❌ Failed to write feedback to ${filePath}: ${err.message}`);
+      }
+    });
+  }
+
+  // Replay the file; rewrite it without the lines that fell out of the window
+  function load() {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        lastError = e.message;
+        console.error(`❌ Cannot read feedback file ${filePath}: ${e.message}`);
+      }
+      return;
+    }
+    const from = windowDays ? now() - windowDays * DAY_MS : -Infinity;
+    const kept = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        counts.dropped += 1;
+        continue;
+      }
+      if (!(Date.parse(entry.at) >= from)) {
+        counts.dropped += 1;
+        continue;
+      }
+      apply(entry);
+      kept.push(line);
+    }
+    if (counts.dropped) {
+      try {
+        const tmp = `${filePath}.tmp`;
+        fs.writeFileSync(tmp, kept.length ? kept.join("\n") + "\n" : "");
+        fs.renameSync(tmp, filePath);
+      } catch (e) {
+        lastError = e.message;
+        console.error(`❌ Cannot compact feedback file ${filePath}: ${e.message}`);
+      }
+    }
+    console.log(`👍 Feedback: ${counts.impressions} searches, ${counts.click} clicks, ${resources.size} resources from ${path.basename(filePath)}${counts.dropped ? ` (${counts.dropped} old lines dropped)` : ""}`);
+  }
+
+  function forgetExpired(t) {
+    for (const [id, shown] of open) {
+      if (open.size <= maxImpressions && t - shown.at < impressionTtlMs) break;
+      open.delete(id);
+    }
+  }
+
+  /**
+   * Remember what a search returned so feedback on it can be checked and counted.
+   * @param {object} search
+   * @param {string} search.requestId
+   * @param {string} search.visitor - stable pseudonym of the visitor
+   * @param {string|null} [search.client] - API client id
+   * @param {string[]} search.terms - query index terms
+   * @param {{ name: string, url?: string }[]} search.results - the page that was returned
+   * @param {number} [search.offset=0] - position of the first result
+   */
+  function recordImpression({ requestId, visitor, client = null, terms, results, offset = 0 }) {
+    if (!requestId || !results.length) return;
+    const t = now();
+    const items = results.map((r, i) => ({ key: normalize(r.name || ""), name: r.name, url: r.url || null, position: offset + i + 1 }))
+      .filter(item => item.key);
+    open.delete(requestId); // a reused request id describes its latest search
+    open.set(requestId, { at: t, visitor, client, terms, items, seen: new Set() });
+    forgetExpired(t);
+
+    // Only results this visitor has not been shown yet, for the resource or one of the terms
+    const voter = voterOf(visitor);
+    const fresh = items.filter(item => ["", ...terms].some(term => !votes.has(voteId(voter, "impression", term, item.key))));
+    if (!fresh.length) {
+      counts.repeated += 1;
+      return;
+    }
+    write({
+      type: "impression",
+      at: new Date(t).toISOString(),
+      requestId,
+      terms,
+      shown: fresh.map(({ name, url }) => (url ? { name, url } : { name })),
+      voter,
+    });
+  }
+
+  /**
+   * Count a click or judgement on one result of an earlier search.
+   * @param {object} event
+   * @param {string} event.requestId - the search's request id
+   * @param {string} event.type - click | up | down | not_relevant
+   * @param {string} [event.name] - the result's name ...
+   * @param {string} [event.url] - ... or its URL
+   * @param {string} event.visitor - must match the search's visitor
+   * @param {string|null} [event.client] - must match the search's API client
+   * @returns {{ recorded: boolean, duplicate?: boolean, position: number }}
+   * @throws {Error} with .status 400 / 403 / 404 / 422
+   */
+  function recordEvent({ requestId, type, name, url, visitor, client = null }) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw httpError(400, `type must be one of: ${EVENT_TYPES.join(", ")}`);
+    }
+    if (!requestId || (!name && !url)) throw httpError(400, "requestId and the result's name or url are required");
+
+    const t = now();
+    const shown = open.get(requestId);
+    if (!shown || t - shown.at >= impressionTtlMs) {
+      counts.rejected += 1;
+      throw httpError(404, "Unknown or expired requestId - feedback is accepted for a day after the search");
+    }
+    if (shown.visitor !== visitor || shown.client !== client) {
+      counts.rejected += 1;
+      throw httpError(403, "Feedback must come from the visitor who searched");
+    }
+    const key = name ? normalize(name) : null;
+    const item = shown.items.find(i => (key && i.key === key) || (url && i.url === url));
+    if (!item) {
+      counts.rejected += 1;
+      throw httpError(422, "That resource was not among the results of this search");
+    }
+
+    const seen = `${type}|${item.key}`;
+    if (shown.seen.has(seen)) return { recorded: false, duplicate: true, position: item.position };
+    shown.seen.add(seen);
+    write({
+      type,
+      at: new Date(t).toISOString(),
+      requestId,
+      terms: shown.terms,
+      name: item.name,
+      ...(item.url ? { url: item.url } : {}),
+      position: item.position,
+      voter: voterOf(visitor),
+    });
+    return { recorded: true, position: item.position };
+  }
+
+  /**
+   * Learned boost for one query: name => relevance points in [-boostMax, boostMax].
+   * @param {string[]} terms - query index terms
+   * @returns {(name: string) => number}
+   */
+  function boostFor(terms) {
+    if (!boostMax || !terms.length || !pairs.size) return () => 0;
+    return (name) => {
+      const key = normalize(name || "");
+      let impressions = 0;
+      let signal = 0;
+      for (const term of terms) {
+        const p = pairs.get(`${term}\u0000${key}`);
+        if (!p) continue;
+        impressions += p.impressions;
+        signal += p.clicks * WEIGHTS.click + p.up * WEIGHTS.up + p.down * WEIGHTS.down + p.notRelevant * WEIGHTS.not_relevant;
+      }
+      if (impressions < minImpressions) return 0;
+      const rate = Math.max(-1, Math.min(1, signal / (impressions + PRIOR_IMPRESSIONS)));
+      return Math.round(rate * boostMax);
+    };
+  }
+
+  /**
+   * Per-resource report for reviewers.
+   * @param {object} [opts]
+   * @param {number} [opts.minImpressions=20] - how often a resource must have been shown to be listed as never clicked
+   * @param {number} [opts.top=20] - length of each list
+   */
+  function report({ minImpressions: minShown = 20, top = 20 } = {}) {
+    const list = [...resources.values()].map(r => ({
+      name: r.name,
+      url: r.url,
+      impressions: r.impressions,
+      clicks: r.clicks,
+      clickRate: ratio(r.clicks, r.impressions),
+      up: r.up,
+      down: r.down,
+      notRelevant: r.notRelevant,
+      lastClick: r.lastClick,
+    }));
+    const ranked = (filter, score) => list.filter(filter).sort((a, b) => score(b) - score(a) || b.impressions - a.impressions).slice(0, top);
+    return {
+      windowDays,
+      searches: counts.impressions,
+      events: { click: counts.click, up: counts.up, down: counts.down, not_relevant: counts.not_relevant },
+      resources: resources.size,
+      // Shown often, never opened: candidates for better descriptions, re-ranking or removal
+      shownNeverClicked: ranked(r => r.impressions >= minShown && r.clicks === 0 && r.up === 0, r => r.impressions),
+      mostClicked: ranked(r => r.clicks > 0, r => r.clicks),
+      mostNegative: ranked(r => r.down + r.notRelevant > 0, r => r.down + r.notRelevant),
+    };
+  }
+
+  function status() {
+    return {
+      file: filePath,
+      boostMax,
+      minImpressions,
+      windowDays,
+      perVisitorMax,
+      openSearches: open.size,
+      resources: resources.size,
+      termPairs: pairs.size,
+      ...counts,
+      lastError,
+    };
+  }
+
+  load();
+
+  return { recordImpression, recordEvent, boostFor, report, status };
+}
+
+module.exports = { createFeedbackStore, EVENT_TYPES };
@@ -0,0 +1,272 @@
+/**
+ * LibGuides Importer
+ *
+ * Maps a Springshare LibGuides API export into the catalog and whitelist
+ * files the server loads (file names in catalog-schema.js):
+ *
+ *   guides     ← published guides            (catalog A + whitelist A)
+ *   databases  ← A-Z database list           (catalog B + whitelist B)
+ *   assets     ← link assets, keyed by id    (catalog C)
+ *
+ * An export is { guides, az, assets, subjects } as returned by the LibGuides
+ * API 1.1 endpoints of the same names (see fetchExport). The same object can
+ * be saved to disk and imported later, which is how fixtures/libguides/ works.
+ *
+ * Used by scripts/import-libguides.js.
+ */
+
+const { normalize } = require("./query-analysis");
+
+const DEFAULT_API_URL = "https://lgapi-us.libapps.com/1.1";
+const DEFAULT_TIMEOUT_MS = 30000;
+const PUBLISHED = 1; // guide.status: 0 unpublished, 1 published, 2 private
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", "#39": "'" };
+
+// LibGuides descriptions are HTML fragments
+function plainText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(#\d+|#39|[a-z]+);/gi, (m, e) => ENTITIES[e.toLowerCase()] ?? (e[0] === "#" ? String.fromCharCode(Number(e.slice(1))) : m))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name, "en", { sensitivity: "base" });
+}
+
+// Subjects come inline ({ id, name }) with expand=subjects, or as bare ids
+function subjectNames(list, subjectsById) {
+  const names = (Array.isArray(list) ? list : [])
+    .map(s => (s && typeof s === "object" ? s.name || subjectsById.get(String(s.id)) : subjectsById.get(String(s))))
+    .filter(Boolean)
+    .map(plainText);
+  return [...new Set(names)];
+}
+
+// A-Z "alternate names" is one comma/newline separated string
+function altNames(value, name) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[\n,;]+/);
+  const own = normalize(name);
+  return [...new Set(list.map(plainText).filter(a => a && normalize(a) !== own))];
+}
+
+// Keep only set fields, in the order the hand-written catalogs use
+function compact(entry) {
+  const out = {};
+  for (const [k, v] of Object.entries(entry)) {
+    if (v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * @param {object} dump - { guides, az, assets, subjects } from the LibGuides API
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeUnpublished=false] - also import unpublished/private guides
+ * @returns {{ guides: object[], databases: object[], assets: Object<string, object>, whitelistA: object[], whitelistB: object[], skipped: object }}
+ */
+function mapExport(dump, { includeUnpublished = false } = {}) {
+  const subjectsById = new Map((dump.subjects || []).map(s => [String(s.id), s.name]));
+  const skipped = { unpublishedGuides: 0, hiddenDatabases: 0, assetsWithoutUrl: 0, duplicates: 0 };
+
+  // Catalog A: guides
+  const guideSubjects = new Map();
+  const seenGuides = new Set();
+  const guides = [];
+  for (const g of dump.guides || []) {
+    const name = plainText(g.name);
+    if (!name) continue;
+    guideSubjects.set(String(g.id), subjectNames(g.subjects, subjectsById));
+    if (!includeUnpublished && Number(g.status) !== PUBLISHED) { skipped.unpublishedGuides++; continue; }
+    if (seenGuides.has(normalize(name))) { skipped.duplicates++; continue; }
+    seenGuides.add(normalize(name));
+    guides.push(compact({
+      name,
+      url: g.friendly_url || g.url,
+      description: plainText(g.description) || name,
+      aliases: [name],
+      subjects: guideSubjects.get(String(g.id)),
+    }));
+  }
+
+  // Catalog B: A-Z databases
+  const seenDatabases = new Set();
+  const databases = [];
+  for (const d of dump.az || []) {
+    const name = plainText(d.name);
+    if (!name) continue;
+    if (Number(d.enable_hidden) === 1) { skipped.hiddenDatabases++; continue; }
+    if (seenDatabases.has(normalize(name))) { skipped.duplicates++; continue; }
+    seenDatabases.add(normalize(name));
+    databases.push(compact({
+      name,
+      url: d.url,
+      description: plainText(d.description),
+      aliases: altNames(d.alt_names, name),
+      subjects: subjectNames(d.subjects, subjectsById),
+    }));
+  }
+
+  // Catalog C: link assets, keyed by asset id; the same link reused on several guides is kept once
+  const assets = {};
+  const seenAssets = new Set();
+  const sortedAssets = [...(dump.assets || [])].sort((a, b) => Number(a.id) - Number(b.id));
+  for (const a of sortedAssets) {
+    const name = plainText(a.name);
+    if (!name) continue;
+    if (!a.url) { skipped.assetsWithoutUrl++; continue; }
+    const key = `${normalize(name)}|${a.url}`;
+    if (seenAssets.has(key)) { skipped.duplicates++; continue; }
+    seenAssets.add(key);
+    const subjects = a.subjects ? subjectNames(a.subjects, subjectsById) : guideSubjects.get(String(a.guide_id));
+    assets[String(a.id)] = compact({
+      name,
+      url: a.url,
+      description: plainText(a.description),
+      subjects,
+      type: a.type ? plainText(a.type) : undefined,
+    });
+  }
+
+  guides.sort(byName);
+  databases.sort(byName);
+
+  return {
+    guides,
+    databases,
+    assets,
+    whitelistA: guides.map(g => ({ name: g.name })),
+    whitelistB: databases.map(d => ({ name: d.name })),
+    skipped,
+  };
+}
+
+// GET one API endpoint; every failure names LibGuides and the endpoint, never the key
+async function getEndpoint(base, endpoint, params, timeoutMs) {
+  const label = `LibGuides ${endpoint}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let resp;
+  let text;
+  try {
+    resp = await fetch(`${base}/${endpoint}?${new URLSearchParams(params)}`, {
+      headers: { Accept: "application/json" },
+      signal: controller.signal,
+    });
+    text = await resp.text();
+  } catch (e) {
+    if (e.name === "AbortError") throw new Error(`${label}: no answer from ${base} within ${timeoutMs}ms`);
+    const cause = e.cause?.errors?.[0] || e.cause; // undici wraps the socket error, sometimes in an AggregateError
+    throw new Error(`${label}: cannot reach ${base} (${cause?.code || cause?.message || e.message})`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (resp.status === 401 || resp.status === 403) {
+    throw new Error(`${label} HTTP ${resp.status}: check the site id and API key (LIBGUIDES_SITE_ID, LIBGUIDES_API_KEY)`);
+  }
+  if (!resp.ok) throw new Error(`${label} HTTP ${resp.status}: ${text.slice(0, 200)}`);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`${label} answered with something other than JSON: ${text.slice(0, 200)}`);
+  }
+  // An error object where the list should be (e.g. a site id the key does not cover) is a failure too
+  if (!Array.isArray(data)) throw new Error(`${label} did not return a list: ${JSON.stringify(data).slice(0, 200)}`);
+  return data;
+}
+
+/**
+ * Download an export from the LibGuides API (1.1, site id + key).
+ * @param {object} opts
+ * @param {string} opts.siteId
+ * @param {string} opts.key
+ * @param {string} [opts.apiUrl]
+ * @param {number} [opts.timeoutMs=30000] - per request
+ * @returns {Promise<{ guides: object[], az: object[], assets: object[], subjects: object[], exportedAt: string }>}
+ */
+async function fetchExport({ siteId, key, apiUrl = DEFAULT_API_URL, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!siteId || !key) throw new Error("LibGuides site id and API key are required (LIBGUIDES_SITE_ID, LIBGUIDES_API_KEY)");
+  const base = apiUrl.replace(/\/+$/, "");
+  const get = (endpoint, params = {}) => getEndpoint(base, endpoint, { site_id: siteId, key, ...params }, timeoutMs);
+
+  const [guides, az, assets, subjects] = await Promise.all([
+    get("guides", { expand: "subjects" }),
+    get("az", { expand: "subjects" }),
+    get("assets", { expand: "subjects" }),
+    get("subjects"),
+  ]);
+  return { exportedAt: new Date().toISOString(), guides, az, assets, subjects };
+}
+
+/* ------------------------------ Diff report ----------------------------- */
+
+const COMPARED_FIELDS = ["url", "description", "aliases", "subjects"];
+
+/**
+ * Compare two versions of a catalog by normalized name.
+ * @param {object[]} before
+ * @param {object[]} after
+ * @returns {{ added: string[], removed: string[], changed: { name: string, fields: string[] }[], unchanged: number }}
+ */
+function diffCatalog(before = [], after = []) {
+  const index = (items) => new Map(items.filter(it => it && it.name).map(it => [normalize(it.name), it]));
+  const old = index(before);
+  const next = index(after);
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [key, it] of next) {
+    const prev = old.get(key);
+    if (!prev) { diff.added.push(it.name); continue; }
+    const fields = COMPARED_FIELDS.filter(f => JSON.stringify(prev[f] ?? null) !== JSON.stringify(it[f] ?? null));
+    if (fields.length) diff.changed.push({ name: it.name, fields });
+    else diff.unchanged++;
+  }
+  for (const [key, it] of old) {
+    if (!next.has(key)) diff.removed.push(it.name);
+  }
+  return diff;
+}
+
+/**
+ * @param {object} report - { source, generatedAt, dryRun, skipped, files: { label: { file, before, after, diff } } }
+ * @returns {string} markdown
+ */
+function formatReport(report) {
+  const lines = [
+    "# LibGuides import report",
+    "",
+    `- Source: ${report.source}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Mode: ${report.dryRun ? "dry run (no files written)" : "files written"}`,
+    `- Skipped: ${Object.entries(report.skipped).map(([k, v]) => `${k} ${v}`).join(", ")}`,
+    "",
+    "| File | Before | After | Added | Removed | Changed |",
+    "| --- | ---: | ---: | ---: | ---: | ---: |",
+  ];
+  for (const f of Object.values(report.files)) {
+    lines.push(`| ${f.file} | ${f.before} | ${f.after} | ${f.diff.added.length} | ${f.diff.removed.length} | ${f.diff.changed.length} |`);
+  }
+  for (const [label, f] of Object.entries(report.files)) {
+    const { added, removed, changed } = f.diff;
+    if (!added.length && !removed.length && !changed.length) continue;
+    lines.push("", `## ${label} (${f.file})`);
+    if (added.length) lines.push("", `### Added (${added.length})`, ...added.map(n => `- ${n}`));
+    if (removed.length) lines.push("", `### Removed (${removed.length})`, ...removed.map(n => `- ${n}`));
+    if (changed.length) lines.push("", `### Changed (${changed.length})`, ...changed.map(c => `- ${c.name}: ${c.fields.join(", ")}`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  mapExport,
+  fetchExport,
+  diffCatalog,
+  formatReport,
+  plainText,
+};
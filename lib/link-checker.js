@@ -0,0 +1,375 @@
+/**
+ * Link Health Checker
+ *
+ * Periodically requests every catalog URL (HEAD, falling back to GET) and keeps
+ * a short status history per URL, so dead links and moved resources show up
+ * in an admin report instead of being handed out by search.
+ *
+ *   - Redirects are followed by hand (up to maxRedirects) to record the chain.
+ *   - EZproxy links (".../login?url=<target>") are checked at their target:
+ *     the proxy itself always answers with a redirect to the sign-in page.
+ *   - Requests run with a global and a per-host concurrency limit.
+ *   - A URL is "broken" only after failureThreshold failed checks in a row;
+ *     a single failure is "failing". Login walls and bot blocks (401/403,
+ *     redirects to a sign-in host) are "restricted", not broken.
+ *   - A run where most checks fail at the network level (checker offline,
+ *     DNS down) is discarded instead of marking every link broken.
+ *   - One run at a time. A call made mid-run with other URLs or another scope
+ *     (a catalog edit during the scheduled run, a manual full check during an
+ *     "only unchecked" one) is not dropped: it gets one follow-up run.
+ *
+ * History is persisted to a JSON file (atomic rename) and survives restarts.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const STATES = ["ok", "redirected", "restricted", "failing", "broken", "unchecked"];
+
+const DEFAULTS = {
+  concurrency: 4,
+  perHost: 2,             // be polite to the proxy and dbs.lib.byu.edu, which host most entries
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  historySize: 10,
+  failureThreshold: 2,
+  inconclusiveRatio: 0.5, // share of network-level failures that voids a run
+  userAgent: "BYU-Law-Library-LinkChecker/1.0",
+};
+
+const RESTRICTED_STATUS = new Set([401, 403, 407, 429]);
+const SIGN_IN = /(^|\.)(login|signin|sso|idp|auth|shibboleth)\.|\/(login|signin|sso|saml2?|shibboleth)(\/|\?|$)/i;
+
+// EZproxy starting point URLs carry the real destination in url= or qurl=
+function proxyTarget(url) {
+  try {
+    const u = new URL(url);
+    if (!/\/login\/?$/i.test(u.pathname)) return null;
+    const target = u.searchParams.get("url") || u.searchParams.get("qurl");
+    return target && /^https?:\/\//i.test(target) ? target : null;
+  } catch {
+    return null;
+  }
+}
+
+// Protocol, "www." and trailing slashes do not count as a move
+function sameResource(a, b) {
+  const key = (u) => String(u).toLowerCase().replace(/^https?:\/\/(www\.)?/, "").replace(/\/+$/, "");
+  return key(a) === key(b);
+}
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return ""; }
+}
+
+// Run jobs with at most `concurrency` in flight and `perHost` per host
+function runPool(jobs, { concurrency, perHost }, worker) {
+  const pending = [...jobs];
+  const activeByHost = new Map();
+  let running = 0;
+  return new Promise((resolve) => {
+    const next = () => {
+      if (!pending.length && !running) return resolve();
+      while (running < concurrency) {
+        const i = pending.findIndex(j => (activeByHost.get(j.host) || 0) < perHost);
+        if (i === -1) break;
+        const [job] = pending.splice(i, 1);
+        running++;
+        activeByHost.set(job.host, (activeByHost.get(job.host) || 0) + 1);
+        Promise.resolve()
+          .then(() => worker(job))
+          .catch(() => {})
+          .finally(() => {
+            running--;
+            activeByHost.set(job.host, activeByHost.get(job.host) - 1);
+            next();
+          });
+      }
+    };
+    next();
+  });
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.filePath] - history file; omitted = in memory only
+ * @param {Function} [opts.fetch] - fetch implementation (tests pass a stub)
+ * @param {number} [opts.concurrency=4]
+ * @param {number} [opts.perHost=2]
+ * @param {number} [opts.timeoutMs=10000]
+ * @param {number} [opts.maxRedirects=5]
+ * @param {number} [opts.historySize=10]
+ * @param {number} [opts.failureThreshold=2]
+ * @param {object} [opts.log=console]
+ */
+function createLinkChecker(opts = {}) {
+  const config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(opts).filter(([, v]) => v !== undefined)) };
+  const doFetch = config.fetch || fetch;
+  const log = config.log || console;
+
+  let links = new Map(); // url -> { url, checkedUrl, names, catalogs, history, state, since }
+  let lastRun = null;
+  let running = null;    // { promise, key } of the run in progress
+  let queued = null;     // { entries, onlyUnchecked, reason, promise, resolve, reject }: one follow-up run
+  let generation = 0;    // bumps when any state changes; part of the search cache key
+  let timers = [];
+
+  if (config.filePath) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(config.filePath, "utf8"));
+      links = new Map(Object.entries(saved.links || {}));
+      lastRun = saved.lastRun || null;
+    } catch {}
+  }
+
+  function save() {
+    if (!config.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(config.filePath), { recursive: true });
+      const tmp = `${config.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ lastRun, links: Object.fromEntries(links) }));
+      fs.renameSync(tmp, config.filePath);
+    } catch (e) {
+      log.error(`❌ Failed to save link history ${config.filePath}:`, e.message);
+    }
+  }
+
+  async function request(url, method) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    try {
+      const resp = await doFetch(url, {
+        method,
+        redirect: "manual",
+        signal: controller.signal,
+        headers: { "User-Agent": config.userAgent, Accept: "text/html,*/*" },
+      });
+      resp.body?.cancel?.().catch(() => {});
+      return resp;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check one URL, following redirects by hand.
+   * @returns {Promise<{ checkedAt, outcome, status, finalUrl, redirects, error, ms }>}
+   *   outcome: ok | redirected | restricted | failed; network marks failures without an HTTP answer
+   */
+  async function checkUrl(url) {
+    const started = Date.now();
+    const result = { checkedAt: new Date().toISOString(), outcome: "failed", status: null, finalUrl: url, redirects: 0, error: null, ms: 0 };
+    let current = url;
+    try {
+      for (let hop = 0; ; hop++) {
+        let resp = await request(current, "HEAD");
+        // Plenty of servers mishandle HEAD; confirm errors with a GET
+        if (resp.status >= 400) resp = await request(current, "GET");
+        result.status = resp.status;
+
+        const location = resp.headers.get("location");
+        if (resp.status >= 300 && resp.status < 400 && location) {
+          if (hop >= config.maxRedirects) {
+            result.error = `more than ${config.maxRedirects} redirects`;
+            break;
+          }
+          current = new URL(location, current).toString();
+          result.redirects++;
+          continue;
+        }
+
+        result.finalUrl = current;
+        const signIn = result.redirects && hostOf(current) !== hostOf(url) && SIGN_IN.test(current);
+        if (RESTRICTED_STATUS.has(resp.status) || (resp.status < 400 && signIn)) result.outcome = "restricted";
+        else if (resp.status >= 400) result.error = `HTTP ${resp.status}`;
+        else result.outcome = sameResource(url, current) ? "ok" : "redirected";
+        break;
+      }
+    } catch (e) {
+      result.network = true;
+      const cause = e.cause?.errors?.[0] || e.cause; // undici wraps the socket error, sometimes in an AggregateError
+      result.error = e.name === "AbortError" ? `timed out after ${config.timeoutMs}ms` : (cause?.code || cause?.message || e.message);
+    }
+    result.ms = Date.now() - started;
+    return result;
+  }
+
+  function summarize(record) {
+    const [last] = record.history;
+    if (!last) return "unchecked";
+    if (last.outcome !== "failed") return last.outcome;
+    const failures = record.history.slice(0, config.failureThreshold).filter(h => h.outcome === "failed").length;
+    return failures >= config.failureThreshold ? "broken" : "failing";
+  }
+
+  // entries: [{ url, name, catalog }] -> one job per distinct URL
+  function jobsFor(entries) {
+    const byUrl = new Map();
+    for (const e of entries) {
+      if (!e || !e.url) continue;
+      if (!byUrl.has(e.url)) {
+        const checkedUrl = proxyTarget(e.url) || e.url;
+        byUrl.set(e.url, { url: e.url, checkedUrl, host: hostOf(checkedUrl), names: new Set(), catalogs: new Set() });
+      }
+      byUrl.get(e.url).names.add(e.name);
+      byUrl.get(e.url).catalogs.add(e.catalog);
+    }
+    return [...byUrl.values()];
+  }
+
+  // Calls with the same URLs and scope can share a run
+  function runKey(entries, onlyUnchecked) {
+    return `${onlyUnchecked}|${[...new Set(entries.filter(e => e && e.url).map(e => e.url))].sort().join("\n")}`;
+  }
+
+  /**
+   * Check catalog URLs. A call with the same URLs and scope as the run in
+   * progress shares it; any other call made mid-run gets one follow-up run,
+   * started when the current one ends, with the latest call's entries (a
+   * full check if any waiting caller asked for one).
+   * @param {{ url: string, name: string, catalog: string }[]} entries - every catalog entry with a URL
+   * @param {object} [runOpts]
+   * @param {boolean} [runOpts.onlyUnchecked=false] - only URLs without history (e.g. after a catalog edit)
+   * @param {string} [runOpts.reason]
+   */
+  function checkAll(entries, { onlyUnchecked = false, reason = "scheduled" } = {}) {
+    if (!running) return startRun(entries, { onlyUnchecked, reason });
+    if (running.key === runKey(entries, onlyUnchecked)) return running.promise;
+
+    if (!queued) {
+      queued = { onlyUnchecked: true };
+      queued.promise = new Promise((resolve, reject) => Object.assign(queued, { resolve, reject }));
+    }
+    // A full check wins over "only unchecked", and keeps its reason
+    if (!onlyUnchecked || queued.onlyUnchecked) queued.reason = reason;
+    queued.onlyUnchecked = queued.onlyUnchecked && onlyUnchecked;
+    queued.entries = entries;
+    return queued.promise;
+  }
+
+  function startRun(entries, { onlyUnchecked, reason }) {
+    const promise = (async () => {
+      const jobs = jobsFor(entries);
+      const todo = onlyUnchecked ? jobs.filter(j => !links.get(j.url)?.history?.length) : jobs;
+      const startedAt = new Date().toISOString();
+      const started = Date.now();
+      const results = new Map();
+      await runPool(todo, config, async (job) => results.set(job.url, await checkUrl(job.checkedUrl)));
+
+      const network = [...results.values()].filter(r => r.network).length;
+      const run = { reason, startedAt, finishedAt: new Date().toISOString(), ms: Date.now() - started, checked: results.size, networkErrors: network };
+      if (results.size >= 10 && network / results.size > config.inconclusiveRatio) {
+        log.warn(`⚠️  Link check discarded: ${network}/${results.size} requests failed without an answer (is the network down?)`);
+        lastRun = { ...run, discarded: true };
+        save();
+        return lastRun;
+      }
+
+      // Keep history only for URLs still in the catalogs
+      const next = new Map();
+      for (const job of jobs) {
+        const prev = links.get(job.url);
+        const record = {
+          url: job.url,
+          checkedUrl: job.checkedUrl !== job.url ? job.checkedUrl : undefined,
+          names: [...job.names],
+          catalogs: [...job.catalogs],
+          history: prev?.history || [],
+          state: prev?.state || "unchecked",
+          since: prev?.since || null,
+        };
+        const result = results.get(job.url);
+        if (result) {
+          const { network: _network, ...entry } = result;
+          record.history = [entry, ...record.history].slice(0, config.historySize);
+          const state = summarize(record);
+          if (state !== record.state) {
+            record.state = state;
+            record.since = entry.checkedAt;
+            generation++;
+          }
+        }
+        next.set(job.url, record);
+      }
+      if (onlyUnchecked) {
+        for (const [url, record] of links) if (!next.has(url)) next.set(url, record);
+      }
+      links = next;
+      lastRun = { ...run, counts: counts() };
+      save();
+      log.log(`🔗 Link check (${reason}): ${results.size} URLs in ${Math.round(run.ms / 1000)}s ${JSON.stringify(lastRun.counts)}`);
+      return lastRun;
+    })().finally(() => {
+      running = null;
+      if (!queued) return;
+      const next = queued;
+      queued = null;
+      startRun(next.entries, next).then(next.resolve, next.reject);
+    });
+    running = { promise, key: runKey(entries, onlyUnchecked) };
+    return promise;
+  }
+
+  function counts() {
+    const out = Object.fromEntries(STATES.map(s => [s, 0]));
+    for (const record of links.values()) out[record.state] = (out[record.state] || 0) + 1;
+    return out;
+  }
+
+  /**
+   * Check now and then every intervalMs, resuming the schedule from the last saved run.
+   * @param {() => object[]} getEntries - current catalog entries
+   * @param {number} intervalMs
+   */
+  function start(getEntries, intervalMs, { initialDelayMs = 60 * 1000 } = {}) {
+    stop();
+    const lastFinished = lastRun?.finishedAt ? Date.parse(lastRun.finishedAt) : 0;
+    const firstIn = Math.max(initialDelayMs, lastFinished + intervalMs - Date.now());
+    const tick = () => checkAll(getEntries()).catch(e => log.error(`❌ Link check failed: ${e.message}`));
+    const first = setTimeout(() => {
+      tick();
+      const every = setInterval(tick, intervalMs);
+      every.unref?.();
+      timers.push(every);
+    }, firstIn);
+    first.unref?.();
+    timers.push(first);
+    return { nextRunAt: new Date(Date.now() + firstIn).toISOString() };
+  }
+
+  function stop() {
+    for (const t of timers) clearTimeout(t);
+    timers = [];
+  }
+
+  /**
+   * @param {object} [reportOpts]
+   * @param {string[]} [reportOpts.states] - defaults to everything but "ok"
+   * @param {string} [reportOpts.catalog]
+   */
+  function report({ states, catalog } = {}) {
+    const wanted = new Set(states && states.length ? states : STATES.filter(s => s !== "ok"));
+    const entries = [...links.values()]
+      .filter(r => wanted.has(r.state) && (!catalog || r.catalogs.includes(catalog)))
+      .sort((a, b) => STATES.indexOf(b.state) - STATES.indexOf(a.state) || a.url.localeCompare(b.url))
+      .map(({ history, ...r }) => ({ ...r, last: history[0] || null, history: history.map(h => ({ checkedAt: h.checkedAt, outcome: h.outcome, status: h.status })) }));
+    return { lastRun, running: Boolean(running), queued: Boolean(queued), counts: counts(), links: entries };
+  }
+
+  return {
+    checkUrl,
+    checkAll,
+    start,
+    stop,
+    report,
+    counts,
+    stateOf: (url) => links.get(url)?.state || "unchecked",
+    lastCheck: (url) => links.get(url)?.history?.[0] || null,
+    generation: () => generation,
+    isRunning: () => Boolean(running),
+    isQueued: () => Boolean(queued),
+    lastRun: () => lastRun,
+  };
+}
+
+module.exports = { createLinkChecker, proxyTarget, STATES };
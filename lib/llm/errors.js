@@ -0,0 +1,103 @@
+/**
+ * Typed upstream errors.
+ *
+ * Failures talking to a model (or embeddings) vendor are Errors named
+ * "UpstreamError" carrying:
+ *
+ *   kind          rate_limited | unavailable | server | timeout | network | client | circuit_open
+ *   status        HTTP status, 0 when no response arrived
+ *   retryable     worth another attempt after a backoff
+ *   retryAfterMs  the vendor's Retry-After (or Gemini RetryInfo) hint, or null
+ *
+ * Every kind except "client" is a service error: the search pipeline answers
+ * those in fallback mode instead of failing the request. The message keeps
+ * the "<label> HTTP <status>: <body>" form the logs have always shown.
+ */
+
+const RETRYABLE_KINDS = new Set(["rate_limited", "unavailable", "server", "network"]);
+const SERVICE_KINDS = new Set([...RETRYABLE_KINDS, "timeout", "circuit_open"]);
+
+function kindForStatus(status) {
+  if (status === 429) return "rate_limited";
+  if (status === 502 || status === 503 || status === 504) return "unavailable";
+  if (status >= 500) return "server";
+  return "client";
+}
+
+/**
+ * @param {string} kind
+ * @param {string} message
+ * @param {object} [opts]
+ * @param {number} [opts.status=0]
+ * @param {number|null} [opts.retryAfterMs=null]
+ * @param {Error} [opts.cause]
+ */
+function upstreamError(kind, message, { status = 0, retryAfterMs = null, cause } = {}) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.name = "UpstreamError";
+  err.kind = kind;
+  err.status = status;
+  err.retryable = RETRYABLE_KINDS.has(kind);
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+function isUpstreamError(err) {
+  return Boolean(err) && err.name === "UpstreamError";
+}
+
+// Errors from the AI provider that should degrade to catalog results rather than fail the request
+function isServiceError(err) {
+  return isUpstreamError(err) && SERVICE_KINDS.has(err.kind);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Gemini puts the hint in the body: { error: { details: [{ "@type": "...RetryInfo", retryDelay: "37s" }] } }
+function retryDelayFromBody(text) {
+  const match = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(text || "");
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+/**
+ * UpstreamError for a non-2xx fetch Response (reads the body).
+ * @param {string} label - vendor name for the message ("Gemini", "OpenAI", ...)
+ * @param {Response} resp
+ */
+async function responseError(label, resp) {
+  const text = await resp.text().catch(() => "");
+  return upstreamError(kindForStatus(resp.status), `${label} HTTP ${resp.status}: ${text.slice(0, 400)}`, {
+    status: resp.status,
+    retryAfterMs: parseRetryAfter(resp.headers.get("retry-after")) ?? retryDelayFromBody(text),
+  });
+}
+
+// fetch() failures: our abort timer fired, or the connection itself failed
+function transportError(error) {
+  if (isUpstreamError(error)) return error;
+  if (error && error.name === "AbortError") {
+    return upstreamError("timeout", "AI request timed out - try a simpler query", { cause: error });
+  }
+  if (error instanceof TypeError) {
+    const reason = error.cause?.code || error.cause?.message || error.message;
+    return upstreamError("network", `AI service unreachable: ${reason}`, { cause: error });
+  }
+  return error;
+}
+
+module.exports = {
+  upstreamError,
+  isUpstreamError,
+  isServiceError,
+  kindForStatus,
+  parseRetryAfter,
+  responseError,
+  transportError,
+};
@@ -0,0 +1,126 @@
+/**
+ * Google Gemini adapter (generativelanguage.googleapis.com).
+ *
+ * Resolves the first model from `candidates` that the API key can use for
+ * generateContent, falling back to whatever the models listing offers.
+ */
+
+const { fetchWithTimeout, postJson, postStream } = require("./http");
+const { responseError } = require("./errors");
+const { toWireSchema } = require("./schema");
+
+// v1beta: responseMimeType/responseSchema (structured output) are not available on v1 for every model
+const API_BASE = "https://generativelanguage.googleapis.com/v1beta";
+
+function createGeminiProvider({ apiKey, candidates = [], maxOutputTokens = 2048, timeoutMs } = {}) {
+  let resolvedModel = null;
+
+  async function firstWorkingModel() {
+    // Try known candidates
+    for (const m of candidates) {
+      const metaUrl = `${API_BASE}/models/${encodeURIComponent(m)}?key=${apiKey}`;
+      const r = await fetchWithTimeout(metaUrl, {}, timeoutMs);
+      if (!r.ok) continue;
+      const j = await r.json();
+      const methods = j?.supportedGenerationMethods || [];
+      if (methods.length === 0 || methods.includes("generateContent")) return m;
+    }
+    // Fall back to listing what your key can use
+    const j = await listModels().catch(() => null);
+    const arr = j?.models || [];
+    const pick =
+      arr.find(m => (m.supportedGenerationMethods||[]).includes("generateContent")) ||
+      arr[0];
+    if (pick?.name) return pick.name;
+    throw new Error("No working Gemini model found for your API key");
+  }
+
+  async function resolveModel() {
+    if (!resolvedModel) resolvedModel = await firstWorkingModel();
+    return resolvedModel;
+  }
+
+  async function listModels() {
+    const r = await fetchWithTimeout(`${API_BASE}/models?key=${apiKey}`, {}, timeoutMs);
+    if (!r.ok) throw await responseError("Gemini", r);
+    return r.json();
+  }
+
+  function generateUrl(model) {
+    return `${API_BASE}/models/${encodeURIComponent(model)}:generateContent?key=${apiKey}`;
+  }
+
+  function streamUrl(model) {
+    return `${API_BASE}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  }
+
+  function extractText(data) {
+    return data?.candidates?.[0]?.content?.parts?.map(p => p?.text || "").join("") ?? "";
+  }
+
+  function buildPayload(prompt, opts) {
+    const payload = {
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: opts.temperature ?? 0.3,
+        topK: 32,
+        topP: 0.9,
+        maxOutputTokens: opts.maxOutputTokens || maxOutputTokens,
+      },
+    };
+    if (opts.responseSchema) {
+      payload.generationConfig.responseMimeType = "application/json";
+      payload.generationConfig.responseSchema = toWireSchema(opts.responseSchema, { upperCaseTypes: true, additionalProperties: false });
+    }
+    return payload;
+  }
+
+  async function generate(prompt, opts = {}) {
+    const payload = buildPayload(prompt, opts);
+    let model = opts.model || await resolveModel();
+    let data;
+    try {
+      data = await postJson(generateUrl(model), payload, { label: "Gemini", timeoutMs });
+    } catch (err) {
+      // if we hit 404 once, re-resolve model and retry once
+      if (err.status !== 404 || opts.model) throw err;
+      resolvedModel = null;
+      model = await resolveModel();
+      data = await postJson(generateUrl(model), payload, { label: "Gemini", timeoutMs });
+    }
+
+    return { text: extractText(data), data: opts.wantRaw ? data : null, model };
+  }
+
+  // Same as generate(), but reads streamGenerateContent and reports text as it arrives
+  async function stream(prompt, opts = {}, onText = () => {}) {
+    const payload = buildPayload(prompt, opts);
+    const model = opts.model || await resolveModel();
+    const events = [];
+    let text = "";
+    await postStream(streamUrl(model), payload, {
+      label: "Gemini",
+      timeoutMs,
+      onData: (event) => {
+        if (opts.wantRaw) events.push(event);
+        const delta = extractText(event);
+        if (!delta) return;
+        text += delta;
+        onText(delta);
+      },
+    });
+    return { text, data: opts.wantRaw ? { events } : null, model };
+  }
+
+  return {
+    name: "gemini",
+    configError: apiKey ? null : "Server missing GEMINI_API_KEY",
+    resolveModel,
+    resetModel: () => { resolvedModel = null; },
+    listModels,
+    generate,
+    stream,
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,58 @@
+/**
+ * Hedged model calls: ask a second model when the first one is slow or
+ * failing, and take whichever answer comes back first.
+ *
+ * The losing request is not cancelled (the adapters have no abort hook); its
+ * answer is simply ignored.
+ */
+
+/**
+ * @param {() => Promise<any>} primary
+ * @param {() => Promise<any>} backup
+ * @param {object} opts
+ * @param {number} opts.afterMs - start the backup when the primary has not answered by then
+ * @param {(err: Error) => boolean} [opts.shouldHedge] - primary errors that start the backup at once; others reject
+ * @param {(reason: "slow"|"error", err?: Error) => void} [opts.onHedge]
+ * @returns {Promise<any>} the first successful answer; the primary's error when both fail
+ */
+function hedge(primary, backup, { afterMs, shouldHedge = () => true, onHedge = () => {} }) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let backupStarted = false;
+    let primaryError = null;
+    let pending = 1;
+
+    const succeed = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const fail = (err) => {
+      pending -= 1;
+      if (settled || pending > 0) return;
+      settled = true;
+      clearTimeout(timer);
+      reject(primaryError || err);
+    };
+    const startBackup = (reason, err) => {
+      if (backupStarted || settled) return;
+      backupStarted = true;
+      pending += 1;
+      onHedge(reason, err);
+      Promise.resolve().then(backup).then(succeed, fail);
+    };
+
+    const timer = setTimeout(() => startBackup("slow"), afterMs);
+    Promise.resolve().then(primary).then(succeed, (err) => {
+      primaryError = err;
+      if (!backupStarted && !settled && shouldHedge(err)) {
+        clearTimeout(timer);
+        startBackup("error", err);
+      }
+      fail(err);
+    });
+  });
+}
+
+module.exports = { hedge };
@@ -0,0 +1,93 @@
+/**
+ * Small fetch helpers shared by the LLM provider adapters. Failures are
+ * typed UpstreamErrors (see ./errors).
+ */
+
+const { responseError, transportError } = require("./errors");
+
+const DEFAULT_TIMEOUT_MS = 45000; // 45 second timeout
+
+/**
+ * fetch() with an AbortController timeout. Timeouts and connection failures
+ * surface as UpstreamErrors ("timeout", "network"), which the search pipeline
+ * answers in fallback mode.
+ */
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    throw transportError(error);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// POST a JSON payload; non-2xx responses throw an UpstreamError "<label> HTTP <status>: <body>"
+async function postJson(url, payload, { label, headers = {}, timeoutMs } = {}) {
+  const resp = await fetchWithTimeout(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload),
+  }, timeoutMs);
+
+  if (!resp.ok) throw await responseError(label, resp);
+  return resp.json();
+}
+
+// GET a JSON document; same error shape as postJson
+async function getJson(url, { label, headers = {}, timeoutMs } = {}) {
+  const resp = await fetchWithTimeout(url, { headers: { Accept: "application/json", ...headers } }, timeoutMs);
+
+  if (!resp.ok) throw await responseError(label, resp);
+  return resp.json();
+}
+
+/**
+ * POST a JSON payload and read a Server-Sent Events reply, calling
+ * onData(json) for every `data:` line ("[DONE]" ends the stream). The timeout
+ * covers the whole stream, not just the response headers.
+ */
+async function postStream(url, payload, { label, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, onData } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...headers },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    if (!resp.ok) throw await responseError(label, resp);
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+    const handleLine = (line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") return;
+      try {
+        onData(JSON.parse(data));
+      } catch (e) {
+        if (e instanceof SyntaxError) return; // keep-alive noise or a partial vendor event
+        throw e;
+      }
+    };
+    for await (const chunk of resp.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+  } catch (error) {
+    throw transportError(error);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+module.exports = { fetchWithTimeout, postJson, getJson, postStream, DEFAULT_TIMEOUT_MS };
@@ -0,0 +1,50 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every provider exposes the same interface so the search pipeline does not
+ * care which vendor answers:
+ *
+ *   name                      - "gemini" | "openai" | "mock"
+ *   configError               - string describing missing config, or null
+ *   resolveModel()            - Promise<string> model that will be used
+ *   resetModel()              - forget a cached model resolution
+ *   listModels()              - Promise<object> vendor model listing
+ *   generate(prompt, opts)    - Promise<{ text, data, model }>
+ *       opts: { wantRaw, model, temperature, maxOutputTokens, responseSchema }
+ *       responseSchema is a JSON Schema the reply must follow (schema-constrained output)
+ *   stream(prompt, opts, onText) - same as generate(), calling onText(delta) as the
+ *       reply streams in; resolves with the complete { text, data, model }
+ *   health()                  - circuit breaker state and retry counters
+ *
+ * Failures are typed UpstreamErrors (./errors). createLlmProvider() wraps
+ * every provider in ./resilience (retries with backoff, circuit breaker).
+ *
+ * Select a provider with LLM_PROVIDER (default "gemini").
+ */
+
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+const { createResilientProvider } = require("./resilience");
+const { isServiceError, isUpstreamError } = require("./errors");
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * @param {string} name - provider name (see PROVIDERS)
+ * @param {object} config - provider-specific settings
+ * @param {object} [config.resilience] - createResilientProvider() options (retries, delays, breaker)
+ */
+function createLlmProvider(name, config = {}) {
+  const factory = PROVIDERS[String(name || "gemini").toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return createResilientProvider(factory(config), config.resilience);
+}
+
+module.exports = { createLlmProvider, isServiceError, isUpstreamError, PROVIDERS };
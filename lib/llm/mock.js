@@ -0,0 +1,132 @@
+/**
+ * Deterministic mock provider for offline development and CI.
+ *
+ * Replays responses from a fixture file instead of calling a model:
+ *
+ * {
+ *   "default": "allowlist",          // "allowlist" | "empty"
+ *   "responses": [
+ *     { "query": "utah water law", "items": [{ "name": "...", "relevanceScore": 90, "matchReason": "..." }] },
+ *     { "query": "bankruptcy", "text": "[{\"name\": ...}]" },
+ *     { "query": "simulate outage", "error": { "status": 503, "message": "The model is overloaded" } },
+ *     { "query": "simulate quota", "error": { "status": 429, "retryAfter": 30 } },
+ *     { "query": "simulate delayed model", "delayMs": 3000, "items": [ ... ] },
+ *     { "query": "simulate stalled model", "model": "mock-backup", "items": [ ... ] }
+ *   ]
+ * }
+ *
+ * Fixtures are matched on the lowercased, trimmed user query taken from the
+ * prompt. Unmatched queries get the "default" behavior: "allowlist" answers
+ * with the first three names of the prompt's allowed list, "empty" with [].
+ * Prompts without a user query (e.g. /test-ai) get "OK".
+ *
+ * Errors are thrown as UpstreamErrors (kind from the status unless
+ * `error.kind` is given; `retryAfter` in seconds), like the real adapters.
+ * `delayMs` makes a fixture answer slowly; stream() spreads the delay over
+ * the chunks it emits, so progressive rendering can be tried offline.
+ * A fixture with `model` only answers requests for that model (opts.model) and
+ * wins over one without, which lets hedged requests (HEDGE_MODEL) be tried.
+ */
+
+const fs = require("node:fs");
+const { upstreamError, kindForStatus } = require("./errors");
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return { default: "allowlist", responses: [] };
+  try {
+    const data = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+    return {
+      default: data.default || "allowlist",
+      responses: Array.isArray(data.responses) ? data.responses : [],
+    };
+  } catch (e) {
+    console.error(`❌ Failed to load mock LLM fixtures ${fixturesPath}:`, e.message);
+    return { default: "allowlist", responses: [] };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function keyOf(query, model = "") {
+  return `${model}|${String(query || "").toLowerCase().replace(/\s+/g, " ").trim()}`;
+}
+
+// Pull the user query and allowed list back out of a search prompt
+function readPrompt(prompt) {
+  const queryMatch = /User Query:\s*(".*")\s*$/m.exec(prompt);
+  let query = "";
+  try { query = queryMatch ? JSON.parse(queryMatch[1]) : ""; } catch {}
+
+  const allowedMatch = /ALLOWED RESOURCES[^\n]*\n(.*)\n/.exec(prompt);
+  const allowed = allowedMatch ? allowedMatch[1].split(", ").filter(Boolean) : [];
+  return { query, allowed };
+}
+
+function createMockProvider({ fixturesPath, model = "mock-model" } = {}) {
+  const fixtures = loadFixtures(fixturesPath);
+  const byQuery = new Map(fixtures.responses.map(r => [keyOf(r.query, r.model), r]));
+
+  function fixtureFor(prompt, opts = {}) {
+    const { query } = readPrompt(prompt);
+    if (!query) return undefined;
+    return (opts.model && byQuery.get(keyOf(query, opts.model))) || byQuery.get(keyOf(query));
+  }
+
+  function respond(prompt, opts = {}) {
+    const { query, allowed } = readPrompt(prompt);
+    if (!query) return "OK"; // not a search prompt (e.g. /test-ai)
+    const fixture = fixtureFor(prompt, opts);
+
+    if (fixture?.error) {
+      const status = fixture.error.status || 500;
+      throw upstreamError(fixture.error.kind || kindForStatus(status), `Mock HTTP ${status}: ${fixture.error.message || "mock failure"}`, {
+        status,
+        retryAfterMs: fixture.error.retryAfter !== undefined ? fixture.error.retryAfter * 1000 : null,
+      });
+    }
+    if (fixture?.text !== undefined) return fixture.text;
+    if (fixture?.items) return JSON.stringify(fixture.items);
+
+    if (fixtures.default === "empty" || allowed.length === 0) return "[]";
+    return JSON.stringify(allowed.slice(0, 3).map((name, i) => ({
+      name,
+      relevanceScore: 90 - i * 10,
+      matchReason: "Mock recommendation from the allowed list",
+    })));
+  }
+
+  async function generate(prompt, opts = {}) {
+    const delayMs = fixtureFor(prompt, opts)?.delayMs || 0;
+    if (delayMs) await sleep(delayMs);
+    const text = respond(prompt, opts);
+    const data = { provider: "mock", model: opts.model || model, text };
+    return { text, data: opts.wantRaw ? data : null, model: opts.model || model };
+  }
+
+  // Replays the same text in small chunks, like a streamed model reply
+  async function stream(prompt, opts = {}, onText = () => {}) {
+    const delayMs = fixtureFor(prompt, opts)?.delayMs || 0;
+    const text = respond(prompt, opts);
+    const chunks = text.match(/[\s\S]{1,24}/g) || [];
+    for (const chunk of chunks) {
+      await sleep(delayMs / Math.max(1, chunks.length));
+      onText(chunk);
+    }
+    const data = { provider: "mock", model: opts.model || model, text };
+    return { text, data: opts.wantRaw ? data : null, model: opts.model || model };
+  }
+
+  return {
+    name: "mock",
+    configError: null,
+    resolveModel: async () => model,
+    resetModel: () => {},
+    listModels: async () => ({ models: [{ name: model, supportedGenerationMethods: ["generateContent"] }] }),
+    generate,
+    stream,
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,89 @@
+/**
+ * OpenAI-compatible chat completions adapter.
+ *
+ * Works with any server that implements POST /v1/chat/completions and
+ * GET /v1/models: OpenAI itself, a local Ollama (http://localhost:11434/v1)
+ * or a vLLM server.
+ */
+
+const { fetchWithTimeout, postJson, postStream } = require("./http");
+const { responseError } = require("./errors");
+const { toWireSchema } = require("./schema");
+
+function createOpenAIProvider({ baseUrl = "http://localhost:11434/v1", apiKey, model, maxOutputTokens = 2048, timeoutMs } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  async function listModels() {
+    const r = await fetchWithTimeout(`${base}/models`, { headers }, timeoutMs);
+    if (!r.ok) throw await responseError("OpenAI", r);
+    return r.json();
+  }
+
+  async function resolveModel() {
+    if (model) return model;
+    const j = await listModels();
+    const pick = j?.data?.[0]?.id;
+    if (!pick) throw new Error(`No models available at ${base}`);
+    model = pick;
+    return model;
+  }
+
+  function buildPayload(useModel, prompt, opts) {
+    const payload = {
+      model: useModel,
+      messages: [{ role: "user", content: prompt }],
+      temperature: opts.temperature ?? 0.3,
+      top_p: 0.9,
+      max_tokens: opts.maxOutputTokens || maxOutputTokens,
+    };
+    if (opts.responseSchema) {
+      payload.response_format = {
+        type: "json_schema",
+        json_schema: { name: "response", strict: true, schema: toWireSchema(opts.responseSchema) },
+      };
+    }
+    return payload;
+  }
+
+  async function generate(prompt, opts = {}) {
+    const useModel = opts.model || await resolveModel();
+    const payload = buildPayload(useModel, prompt, opts);
+    const data = await postJson(`${base}/chat/completions`, payload, { label: "OpenAI", headers, timeoutMs });
+    const text = data?.choices?.[0]?.message?.content ?? "";
+    return { text, data: opts.wantRaw ? data : null, model: useModel };
+  }
+
+  // Same as generate() with `stream: true`; reports content deltas as they arrive
+  async function stream(prompt, opts = {}, onText = () => {}) {
+    const useModel = opts.model || await resolveModel();
+    const payload = { ...buildPayload(useModel, prompt, opts), stream: true };
+    const events = [];
+    let text = "";
+    await postStream(`${base}/chat/completions`, payload, {
+      label: "OpenAI",
+      headers,
+      timeoutMs,
+      onData: (event) => {
+        if (opts.wantRaw) events.push(event);
+        const delta = event?.choices?.[0]?.delta?.content;
+        if (!delta) return;
+        text += delta;
+        onText(delta);
+      },
+    });
+    return { text, data: opts.wantRaw ? { events } : null, model: useModel };
+  }
+
+  return {
+    name: "openai",
+    configError: null, // local servers usually need no key
+    resolveModel,
+    resetModel: () => {},
+    listModels,
+    generate,
+    stream,
+  };
+}
+
+module.exports = { createOpenAIProvider };
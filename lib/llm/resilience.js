@@ -0,0 +1,187 @@
+/**
+ * Resilient provider wrapper: retries with backoff and a circuit breaker
+ * around generate() and stream() of any provider.
+ *
+ *   - Retryable UpstreamErrors (429, 5xx, network) are retried up to
+ *     `retries` times with exponential backoff and jitter. A longer
+ *     Retry-After from the vendor is honored; one beyond `maxDelayMs` is not
+ *     waited out: the call fails now and the breaker keeps calls off the
+ *     vendor until it has passed.
+ *   - A stream is only retried while it has not delivered any text.
+ *   - After `failureThreshold` calls in a row fail with service errors the
+ *     breaker opens: calls fail at once with a "circuit_open" UpstreamError
+ *     (the pipeline answers in fallback mode) for `cooldownMs`, or the
+ *     vendor's Retry-After if longer. Then it lets a single probe call
+ *     through (half-open): success closes it, failure opens it again.
+ *   - Client errors (4xx other than 429) mean the vendor is up; they end a
+ *     failure streak and are never retried.
+ *
+ * health() reports the breaker state and counters for /health.
+ */
+
+const { upstreamError, isUpstreamError, isServiceError } = require("./errors");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with "equal jitter": half the step fixed, half random
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.failureThreshold=5] - consecutive failed calls that open the breaker
+ * @param {number} [opts.cooldownMs=30000] - how long it stays open before a probe
+ * @param {() => number} [opts.now=Date.now]
+ */
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+  let state = "closed"; // closed | open | half_open
+  let failures = 0;
+  let openedAt = null;
+  let retryAt = null;
+  let probing = false;
+  let lastError = null;
+
+  // May a call go out now? In half-open state only one probe at a time.
+  function allow() {
+    if (state === "open" && now() >= retryAt) state = "half_open";
+    if (state === "closed") return true;
+    if (state === "half_open" && !probing) {
+      probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  function success() {
+    if (state !== "closed") console.log("✅ Model circuit closed: provider answered again");
+    state = "closed";
+    failures = 0;
+    openedAt = null;
+    retryAt = null;
+    probing = false;
+  }
+
+  function failure(err) {
+    failures += 1;
+    lastError = { kind: err.kind, status: err.status, message: err.message.slice(0, 200), at: new Date(now()).toISOString() };
+    probing = false;
+    if (state === "half_open" || failures >= failureThreshold) {
+      state = "open";
+      openedAt = now();
+      retryAt = openedAt + Math.max(cooldownMs, err.retryAfterMs || 0);
+      console.log(`🔌 Model circuit open after ${failures} failure${failures === 1 ? "" : "s"} (${err.kind}); next probe at ${new Date(retryAt).toISOString()}`);
+    }
+  }
+
+  // The call ended without telling us anything about the vendor (e.g. a bug in a callback)
+  function release() {
+    probing = false;
+  }
+
+  function snapshot() {
+    if (state === "open" && now() >= retryAt) state = "half_open";
+    return {
+      state,
+      consecutiveFailures: failures,
+      failureThreshold,
+      cooldownMs,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+      lastError,
+    };
+  }
+
+  return {
+    allow,
+    success,
+    failure,
+    release,
+    snapshot,
+    state: () => state,
+    retryInMs: () => Math.max(0, (retryAt || 0) - now()),
+  };
+}
+
+/**
+ * @param {object} provider - see ./index.js for the interface
+ * @param {object} [opts]
+ * @param {number} [opts.retries=2] - extra attempts per call
+ * @param {number} [opts.baseDelayMs=500]
+ * @param {number} [opts.maxDelayMs=8000] - longest wait between attempts
+ * @param {object} [opts.breaker] - createCircuitBreaker() options
+ * @param {(ms: number) => Promise<void>} [opts.sleep]
+ */
+function createResilientProvider(provider, { retries = 2, baseDelayMs = 500, maxDelayMs = 8000, breaker: breakerOpts, sleep: wait = sleep } = {}) {
+  const breaker = createCircuitBreaker(breakerOpts);
+  const counts = { calls: 0, failures: 0, retries: 0, shortCircuited: 0 };
+
+  // Delay before the next attempt, or null when this error should not be retried.
+  // Probes (and calls still running when the breaker opened) get a single attempt.
+  function retryDelay(err, attempt, canRetry) {
+    if (attempt >= retries || !err.retryable || !canRetry() || breaker.state() !== "closed") return null;
+    const backoff = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+    if (err.retryAfterMs === null || err.retryAfterMs === undefined) return backoff;
+    return err.retryAfterMs <= maxDelayMs ? Math.max(backoff, err.retryAfterMs) : null;
+  }
+
+  async function call(what, fn, canRetry = () => true) {
+    counts.calls += 1;
+    if (!breaker.allow()) {
+      counts.shortCircuited += 1;
+      const retryAfterMs = breaker.retryInMs();
+      throw upstreamError("circuit_open", `${provider.name} circuit open after repeated failures - not calling it for ${Math.ceil(retryAfterMs / 1000)}s`, { status: 503, retryAfterMs });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const out = await fn();
+        breaker.success();
+        return out;
+      } catch (err) {
+        if (!isUpstreamError(err)) {
+          breaker.release();
+          throw err;
+        }
+        if (!isServiceError(err)) {
+          breaker.success(); // the vendor answered; the request itself was wrong
+          throw err;
+        }
+        const delay = retryDelay(err, attempt, canRetry);
+        if (delay === null) {
+          counts.failures += 1;
+          breaker.failure(err);
+          throw err;
+        }
+        counts.retries += 1;
+        console.log(`🔁 ${provider.name} ${what} failed (${err.kind}${err.status ? ` ${err.status}` : ""}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await wait(delay);
+      }
+    }
+  }
+
+  function generate(prompt, opts = {}) {
+    return call("generate", () => provider.generate(prompt, opts));
+  }
+
+  function stream(prompt, opts = {}, onText = () => {}) {
+    let delivered = false;
+    const relay = (delta) => {
+      delivered = true;
+      onText(delta);
+    };
+    return call("stream", () => provider.stream(prompt, opts, relay), () => !delivered);
+  }
+
+  return {
+    ...provider,
+    generate,
+    ...(provider.stream ? { stream } : {}),
+    health: () => ({ ...breaker.snapshot(), ...counts }),
+  };
+}
+
+module.exports = { createResilientProvider, createCircuitBreaker, backoffDelay };
@@ -0,0 +1,38 @@
+/**
+ * Convert a JSON Schema into the subset model vendors accept for
+ * schema-constrained output. Validation-only keywords (minimum, maxLength,
+ * ...) are dropped here and enforced locally by lib/structured-output.js.
+ */
+
+const WIRE_KEYWORDS = new Set(["type", "properties", "items", "required", "enum", "description", "additionalProperties"]);
+
+/**
+ * @param {object} schema - JSON Schema
+ * @param {object} [opts]
+ * @param {boolean} [opts.upperCaseTypes=false] - Gemini expects "OBJECT", "STRING", ...
+ * @param {boolean} [opts.additionalProperties=true] - keep additionalProperties (OpenAI strict mode needs it; Gemini rejects it)
+ */
+function toWireSchema(schema, opts = {}) {
+  if (!schema || typeof schema !== "object") return schema;
+  const keepAdditional = opts.additionalProperties !== false;
+  const out = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (!WIRE_KEYWORDS.has(key)) continue;
+    if (key === "additionalProperties" && !keepAdditional) continue;
+
+    if (key === "type") {
+      out.type = opts.upperCaseTypes ? String(value).toUpperCase() : value;
+    } else if (key === "properties") {
+      out.properties = {};
+      for (const [prop, sub] of Object.entries(value)) out.properties[prop] = toWireSchema(sub, opts);
+    } else if (key === "items") {
+      out.items = toWireSchema(value, opts);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+module.exports = { toWireSchema };
@@ -0,0 +1,124 @@
+/**
+ * Query Analysis
+ *
+ * Sits between normalize() and the scorers:
+ *
+ *   normalize → abbreviation expansion → stop-word removal → stemming
+ *             → synonym expansion (lower weight)
+ *
+ * The same tokenize() (normalize + stop words + stemming) is used to build
+ * the catalog indexes, so "contracts" meets "Contract Law" and "immigrant"
+ * meets "Immigration".
+ *
+ * The abbreviation/synonym/stop-word dictionary lives in legal-synonyms.json:
+ *   abbreviations - replace the phrase ("con law" → "constitutional law"), full weight
+ *   synonyms      - add related terms next to the original, SYNONYM_WEIGHT
+ *   stopWords     - dropped from queries and catalog text alike
+ * Keys are matched against normalize()d text on word boundaries.
+ */
+
+const fs = require("node:fs");
+const { stem } = require("./stemmer");
+
+const SYNONYM_WEIGHT = 0.5;
+
+function normalize(s) {
+  return String(s || "")
+    // smart quotes & dashes -> ASCII
+    .replace(/[’‘]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[@™©®]/g, " ")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function loadDictionary(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    console.log(`📚 Loaded query dictionary: ${Object.keys(data.abbreviations || {}).length} abbreviations, ${Object.keys(data.synonyms || {}).length} synonyms, ${(data.stopWords || []).length} stop words`);
+    return data;
+  } catch (e) {
+    console.error(`❌ Failed to load query dictionary ${filePath}:`, e.message);
+    return {};
+  }
+}
+
+// Normalize dictionary keys and order phrases longest first so "con law" wins over "law"
+function phraseTable(map = {}) {
+  return Object.entries(map)
+    .map(([phrase, list]) => [normalize(phrase), (Array.isArray(list) ? list : [list]).map(normalize).filter(Boolean)])
+    .filter(([phrase, list]) => phrase && list.length)
+    .sort((a, b) => b[0].length - a[0].length);
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * @param {object} [dictionary] - { abbreviations, synonyms, stopWords }
+ */
+function createQueryAnalyzer(dictionary = {}) {
+  const stopWords = new Set((dictionary.stopWords || []).map(normalize));
+  const abbreviations = phraseTable(dictionary.abbreviations);
+  const synonyms = phraseTable(dictionary.synonyms);
+
+  // Shared by catalog indexing and queries
+  function tokenize(text) {
+    return normalize(text)
+      .split(" ")
+      .filter(t => t.length >= 2 && !stopWords.has(t))
+      .map(stem);
+  }
+
+  /**
+   * @param {string} query
+   * @returns {{
+   *   normalized: string,
+   *   variants: string[],                       // normalized query + abbreviation-expanded form
+   *   terms: { term: string, weight: number }[],// weighted, stemmed index terms
+   *   expansions: { from: string, to: string[], kind: string }[]
+   * }}
+   */
+  function analyze(query) {
+    const normalized = normalize(query);
+    const weights = new Map();
+    const expansions = [];
+    const add = (text, weight) => {
+      for (const t of tokenize(text)) weights.set(t, Math.max(weights.get(t) || 0, weight));
+    };
+
+    // Abbreviations replace the phrase in an expanded variant of the query
+    let expanded = normalized;
+    for (const [phrase, list] of abbreviations) {
+      if (!containsPhrase(expanded, phrase)) continue;
+      expansions.push({ from: phrase, to: list, kind: "abbreviation" });
+      expanded = ` ${expanded} `.replace(` ${phrase} `, ` ${list[0]} `).trim();
+      for (const alt of list.slice(1)) add(alt, 1);
+    }
+    add(expanded, 1);
+    if (expanded !== normalized) add(normalized, SYNONYM_WEIGHT);
+
+    // Synonyms add related terms alongside the original
+    for (const [phrase, list] of synonyms) {
+      if (!containsPhrase(expanded, phrase)) continue;
+      expansions.push({ from: phrase, to: list, kind: "synonym" });
+      for (const alt of list) add(alt, SYNONYM_WEIGHT);
+    }
+
+    return {
+      normalized,
+      variants: expanded !== normalized ? [normalized, expanded] : [normalized],
+      terms: [...weights.entries()].map(([term, weight]) => ({ term, weight })),
+      expansions,
+    };
+  }
+
+  return { tokenize, analyze };
+}
+
+module.exports = { normalize, stem, loadDictionary, createQueryAnalyzer, SYNONYM_WEIGHT };
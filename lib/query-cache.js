@@ -0,0 +1,135 @@
+/**
+ * Query Result Cache
+ *
+ * Caches finished search results so repeated queries ("utah water law" typed
+ * by a whole class) skip the shortlist and model round trip.
+ *
+ * - TTL and size bound (least recently used entries are evicted first)
+ * - Pluggable backend: in-memory (default) or file-backed (survives restarts)
+ * - Hit/miss counters for /health and debug diagnostics
+ *
+ * A backend is any object with get(key), set(key, entry), delete(key),
+ * clear() and size(). Entries are { value, expiresAt }.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+// Map keeps insertion order, so re-inserting on read gives LRU eviction for free
+function createMemoryBackend({ maxEntries = 500 } = {}) {
+  const map = new Map();
+  return {
+    name: "memory",
+    get(key) {
+      const entry = map.get(key);
+      if (entry) {
+        map.delete(key);
+        map.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    delete: (key) => map.delete(key),
+    clear: () => map.clear(),
+    size: () => map.size,
+    entries: () => map.entries(),
+  };
+}
+
+// Memory backend persisted to a JSON file (debounced, atomic rename)
+function createFileBackend({ filePath, maxEntries = 500, flushDelayMs = 2000, label = "query cache" } = {}) {
+  const memory = createMemoryBackend({ maxEntries });
+  let flushTimer = null;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved || {})) {
+        if (entry && entry.expiresAt > now) memory.set(key, entry);
+      }
+      console.log(`💾 Loaded ${memory.size()} ${label} entries from ${filePath}`);
+    }
+  } catch (e) {
+    console.error(`❌ Failed to load ${label} ${filePath}:`, e.message);
+  }
+
+  function flush() {
+    flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(memory.entries())));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.error(`❌ Failed to write ${label} ${filePath}:`, e.message);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    flushTimer.unref();
+  }
+
+  return {
+    name: "file",
+    get: (key) => memory.get(key),
+    set(key, entry) {
+      memory.set(key, entry);
+      scheduleFlush();
+    },
+    delete(key) {
+      const removed = memory.delete(key);
+      scheduleFlush();
+      return removed;
+    },
+    clear() {
+      memory.clear();
+      scheduleFlush();
+    },
+    size: () => memory.size(),
+    flush,
+  };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.ttlMs=3600000] - entry lifetime
+ * @param {object} [opts.backend] - storage backend (defaults to in-memory)
+ */
+function createQueryCache({ ttlMs = 60 * 60 * 1000, backend = createMemoryBackend() } = {}) {
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(key) {
+      const entry = backend.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        hits++;
+        return entry.value;
+      }
+      if (entry) backend.delete(key);
+      misses++;
+      return undefined;
+    },
+    set(key, value) {
+      backend.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    clear: () => backend.clear(),
+    stats: () => ({
+      backend: backend.name,
+      size: backend.size(),
+      ttlSeconds: Math.round(ttlMs / 1000),
+      hits,
+      misses,
+      hitRate: hits + misses ? Number((hits / (hits + misses)).toFixed(3)) : 0,
+    }),
+  };
+}
+
+module.exports = { createQueryCache, createMemoryBackend, createFileBackend };
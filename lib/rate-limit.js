@@ -0,0 +1,171 @@
+/**
+ * Rate Limiter
+ *
+ * Checks a request against several limits at once (per forwarded client, per
+ * route, per API key, ...) and only counts it when every one allows it, so a
+ * rejected request does not use up anyone's allowance.
+ *
+ *   const limiter = createRateLimiter({ algorithm: "sliding-window", store });
+ *   limiter.consume([
+ *     { id: "client", key: "client:3f2a...", limit: 10, windowMs: 60000 },
+ *     { id: "key", key: "key:9c1e...", limit: 600, windowMs: 60000 },
+ *   ]);
+ *   // → { allowed, limit, remaining, resetMs, retryAfterMs, rule, policy }
+ *
+ * Algorithms:
+ *   sliding-window  counts in fixed windows, weighting the previous window by
+ *                   how much of it still overlaps the last windowMs; no burst
+ *                   at window edges, two numbers of state per key
+ *   token-bucket    `limit` tokens refilled evenly over windowMs; allows
+ *                   short bursts up to `limit`, then a steady rate
+ *
+ * The result describes the most restrictive limit, for the RateLimit-* and
+ * Retry-After headers (see rateLimitHeaders).
+ *
+ * Stores are the backends from lib/query-cache.js (get/set/delete/size over
+ * { value, expiresAt } entries): createMemoryBackend, or createFileBackend so
+ * the counts survive a restart.
+ */
+
+const { createMemoryBackend } = require("./query-cache");
+
+const ALGORITHMS = {
+  "sliding-window": {
+    take(state, { limit, windowMs }, now) {
+      const start = Math.floor(now / windowMs) * windowMs;
+      let { start: prevStart = start, count = 0, previous = 0 } = state || {};
+      if (prevStart !== start) {
+        previous = prevStart === start - windowMs ? count : 0;
+        count = 0;
+      }
+      const overlap = 1 - (now - start) / windowMs;
+      const used = previous * overlap + count;
+      const allowed = used + 1 <= limit;
+      const next = { start, count: allowed ? count + 1 : count, previous };
+
+      // When would one more request fit? The previous window's weight shrinks
+      // linearly; a full current window has to roll over first.
+      let retryAfterMs = 0;
+      if (!allowed) {
+        if (count + 1 <= limit && previous > 0) {
+          retryAfterMs = Math.ceil(windowMs * (1 - (limit - 1 - count) / previous) - (now - start));
+        } else {
+          retryAfterMs = Math.ceil(start + windowMs - now + windowMs * Math.max(0, 1 - (limit - 1) / Math.max(1, count)));
+        }
+      }
+      return {
+        state: next,
+        allowed,
+        remaining: Math.max(0, Math.floor(limit - used - (allowed ? 1 : 0))),
+        resetMs: start + windowMs - now,
+        retryAfterMs: Math.max(0, retryAfterMs),
+      };
+    },
+  },
+
+  "token-bucket": {
+    take(state, { limit, windowMs }, now) {
+      const perMs = limit / windowMs;
+      const { tokens: saved = limit, at = now } = state || {};
+      const tokens = Math.min(limit, saved + (now - at) * perMs);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      return {
+        state: { tokens: left, at: now },
+        allowed,
+        remaining: Math.floor(left),
+        resetMs: Math.ceil((limit - left) / perMs), // until the bucket is full again
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / perMs),
+      };
+    },
+  },
+};
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.algorithm="sliding-window"] - see ALGORITHMS
+ * @param {object} [opts.store] - lib/query-cache.js backend (defaults to in-memory)
+ * @param {() => number} [opts.now=Date.now]
+ */
+function createRateLimiter({ algorithm = "sliding-window", store = createMemoryBackend({ maxEntries: 10000 }), now = Date.now } = {}) {
+  const impl = ALGORITHMS[algorithm];
+  if (!impl) throw new Error(`Unknown rate limit algorithm "${algorithm}" (expected one of: ${Object.keys(ALGORITHMS).join(", ")})`);
+  let limited = 0;
+
+  function read(key, t) {
+    const entry = store.get(key);
+    return entry && entry.expiresAt > t ? entry.value : null;
+  }
+
+  /**
+   * @param {{ id: string, key: string, limit: number, windowMs: number }[]} rules - rules with limit <= 0 are ignored
+   * @returns {{ allowed: boolean, limit: number, remaining: number, resetMs: number, retryAfterMs: number, rule: string, policy: string }|null} null when no rule applies
+   */
+  function consume(rules) {
+    const t = now();
+    const checks = rules
+      .filter(rule => rule.limit > 0)
+      .map(rule => ({ rule, ...impl.take(read(rule.key, t), rule, t) }));
+    if (!checks.length) return null;
+
+    const allowed = checks.every(c => c.allowed);
+    if (allowed) {
+      for (const { rule, state } of checks) store.set(rule.key, { value: state, expiresAt: t + 2 * rule.windowMs });
+    } else {
+      limited++;
+    }
+
+    // Report the limit that bites: a failing one with the longest wait, else the one with the fewest requests left
+    const [worst] = allowed
+      ? [...checks].sort((a, b) => a.remaining - b.remaining)
+      : checks.filter(c => !c.allowed).sort((a, b) => b.retryAfterMs - a.retryAfterMs);
+    return {
+      allowed,
+      limit: worst.rule.limit,
+      remaining: allowed ? worst.remaining : 0,
+      resetMs: worst.resetMs,
+      retryAfterMs: worst.retryAfterMs,
+      rule: worst.rule.id,
+      policy: checks.map(c => `${c.rule.limit};w=${Math.round(c.rule.windowMs / 1000)}`).join(", "),
+    };
+  }
+
+  return {
+    consume,
+    stats: () => ({ algorithm, store: store.name, tracked: store.size(), limited }),
+  };
+}
+
+/**
+ * RateLimit-* headers (IETF httpapi draft) plus Retry-After when limited.
+ * @param {object|null} result - consume() result
+ * @returns {Object<string, string>}
+ */
+function rateLimitHeaders(result) {
+  if (!result) return {};
+  const headers = {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+    "RateLimit-Policy": result.policy,
+  };
+  if (!result.allowed) headers["Retry-After"] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  return headers;
+}
+
+/**
+ * Parse "name=limit,name=limit" (RATE_LIMIT_ROUTES).
+ * @returns {Object<string, number>}
+ */
+function parseLimitList(value) {
+  const limits = {};
+  for (const part of String(value || "").split(",")) {
+    const at = part.lastIndexOf("=");
+    if (at <= 0) continue;
+    const limit = Number(part.slice(at + 1));
+    if (Number.isFinite(limit)) limits[part.slice(0, at).trim()] = limit;
+  }
+  return limits;
+}
+
+module.exports = { createRateLimiter, rateLimitHeaders, parseLimitList, ALGORITHMS };
@@ -0,0 +1,204 @@
+/**
+ * Relevance Evaluation
+ *
+ * Scores ranked search results against a golden set of graded judgements and
+ * compares two evaluation runs (scripts/eval-relevance.js, `npm run eval`).
+ *
+ * Golden set (fixtures/eval/golden-queries.json):
+ *
+ *   {
+ *     "k": 8,
+ *     "queries": [
+ *       { "id": "water-law", "query": "water law", "relevant": { "Water Law": 3, "Environmental Law": 1 } }
+ *     ],
+ *     "legalAdvice": [
+ *       { "query": "should I sue my landlord", "expected": true },
+ *       { "query": "landlord tenant law", "expected": false }
+ *     ]
+ *   }
+ *
+ * Grades: 3 = the resource a librarian would point to first, 2 = clearly
+ * useful, 1 = relevant but secondary; anything not listed counts as 0.
+ * Resources are matched on their normalized name.
+ *
+ * Metrics, all at cut-off k over the results the search returned:
+ *   ndcg       DCG with gain 2^grade - 1 and log2(rank + 1) discount, divided
+ *              by the DCG of the ideal ordering of the judged resources
+ *   precision  judged-relevant results / results returned (up to k), so a
+ *              short, clean list is not punished for the quality cut
+ *   recall     judged-relevant results / judged-relevant resources
+ *
+ * Thresholds (fixtures/eval/thresholds.json, `--thresholds`) are the floors a
+ * full run must reach; `npm test` runs the mock evaluation against them:
+ *
+ *   { "ndcg": 0.7, "legalAdviceAccuracy": 1 }
+ */
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+  return values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+}
+
+function dcg(grades) {
+  return grades.reduce((sum, grade, i) => sum + (Math.pow(2, grade) - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * Score one query's ranked result names.
+ * @param {string[]} names - result names, best first
+ * @param {Object<string, number>} relevant - judged resource name → grade
+ * @param {object} opts
+ * @param {number} opts.k
+ * @param {(text: string) => string} opts.normalize
+ * @returns {{ ndcg: number, precision: number, recall: number, firstRelevant: number|null, found: string[], missing: string[] }}
+ */
+function scoreQuery(names, relevant, { k, normalize }) {
+  const judged = new Map(Object.entries(relevant || {}).map(([name, grade]) => [normalize(name), { name, grade: Number(grade) || 0 }]));
+  const top = names.slice(0, k);
+  const grades = top.map(name => judged.get(normalize(name))?.grade || 0);
+  const ideal = [...judged.values()].map(j => j.grade).filter(g => g > 0).sort((a, b) => b - a).slice(0, k);
+  const relevantTotal = [...judged.values()].filter(j => j.grade > 0).length;
+  const hits = grades.filter(g => g > 0).length;
+  const found = new Set(top.map(normalize));
+  const firstRelevant = grades.findIndex(g => g > 0);
+
+  return {
+    ndcg: ideal.length ? round(dcg(grades) / dcg(ideal)) : 0,
+    precision: top.length ? round(hits / top.length) : 0,
+    recall: relevantTotal ? round(hits / relevantTotal) : 0,
+    firstRelevant: firstRelevant === -1 ? null : firstRelevant + 1,
+    found: [...judged.entries()].filter(([key, j]) => j.grade > 0 && found.has(key)).map(([, j]) => j.name),
+    missing: [...judged.entries()].filter(([key, j]) => j.grade > 0 && !found.has(key)).map(([, j]) => j.name),
+  };
+}
+
+/**
+ * Confusion counts for the legal-advice cases.
+ * @param {{ expected: boolean, detected: boolean }[]} cases
+ */
+function scoreLegalAdvice(cases) {
+  const tp = cases.filter(c => c.expected && c.detected).length;
+  const fp = cases.filter(c => !c.expected && c.detected).length;
+  const fn = cases.filter(c => c.expected && !c.detected).length;
+  return {
+    cases: cases.length,
+    correct: cases.filter(c => c.expected === c.detected).length,
+    accuracy: cases.length ? round(cases.filter(c => c.expected === c.detected).length / cases.length) : 0,
+    precision: tp + fp ? round(tp / (tp + fp)) : 0,
+    recall: tp + fn ? round(tp / (tp + fn)) : 0,
+    missed: cases.filter(c => c.expected && !c.detected).map(c => c.query),
+    falseAlarms: cases.filter(c => !c.expected && c.detected).map(c => c.query),
+  };
+}
+
+/**
+ * Means over the scored queries.
+ * @param {{ ndcg: number, precision: number, recall: number, results: string[] }[]} queries
+ */
+function summarize(queries) {
+  return {
+    queries: queries.length,
+    ndcg: mean(queries.map(q => q.ndcg)),
+    precision: mean(queries.map(q => q.precision)),
+    recall: mean(queries.map(q => q.recall)),
+    zeroResults: queries.filter(q => !q.results.length).length,
+  };
+}
+
+/**
+ * What changed between two runs of the same golden set.
+ * @param {object} base - earlier run (scripts/eval-relevance.js output)
+ * @param {object} run - current run
+ * @param {object} [opts]
+ * @param {number} [opts.threshold=0.01] - per-query nDCG change that counts as a change
+ */
+function compareRuns(base, run, { threshold = 0.01 } = {}) {
+  const before = new Map(base.queries.map(q => [q.id, q]));
+  const changes = [];
+  for (const q of run.queries) {
+    const prev = before.get(q.id);
+    if (!prev) continue;
+    const delta = round(q.ndcg - prev.ndcg);
+    if (Math.abs(delta) >= threshold) {
+      changes.push({ id: q.id, query: q.query, before: prev.ndcg, after: q.ndcg, delta });
+    }
+  }
+  const legalBefore = new Map((base.legalAdvice?.results || []).map(c => [c.query, c]));
+  const legalChanges = (run.legalAdvice?.results || [])
+    .filter(c => legalBefore.has(c.query) && legalBefore.get(c.query).detected !== c.detected)
+    .map(c => ({ query: c.query, expected: c.expected, before: legalBefore.get(c.query).detected, after: c.detected }));
+  const delta = (key) => round(run.summary[key] - base.summary[key]);
+
+  return {
+    summary: { ndcg: delta("ndcg"), precision: delta("precision"), recall: delta("recall"), zeroResults: run.summary.zeroResults - base.summary.zeroResults },
+    improved: changes.filter(c => c.delta > 0).sort((a, b) => b.delta - a.delta),
+    regressed: changes.filter(c => c.delta < 0).sort((a, b) => a.delta - b.delta),
+    onlyInBase: base.queries.filter(q => !run.queries.some(r => r.id === q.id)).map(q => q.id),
+    onlyInRun: run.queries.filter(q => !before.has(q.id)).map(q => q.id),
+    legalAdvice: {
+      accuracy: round((run.legalAdvice?.accuracy || 0) - (base.legalAdvice?.accuracy || 0)),
+      fixed: legalChanges.filter(c => c.after === c.expected).map(c => c.query),
+      broken: legalChanges.filter(c => c.after !== c.expected).map(c => c.query),
+    },
+  };
+}
+
+const THRESHOLD_KEYS = ["ndcg", "precision", "recall", "legalAdviceAccuracy"];
+
+/**
+ * Where a run falls below the thresholds; returns a list of failures (empty when it passes).
+ * @param {object} run - scripts/eval-relevance.js output
+ * @param {Object<string, number>} thresholds - ndcg | precision | recall | legalAdviceAccuracy → minimum
+ */
+function checkThresholds(run, thresholds) {
+  const actual = { ...run.summary, legalAdviceAccuracy: run.legalAdvice?.accuracy || 0 };
+  return Object.entries(thresholds)
+    .filter(([key, min]) => !(actual[key] >= min))
+    .map(([key, min]) => `${key} ${actual[key] ?? "-"} is below ${min}`);
+}
+
+/**
+ * Check a thresholds file; returns a list of problems (empty when usable).
+ * @param {object} thresholds
+ */
+function validateThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== "object" || Array.isArray(thresholds)) return ["thresholds must be a JSON object"];
+  const problems = [];
+  for (const [key, min] of Object.entries(thresholds)) {
+    if (!THRESHOLD_KEYS.includes(key)) problems.push(`unknown threshold "${key}" (use ${THRESHOLD_KEYS.join(", ")})`);
+    else if (!(typeof min === "number" && min >= 0 && min <= 1)) problems.push(`${key} must be a number from 0 to 1`);
+  }
+  if (!Object.keys(thresholds).length) problems.push("no thresholds set");
+  return problems;
+}
+
+/**
+ * Check a golden-set file; returns a list of problems (empty when usable).
+ * @param {object} golden
+ */
+function validateGoldenSet(golden) {
+  const problems = [];
+  if (!golden || typeof golden !== "object") return ["golden set must be a JSON object"];
+  if (golden.k !== undefined && !(Number.isInteger(golden.k) && golden.k > 0)) problems.push("k must be a positive integer");
+  const ids = new Set();
+  (golden.queries || []).forEach((q, i) => {
+    const where = `queries[${i}]`;
+    if (!q.id || typeof q.id !== "string") problems.push(`${where}: id is required`);
+    else if (ids.has(q.id)) problems.push(`${where}: duplicate id "${q.id}"`);
+    ids.add(q.id);
+    if (!q.query || typeof q.query !== "string") problems.push(`${where}: query is required`);
+    const grades = Object.values(q.relevant || {});
+    if (!grades.length) problems.push(`${where}: relevant needs at least one graded resource`);
+    if (grades.some(g => !(Number.isInteger(g) && g >= 0 && g <= 3))) problems.push(`${where}: grades are integers 0-3`);
+  });
+  (golden.legalAdvice || []).forEach((c, i) => {
+    if (!c.query || typeof c.expected !== "boolean") problems.push(`legalAdvice[${i}]: query and a boolean expected are required`);
+  });
+  if (!(golden.queries || []).length && !(golden.legalAdvice || []).length) problems.push("golden set has no queries");
+  return problems;
+}
+
+module.exports = { scoreQuery, scoreLegalAdvice, summarize, compareRuns, checkThresholds, validateThresholds, validateGoldenSet, dcg };
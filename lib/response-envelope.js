@@ -0,0 +1,100 @@
+/**
+ * Search Response Envelope (v2)
+ *
+ * The v1 routes answer with whatever shape fits the case (a bare array, or an
+ * object once debug, fallback, facets, paging or a spelling correction is
+ * involved). /v2/search always answers with one envelope:
+ *
+ *   {
+ *     apiVersion: 2,
+ *     requestId: "b3f1c0de-...",      // also sent as X-Request-Id
+ *     mode: "ai" | "fallback" | "legal-help",
+ *     query: "water law",             // as received; see didYouMean
+ *     didYouMean: null | "...",       // the corrected query that was searched
+ *     results: [ ... ],
+ *     total, page, limit, offset, hasMore, nextCursor?,
+ *     facets: { ... } | null,
+ *     warnings: [{ code, message }],   // e.g. ai_unavailable, ai_skipped (latency budget)
+ *     timing: { totalMs, stages: { shortlist: 4, ai: 812, ... } },
+ *     diagnostics?                    // debug=1
+ *   }
+ *
+ * Errors use the same top level with `error` instead of results:
+ *   { apiVersion: 2, requestId, error: { code, message } }
+ *
+ * ais-client.js (browser + Node) consumes this shape.
+ */
+
+const API_VERSION = 2;
+
+// Client-supplied request ids are kept when they look like ids, else a new one is issued
+const REQUEST_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+function requestIdFrom(header, generate) {
+  const value = Array.isArray(header) ? header[0] : header;
+  return value && REQUEST_ID.test(value) ? value : generate();
+}
+
+/**
+ * Things the client should know about a successful answer.
+ * @param {object} out - search pipeline result
+ * @param {object} [opts]
+ * @param {boolean} [opts.limitCapped] - the requested limit was lowered to the server maximum
+ * @param {number} [opts.maxLimit]
+ * @returns {{ code: string, message: string }[]}
+ */
+function warningsFor(out, { limitCapped = false, maxLimit } = {}) {
+  const warnings = [];
+  if (out.didYouMean) {
+    warnings.push({ code: "spelling_corrected", message: `Showing results for "${out.didYouMean}"` });
+  }
+  if (out.mode === "fallback" && out.aiSkipped) {
+    warnings.push({ code: "ai_skipped", message: out.message || "AI search took too long; showing catalog matches" });
+  } else if (out.mode === "fallback") {
+    warnings.push({ code: "ai_unavailable", message: out.message || "AI search is unavailable; showing catalog matches" });
+  }
+  if (out.parsePath === "repair" || out.parsePath === "salvage") {
+    warnings.push({ code: "model_output_repaired", message: `The model reply needed ${out.parsePath}; some recommendations may be missing` });
+  } else if (out.parsePath === "failed") {
+    warnings.push({ code: "model_output_unusable", message: "The model reply could not be used; showing catalog matches only" });
+  }
+  if (limitCapped) {
+    warnings.push({ code: "limit_capped", message: `limit lowered to the maximum of ${maxLimit}` });
+  }
+  const broken = out.results.filter(r => r.linkStatus === "broken").length;
+  if (broken) {
+    warnings.push({ code: "broken_links", message: `${broken} result link${broken === 1 ? "" : "s"} failed recent checks` });
+  }
+  return warnings;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.requestId
+ * @param {string} opts.query
+ * @param {object} opts.out - search pipeline result (timings included)
+ * @param {object} opts.pagination - { total, page, limit, offset, hasMore, nextCursor? }
+ * @param {object[]} opts.warnings
+ * @param {number} opts.startedAt - Date.now() when the request arrived
+ */
+function buildEnvelope({ requestId, query, out, pagination, warnings, startedAt }) {
+  return {
+    apiVersion: API_VERSION,
+    requestId,
+    mode: out.mode,
+    query,
+    didYouMean: out.didYouMean || null,
+    results: out.results,
+    ...pagination,
+    facets: out.facets || null,
+    warnings,
+    timing: { totalMs: Date.now() - startedAt, stages: out.timings || {} },
+    ...(out.diagnostics ? { diagnostics: out.diagnostics } : {}),
+  };
+}
+
+function errorEnvelope(requestId, code, message, extra = {}) {
+  return { apiVersion: API_VERSION, requestId, error: { code, message, ...extra } };
+}
+
+module.exports = { API_VERSION, requestIdFrom, warningsFor, buildEnvelope, errorEnvelope };
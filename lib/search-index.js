@@ -0,0 +1,111 @@
+/**
+ * Inverted Index with BM25F Ranking
+ *
+ * Built once per catalog at load time, so queries touch only the postings of
+ * their own terms instead of re-normalizing every catalog entry.
+ *
+ * Scoring is BM25F: each field (name, aliases, description, subjects, ...)
+ * contributes its length-normalized term frequency times a field weight, and
+ * the combined frequency goes through the usual BM25 saturation and IDF:
+ *
+ *   tf~(t, d)   = Σ_f  w_f · tf_f(t, d) / (1 - b + b · len_f(d) / avglen_f)
+ *   score(q, d) = Σ_t  idf(t) · tf~(t, d) / (k1 + tf~(t, d))
+ *   idf(t)      = ln(1 + (N - df(t) + 0.5) / (df(t) + 0.5))
+ */
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+function fieldText(value) {
+  if (Array.isArray(value)) return value.join(" ");
+  return value ? String(value) : "";
+}
+
+/**
+ * @param {object[]} items - catalog entries
+ * @param {object} opts
+ * @param {Object<string, number>} opts.fields - field name -> weight, e.g. { name: 3, aliases: 2, description: 1 }
+ * @param {(text: string) => string[]} opts.tokenize - shared with the query side
+ * @param {number} [opts.k1=1.2]
+ * @param {number} [opts.b=0.75]
+ */
+function createSearchIndex(items, { fields, tokenize, k1 = DEFAULT_K1, b = DEFAULT_B }) {
+  const fieldNames = Object.keys(fields);
+  const docs = items.filter(it => it && it.name);
+  const N = docs.length;
+
+  // Per-field lengths and term counts
+  const lengths = fieldNames.map(() => []);
+  const counts = docs.map(doc => fieldNames.map((f, fi) => {
+    const tokens = tokenize(fieldText(doc[f]));
+    lengths[fi].push(tokens.length);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+  }));
+  const avgLengths = lengths.map(ls => (ls.reduce((a, c) => a + c, 0) / (ls.length || 1)) || 1);
+
+  // term -> [{ doc, tf }] where tf is the weighted, length-normalized frequency
+  const postings = new Map();
+  counts.forEach((perField, d) => {
+    const combined = new Map();
+    perField.forEach((tf, fi) => {
+      const norm = 1 - b + b * (lengths[fi][d] / avgLengths[fi]);
+      const weight = fields[fieldNames[fi]];
+      for (const [t, c] of tf) combined.set(t, (combined.get(t) || 0) + (weight * c) / norm);
+    });
+    for (const [t, tf] of combined) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push({ doc: d, tf });
+    }
+  });
+
+  function idf(term) {
+    const df = postings.get(term)?.length || 0;
+    return Math.log(1 + (N - df + 0.5) / (df + 0.5));
+  }
+
+  // Accept raw text, tokens, or weighted { term, weight } terms (query expansion)
+  function queryTerms(query) {
+    const list = Array.isArray(query) ? query : tokenize(query);
+    const weights = new Map();
+    for (const t of list) {
+      const term = typeof t === "string" ? t : t.term;
+      const weight = typeof t === "string" ? 1 : (t.weight ?? 1);
+      weights.set(term, Math.max(weights.get(term) || 0, weight));
+    }
+    return weights;
+  }
+
+  /**
+   * @param {string|Array<string|{term: string, weight: number}>} query - raw text, tokens produced
+   *   by `tokenize`, or weighted terms
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - max hits returned
+   * @returns {{ item: object, score: number }[]} best first
+   */
+  function search(query, opts = {}) {
+    const scores = new Map();
+    for (const [term, weight] of queryTerms(query)) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const w = weight * idf(term);
+      for (const { doc, tf } of list) {
+        scores.set(doc, (scores.get(doc) || 0) + w * (tf / (k1 + tf)));
+      }
+    }
+    const hits = [...scores.entries()]
+      .map(([doc, score]) => ({ item: docs[doc], score }))
+      .sort((a, b2) => b2.score - a.score);
+    return opts.limit ? hits.slice(0, opts.limit) : hits;
+  }
+
+  return {
+    search,
+    size: N,
+    vocabulary: () => postings.keys(),
+    documentFrequency: (term) => postings.get(term)?.length || 0,
+  };
+}
+
+module.exports = { createSearchIndex };
@@ -0,0 +1,470 @@
+/**
+ * Search Pipeline
+ *
+ * One implementation of the search flow shared by every search route
+ * (/search, /wp-json/ais/v1/search, ...):
+ *
+ *   legalCheck → spelling ─┬─ shortlist → ai → parse ─────┬─ filter → merge → enrich → facets
+ *                          └─ localGuides → libGuideAssets ─┘
+ *
+ * The model path (shortlist → ai → parse) is started first and the catalog
+ * searches run while its request is in flight, so slow model answers no
+ * longer hold up the local results.
+ *
+ * When the AI stage fails with an upstream service error (rate limit,
+ * overload, 5xx, timeout, network failure or an open circuit breaker; see
+ * isServiceError in lib/llm/errors.js) the pipeline switches to fallback mode
+ * and answers from the local catalogs instead, so every route degrades the
+ * same way.
+ *
+ * LATENCY BUDGET:
+ *   createSearchPipeline(deps, { budgetMs: 20000 }) stops waiting for the
+ *   model path once the run is that old and answers in fallback mode with
+ *   `aiSkipped: true`. The model request is not cancelled: when it still
+ *   succeeds its answer goes into the cache, so asking again gets the full
+ *   AI result. 0 waits as long as the provider's own timeout.
+ *
+ * STAGE HOOKS:
+ *   createSearchPipeline(deps, {
+ *     hooks: {
+ *       shortlist: { before(ctx) {...}, after(ctx) {...} },
+ *       ...
+ *     }
+ *   })
+ * Hooks receive the mutable run context and may be async. A `before` hook
+ * that sets `ctx.skip = true` skips that stage. Hooks of the model path and
+ * of the catalog stages may interleave.
+ *
+ * CACHING:
+ *   Pass `deps.cache` (lib/query-cache.js) and `deps.cacheKey(query, ctx)` to
+ *   answer repeated queries without the shortlist/model round trip.
+ *
+ * LEARNED BOOST:
+ *   `deps.learnedBoost(query)` may return name => relevance points from
+ *   visitor feedback (lib/feedback.js). The merge adds them to every
+ *   candidate that does not carry a `learnedBoost` yet (the catalog searches
+ *   apply their own), so AI recommendations are tuned the same way.
+ *
+ * SPELLING:
+ *   `deps.suggest(query)` may return { query, corrections } when a typo
+ *   correction changes the results; later stages then search the corrected
+ *   query and the run result carries it as `didYouMean`.
+ *
+ * FACETS AND PAGING:
+ *   merge/enrich keep every candidate; the facets stage drops those below
+ *   `opts.minScore`, counts the rest (`deps.facets.count`), applies
+ *   `opts.filters` (`deps.facets.apply`) and only then takes the page
+ *   `opts.offset`..`opts.offset + opts.limit`. The cache stores candidates, so
+ *   a cached query can still be filtered and paged differently.
+ *
+ * STREAMING:
+ *   With `opts.onEvent(type, data)` the run reports progress before it
+ *   finishes: "local" ({ results }) once the catalog matches are in, which is
+ *   before the model is asked, then "ai" ({ result }) for every recommendation
+ *   that passes the guide and whitelist filters while the model reply streams
+ *   in (needs `deps.createItemScanner` and a `deps.queryModel` that accepts
+ *   an onText callback). Previews are enriched and respect minScore and
+ *   filters; the resolved run result is the authoritative ranked answer.
+ */
+
+const { isServiceError } = require("./llm/errors");
+
+// In start order; shortlist/ai/parse overlap with localGuides/libGuideAssets
+const STAGES = [
+  "legalCheck",
+  "spelling",
+  "shortlist",
+  "ai",
+  "parse",
+  "localGuides",
+  "libGuideAssets",
+  "filter",
+  "merge",
+  "enrich",
+  "facets",
+];
+
+const MIN_RELEVANCE_SCORE = 60; // Default minScore: don't show results below 60% relevance
+const MAX_RESULTS = 8;          // Default page size (limit)
+
+const FALLBACK_MESSAGE = "AI search temporarily unavailable - showing backup recommendations from our library catalog";
+const BUDGET_MESSAGE = "AI search is taking longer than usual - showing recommendations from our library catalog";
+
+/**
+ * Build a search pipeline around the server's search primitives.
+ *
+ * @param {object} deps - search primitives (see server.js for the wiring)
+ * @param {object} [options]
+ * @param {object} [options.hooks] - per-stage { before, after } hooks
+ * @param {number} [options.budgetMs=0] - latency budget for the model path (0 = none)
+ * @returns {{ run: Function, stages: string[], budgetMs: number }}
+ */
+function createSearchPipeline(deps, options = {}) {
+  const hooks = options.hooks || {};
+  const budgetMs = Math.max(0, Number(options.budgetMs) || 0);
+
+  async function runStage(name, ctx, fn) {
+    const hook = hooks[name] || {};
+    ctx.skip = false;
+    if (hook.before) await hook.before(ctx);
+    if (!ctx.skip) {
+      const started = Date.now();
+      await fn(ctx);
+      ctx.timings[name] = Date.now() - started;
+    }
+    ctx.skip = false;
+    if (hook.after) await hook.after(ctx);
+  }
+
+  // Progress events for streaming callers; a failing listener must not break the search
+  function emit(ctx, type, data) {
+    if (!ctx.onEvent) return;
+    try {
+      ctx.onEvent(type, data);
+    } catch (e) {
+      console.error(`❌ ${ctx.label ? `${ctx.label} ` : ""}Search event listener failed: ${e.message}`);
+    }
+  }
+
+  // What a streaming client may show before the final answer: enriched, above minScore, filtered
+  function preview(ctx, items) {
+    const shown = deps.enrichResults(items).filter(item => item.relevanceScore >= ctx.minScore);
+    return deps.facets ? deps.facets.apply(shown, ctx.filters) : shown;
+  }
+
+  // Guide-name and whitelist filters for model recommendations
+  function keepAiResults(ctx, items) {
+    const afterGuideFilter = deps.filterGuides(items);
+    return ctx.skipWhitelist ? afterGuideFilter : afterGuideFilter.filter((r) => deps.isWhitelisted(r.name));
+  }
+
+  // Feedback boost for a candidate the catalog searches have not boosted already
+  function withLearnedBoost(item, learned) {
+    if (!learned || item.learnedBoost !== undefined) return item;
+    const boost = learned(item.name);
+    if (!boost) return item;
+    return { ...item, relevanceScore: Math.max(0, Math.min(100, item.relevanceScore + boost)), learnedBoost: boost };
+  }
+
+  // De-dupe by normalized name (keep best score), best first
+  function mergeCandidates(items, learned = null) {
+    const best = new Map();
+    for (const raw of items) {
+      const item = withLearnedBoost(raw, learned);
+      const key = deps.normalize(item.name);
+      const prev = best.get(key);
+      if (!prev || item.relevanceScore > prev.relevanceScore) best.set(key, item);
+    }
+    return [...best.values()].sort((a, b) => b.relevanceScore - a.relevanceScore);
+  }
+
+  function buildDiagnostics(ctx) {
+    const info = deps.describe();
+    return {
+      queryType: ctx.mode === "legal-help" ? "legal-advice" : "research",
+      mode: ctx.mode,
+      queryAnalysis: deps.analyze ? deps.analyze(ctx.searchQuery) : undefined,
+      didYouMean: ctx.didYouMean || undefined,
+      corrections: ctx.corrections.length ? ctx.corrections : undefined,
+      filters: ctx.filters,
+      paging: { offset: ctx.offset, limit: ctx.limit, minScore: ctx.minScore, total: ctx.total },
+      model: info.model,
+      externalDatabaseCount: info.externalDatabaseCount,
+      localGuideCount: info.localGuideCount,
+      allowlistSent: ctx.allowedList.length,
+      rawChars: ctx.text?.length ?? 0,
+      parsePath: ctx.parsePath,
+      parseErrors: ctx.parseErrors.length ? ctx.parseErrors.slice(0, 5) : undefined,
+      aiResults: ctx.aiResults.length,
+      localGuideResults: ctx.localGuides.length,
+      candidates: ctx.candidates.length,
+      learnedBoosts: ctx.candidates.some(x => x.learnedBoost)
+        ? ctx.candidates.filter(x => x.learnedBoost).map(({ name, learnedBoost }) => ({ name, learnedBoost }))
+        : undefined,
+      totalResults: ctx.results.length,
+      usedFallback: ctx.mode === "fallback" || (ctx.mode === "ai" && ctx.cleaned.length === 0),
+      aiError: ctx.error ? ctx.error.message : undefined,
+      aiErrorKind: ctx.error?.kind,
+      aiErrorStatus: ctx.error?.status || undefined,
+      aiSkipped: ctx.aiSkipped || undefined,
+      budgetMs: budgetMs || undefined,
+      modelUsed: ctx.model || undefined,
+      enrichedWithUrl: ctx.results.filter(x => x.url).length,
+      enrichedWithDesc: ctx.results.filter(x => x.description).length,
+      sampleAiResults: ctx.aiResults.slice(0, 3),
+      sampleLocalGuides: ctx.localGuides.slice(0, 3),
+      timings: ctx.timings,
+      cache: deps.cache ? { status: ctx.cache, ...deps.cache.stats() } : undefined,
+      rawGeminiPreview: ctx.debug >= 2 ? JSON.stringify(ctx.data, null, 2).slice(0, 2000) : undefined,
+    };
+  }
+
+  // Catalog-only answer used when the AI provider is unavailable (the catalog stages have run)
+  function fallbackResults(ctx) {
+    const fallbackFromExternal = deps.fallbackRecommend(ctx.searchQuery, 3); // 3 external databases
+    const fallbackFromLocal = ctx.localGuides.slice(0, 2);                   // 2 local guides
+    const fallbackFromAssets = ctx.libGuideAssets.slice(0, 2);               // 2 LibGuide assets
+    return deps.enrichResults([...fallbackFromExternal, ...fallbackFromLocal, ...fallbackFromAssets]);
+  }
+
+  // shortlist → ai → parse; everything that waits on the model
+  async function modelPath(ctx) {
+    // Step 2: Get AI recommendations from external databases (resource-database only)
+    await runStage("shortlist", ctx, async () => {
+      ctx.allowedList = await deps.shortlist(ctx.searchQuery);
+    });
+    await runStage("ai", ctx, async () => {
+      ctx.prompt = deps.buildPrompt(ctx.searchQuery, ctx.allowedList);
+      // Streaming callers see each recommendation as soon as it is complete in the reply
+      const scanner = ctx.onEvent && deps.createItemScanner
+        ? deps.createItemScanner((item) => {
+          const [kept] = keepAiResults(ctx, [item]);
+          const [shown] = kept ? preview(ctx, [kept]) : [];
+          if (shown) emit(ctx, "ai", { result: shown });
+        })
+        : null;
+      const { text, data, model } = await deps.queryModel(ctx.prompt, ctx.debug >= 2, scanner ? scanner.push : undefined);
+      ctx.text = text;
+      ctx.data = data;
+      ctx.model = model || null;
+    });
+
+    // Schema-validated parse (strict → repair → salvage)
+    await runStage("parse", ctx, async () => {
+      const parsed = await deps.parse(ctx.text, ctx.prompt);
+      ctx.parsed = parsed.items;
+      ctx.parsePath = parsed.parsePath;
+      ctx.parseErrors = parsed.errors;
+      ctx.cleaned = ctx.parsed.filter((r) => r.name);
+    });
+  }
+
+  // Resolves with the model path's outcome, or { overBudget } once the run is budgetMs old
+  function withinBudget(ctx, outcome) {
+    if (!budgetMs) return outcome;
+    const remaining = budgetMs - (Date.now() - ctx.startedAt);
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ overBudget: true }), Math.max(0, remaining));
+    });
+    return Promise.race([outcome, expired]).finally(() => clearTimeout(timer));
+  }
+
+  // A model answer that arrives after the budget ran out still warms the cache for the next ask
+  function cacheLateAnswer(ctx, outcome, cacheKey) {
+    outcome.then(({ error }) => {
+      if (error || !cacheKey) return;
+      const aiResults = keepAiResults(ctx, ctx.cleaned);
+      if (!aiResults.length) return;
+      const candidates = deps.enrichResults(mergeCandidates([...aiResults, ...ctx.localGuides, ...ctx.libGuideAssets], ctx.learned));
+      deps.cache.set(cacheKey, candidates.map(r => ({ ...r })));
+      console.log(`🐢 ${ctx.label ? `${ctx.label} ` : ""}Late AI answer cached for: "${ctx.query}" (${Date.now() - ctx.startedAt}ms)`);
+    }).catch((e) => {
+      console.error(`❌ Could not cache late AI answer for "${ctx.query}": ${e.message}`);
+    });
+  }
+
+  /**
+   * Run a search.
+   *
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {number} [opts.debug=0] - 1 = diagnostics, 2 = diagnostics + raw model preview
+   * @param {boolean} [opts.skipWhitelist=false] - keep AI results that fail the whitelist
+   * @param {object} [opts.filters={}] - facet filters (lib/facets.js parseFilters output)
+   * @param {number} [opts.offset=0] - first result of the page
+   * @param {number} [opts.limit=MAX_RESULTS] - page size
+   * @param {number} [opts.minScore=MIN_RELEVANCE_SCORE] - relevance cut-off
+   * @param {string} [opts.label=""] - log prefix identifying the calling route
+   * @param {(type: string, data: object) => void} [opts.onEvent] - streaming progress (see STREAMING)
+   * @returns {Promise<{mode: string, results: object[], total: number, offset: number, limit: number, facets?: object, parsePath: string|null, cache: string, timings: Object<string, number>, didYouMean?: string, message?: string, error?: Error, aiSkipped?: boolean, diagnostics?: object}>}
+   */
+  async function run(query, opts = {}) {
+    const label = opts.label ? `${opts.label} ` : "";
+    const ctx = {
+      query,
+      searchQuery: query,   // query after spelling correction; used by every later stage
+      didYouMean: null,
+      corrections: [],
+      debug: Number(opts.debug || 0),
+      skipWhitelist: Boolean(opts.skipWhitelist),
+      filters: opts.filters || {},
+      offset: opts.offset || 0,
+      limit: opts.limit || MAX_RESULTS,
+      minScore: opts.minScore ?? MIN_RELEVANCE_SCORE,
+      total: null,          // results matching minScore and filters, before paging
+      label: opts.label || "",
+      onEvent: opts.onEvent || null,
+      startedAt: Date.now(),
+      mode: "ai",
+      aiSkipped: false,     // the model path missed the latency budget
+      model: null,
+      allowedList: [],
+      prompt: "",
+      text: "",
+      data: null,
+      parsed: [],
+      parsePath: null,
+      parseErrors: [],
+      cleaned: [],
+      aiResults: [],
+      localGuides: [],
+      libGuideAssets: [],
+      learned: null,        // deps.learnedBoost(searchQuery), set after spelling
+      candidates: [],       // merged + enriched, before minScore, filters and paging
+      facets: null,
+      results: [],
+      error: null,
+      cache: "bypass",
+      timings: {},
+    };
+
+    // Step 1: Check if this is a legal advice request
+    await runStage("legalCheck", ctx, () => {
+      const isLegal = deps.isLegalAdviceRequest(query);
+      console.log(`🔍 ${label}Legal advice check result: ${isLegal}`);
+      if (isLegal) ctx.mode = "legal-help";
+    });
+
+    if (ctx.mode === "legal-help") {
+      console.log(`✅ ${label}RETURNING LEGAL HELP for: "${query}"`);
+      const referrals = deps.createLegalHelpResponse();
+      ctx.total = referrals.length;
+      ctx.results = referrals.slice(ctx.offset, ctx.offset + ctx.limit);
+      return finish(ctx);
+    }
+
+    // Correct typos against the catalog vocabulary ("bankrupcy" → "bankruptcy")
+    await runStage("spelling", ctx, () => {
+      const suggestion = deps.suggest ? deps.suggest(query) : null;
+      if (!suggestion) return;
+      console.log(`✏️ ${label}Corrected "${query}" → "${suggestion.query}"`);
+      ctx.searchQuery = suggestion.query;
+      ctx.didYouMean = suggestion.query;
+      ctx.corrections = suggestion.corrections || [];
+    });
+    const searchQuery = ctx.searchQuery;
+    ctx.learned = deps.learnedBoost ? deps.learnedBoost(searchQuery) : null;
+
+    // Repeated queries are answered from the cache (skipped for debug=2, which wants the raw model reply)
+    const cacheKey = deps.cache && ctx.debug < 2 ? deps.cacheKey(query, ctx) : null;
+    if (cacheKey) {
+      const cached = deps.cache.get(cacheKey);
+      if (cached) {
+        console.log(`⚡ ${label}Cache hit for: "${query}"`);
+        ctx.cache = "hit";
+        ctx.candidates = cached.map(r => ({ ...r }));
+        await selectResults(ctx);
+        return finish(ctx);
+      }
+      ctx.cache = "miss";
+    }
+
+    console.log(`➡️ ${label}Proceeding to AI search for: "${query}"`);
+    // Settles to { error } instead of rejecting: nothing may be left unhandled while the catalogs are searched
+    const outcome = modelPath(ctx).then(() => ({}), (error) => ({ error }));
+
+    // Catalog matches need no model round trip; streaming callers get them right away
+    await runStage("localGuides", ctx, () => {
+      ctx.localGuides = deps.searchLocalGuides(searchQuery);
+    });
+    await runStage("libGuideAssets", ctx, () => {
+      ctx.libGuideAssets = deps.searchLibGuideAssets(searchQuery);
+    });
+    if (ctx.onEvent) {
+      emit(ctx, "local", { results: preview(ctx, mergeCandidates([...ctx.localGuides, ...ctx.libGuideAssets])) });
+    }
+
+    const { error, overBudget } = await withinBudget(ctx, outcome);
+    if (overBudget) {
+      console.log(`⏱️ ${label}AI answer missed the ${budgetMs}ms budget, providing fallback results for: "${query}"`);
+      ctx.onEvent = null; // the stream ends with this answer; late recommendations must not follow it
+      ctx.mode = "fallback";
+      ctx.aiSkipped = true;
+      ctx.error = new Error(`AI answer exceeded the ${budgetMs}ms latency budget`);
+      cacheLateAnswer(ctx, outcome, cacheKey);
+      ctx.candidates = fallbackResults(ctx);
+      await selectResults(ctx);
+      return finish(ctx);
+    }
+    if (error) {
+      if (!isServiceError(error)) throw error;
+      console.log(`🔄 ${label}AI service error (${error.kind}) detected, providing fallback results for: "${query}"`);
+      console.log(`🔄 Error details: ${error.message}`);
+      ctx.mode = "fallback";
+      ctx.error = error;
+      ctx.candidates = fallbackResults(ctx);
+      await selectResults(ctx);
+      return finish(ctx);
+    }
+
+    await runStage("filter", ctx, () => {
+      ctx.aiResults = keepAiResults(ctx, ctx.cleaned);
+      if (ctx.aiResults.length === 0) {
+        ctx.aiResults = deps.fallbackRecommend(searchQuery, 8); // Reduce to make room for local guides
+      }
+    });
+
+    // Step 3: Combine results (AI + local guides + LibGuide assets)
+    await runStage("merge", ctx, () => {
+      ctx.candidates = mergeCandidates([...ctx.aiResults, ...ctx.localGuides, ...ctx.libGuideAssets], ctx.learned);
+    });
+
+    // Enrich results with catalog information (URLs and descriptions)
+    await runStage("enrich", ctx, () => {
+      ctx.candidates = deps.enrichResults(ctx.candidates);
+    });
+
+    // Only complete AI answers are cached; fallback results should not outlive an outage
+    if (cacheKey) deps.cache.set(cacheKey, ctx.candidates.map(r => ({ ...r })));
+
+    await selectResults(ctx);
+    return finish(ctx);
+  }
+
+  // Quality cut, facet counts over what is left, then filters, then the requested page.
+  // Fallback answers are a handful of catalog picks and skip the quality cut, as before.
+  async function selectResults(ctx) {
+    const minScore = ctx.mode === "fallback" ? 0 : ctx.minScore;
+    const eligible = ctx.candidates.filter(item => item.relevanceScore >= minScore);
+    ctx.results = eligible;
+    await runStage("facets", ctx, () => {
+      if (!deps.facets) return;
+      ctx.facets = deps.facets.count(eligible);
+      ctx.results = deps.facets.apply(eligible, ctx.filters);
+    });
+    ctx.total = ctx.results.length;
+    ctx.results = ctx.results.slice(ctx.offset, ctx.offset + ctx.limit);
+  }
+
+  function finish(ctx) {
+    const out = {
+      mode: ctx.mode,
+      results: ctx.results,
+      total: ctx.total,
+      offset: ctx.offset,
+      limit: ctx.limit,
+      parsePath: ctx.parsePath,
+      cache: ctx.cache,
+      timings: { ...ctx.timings }, // a model answer past the budget still records its stages on ctx
+    };
+    if (ctx.facets) out.facets = ctx.facets;
+    if (ctx.didYouMean) out.didYouMean = ctx.didYouMean;
+    if (ctx.mode === "fallback") {
+      out.message = ctx.aiSkipped ? BUDGET_MESSAGE : FALLBACK_MESSAGE;
+      out.error = ctx.error;
+      if (ctx.aiSkipped) out.aiSkipped = true;
+    }
+    if (ctx.debug) out.diagnostics = buildDiagnostics(ctx);
+    return out;
+  }
+
+  return { run, stages: STAGES, budgetMs };
+}
+
+module.exports = {
+  createSearchPipeline,
+  STAGES,
+  MIN_RELEVANCE_SCORE,
+  MAX_RESULTS,
+};
@@ -0,0 +1,114 @@
+/**
+ * Typo-Tolerant Matching ("did you mean")
+ *
+ * Corrects query words against the catalog vocabulary so "bankrupcy",
+ * "westlw" and "imigration" still find Bankruptcy, Westlaw and Immigration.
+ *
+ * Candidates come from a trigram index over the vocabulary and are ranked by
+ * optimal-string-alignment (Damerau-Levenshtein) distance, then by how often
+ * the word occurs in the catalogs.
+ */
+
+const MIN_WORD_LENGTH = 4;       // shorter words are usually abbreviations ("ip", "adr")
+const MAX_CANDIDATES = 25;       // trigram candidates checked with edit distance
+
+function trigrams(word) {
+  const padded = `$${word}$`;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+// Allowed edits: 1 for words up to 5 letters, 2 for longer words
+function maxDistanceFor(word) {
+  return word.length <= 5 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions),
+ * giving up early once every cell in a row exceeds `max`.
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * @param {Iterable<string>} words - normalized catalog words (repeats count as frequency)
+ * @param {object} [opts]
+ * @param {(word: string) => boolean} [opts.isKnown] - extra words that never need correcting (stop words, ...)
+ */
+function createSpellingCorrector(words, { isKnown = () => false } = {}) {
+  const frequency = new Map();
+  for (const w of words) {
+    if (w && w.length >= 2 && !/^\d+$/.test(w)) frequency.set(w, (frequency.get(w) || 0) + 1);
+  }
+
+  const gramIndex = new Map();
+  for (const w of frequency.keys()) {
+    if (w.length < MIN_WORD_LENGTH - 1) continue;
+    for (const g of trigrams(w)) {
+      if (!gramIndex.has(g)) gramIndex.set(g, []);
+      gramIndex.get(g).push(w);
+    }
+  }
+
+  function correctWord(word) {
+    if (word.length < MIN_WORD_LENGTH || /\d/.test(word)) return null;
+    if (frequency.has(word) || isKnown(word)) return null;
+
+    const shared = new Map();
+    for (const g of trigrams(word)) {
+      for (const w of gramIndex.get(g) || []) shared.set(w, (shared.get(w) || 0) + 1);
+    }
+    const max = maxDistanceFor(word);
+    let best = null;
+    const candidates = [...shared.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_CANDIDATES);
+    for (const [candidate] of candidates) {
+      const distance = editDistance(word, candidate, max);
+      if (distance > max) continue;
+      const freq = frequency.get(candidate);
+      if (!best || distance < best.distance || (distance === best.distance && freq > best.frequency)) {
+        best = { word: candidate, distance, frequency: freq };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {string} normalizedQuery - normalize() output
+   * @returns {{ corrected: string, corrections: { from: string, to: string, distance: number }[] } | null}
+   */
+  function correctQuery(normalizedQuery) {
+    const corrections = [];
+    const words = normalizedQuery.split(" ").filter(Boolean).map(w => {
+      const fix = correctWord(w);
+      if (!fix) return w;
+      corrections.push({ from: w, to: fix.word, distance: fix.distance });
+      return fix.word;
+    });
+    return corrections.length ? { corrected: words.join(" "), corrections } : null;
+  }
+
+  return { correctWord, correctQuery, vocabularySize: frequency.size };
+}
+
+module.exports = { createSpellingCorrector, editDistance };
@@ -0,0 +1,94 @@
+/**
+ * Porter stemmer (M.F. Porter, 1980), used by lib/query-analysis.js so that
+ * "contracts" matches "Contract Law" and "immigrant" matches "Immigration".
+ *
+ * Input is expected to be a lowercase ASCII word (normalize() output).
+ */
+
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize",
+  bli: "ble", alli: "al", entli: "ent", eli: "e", ousli: "ous",
+  ization: "ize", ation: "ate", ator: "ate", alism: "al", iveness: "ive",
+  fulness: "ful", ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble",
+  logi: "log",
+};
+
+const STEP3 = {
+  icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "",
+};
+
+const STEP4 = [
+  "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment",
+  "ent", "ou", "ism", "ate", "iti", "ous", "ive", "ize",
+];
+
+const C = "[^aeiou]";           // consonant
+const V = "[aeiouy]";           // vowel
+const CS = C + "[^aeiouy]*";    // consonant sequence
+const VS = V + "[aeiou]*";      // vowel sequence
+
+const MGR0 = new RegExp("^(" + CS + ")?" + VS + CS);                          // [C]VC... is m>0
+const MEQ1 = new RegExp("^(" + CS + ")?" + VS + CS + "(" + VS + ")?$");        // [C]VC[V] is m=1
+const MGR1 = new RegExp("^(" + CS + ")?" + VS + CS + VS + CS);                 // [C]VCVC... is m>1
+const HAS_VOWEL = new RegExp("^(" + CS + ")?" + V);
+
+function stem(word) {
+  let w = String(word || "");
+  if (w.length < 3) return w;
+
+  // Treat an initial y as a consonant
+  const firstY = w[0] === "y";
+  if (firstY) w = "Y" + w.slice(1);
+
+  // Step 1a
+  if (/(ss|i)es$/.test(w)) w = w.replace(/(ss|i)es$/, "$1");
+  else if (/([^s])s$/.test(w)) w = w.replace(/([^s])s$/, "$1");
+
+  // Step 1b
+  let m;
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = m[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (new RegExp("^" + CS + V + "[^aeiouwxy]$").test(w)) w += "e";
+    }
+  }
+
+  // Step 1c
+  if ((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])) w = m[1] + "i";
+
+  // Step 2
+  if ((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MGR0.test(m[1])) w = m[1] + STEP2[m[2]];
+  }
+
+  // Step 3
+  if ((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MGR0.test(m[1])) w = m[1] + STEP3[m[2]];
+  }
+
+  // Step 4
+  const suffix = STEP4.find(s => w.endsWith(s));
+  if (suffix) {
+    const base = w.slice(0, -suffix.length);
+    if (MGR1.test(base)) w = base;
+  } else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MGR1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+
+  // Step 5
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const base = m[1];
+    if (MGR1.test(base) || (MEQ1.test(base) && !new RegExp("^" + CS + V + "[^aeiouwxy]$").test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (firstY) w = "y" + w.slice(1);
+  return w;
+}
+
+module.exports = { stem };
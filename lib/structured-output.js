@@ -0,0 +1,211 @@
+/**
+ * Structured Model Output
+ *
+ * The model is asked for schema-constrained JSON (RECOMMENDATIONS_SCHEMA) and
+ * every reply is validated against that schema before any result is used.
+ *
+ * Parse paths, in order (the one that succeeds is reported as `parsePath`):
+ *   strict  - reply parsed as JSON and passed validation
+ *   repair  - first reply failed; one repair request to the model fixed it
+ *   salvage - both failed; individually valid objects were salvaged from the text
+ *   failed  - nothing usable
+ *
+ * Counts per path are kept in `parseStats` so /health can show how often the
+ * model produces malformed output.
+ *
+ * createItemScanner() picks complete, valid items out of a reply while it is
+ * still streaming in; the full reply is parsed as above once it is complete.
+ */
+
+const RECOMMENDATION_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    relevanceScore: { type: "number", minimum: 1, maximum: 100 },
+    matchReason: { type: "string", maxLength: 200 },
+  },
+  required: ["name", "relevanceScore", "matchReason"],
+  additionalProperties: false,
+};
+
+const RECOMMENDATIONS_SCHEMA = {
+  type: "object",
+  properties: {
+    recommendations: { type: "array", items: RECOMMENDATION_ITEM_SCHEMA },
+  },
+  required: ["recommendations"],
+  additionalProperties: false,
+};
+
+const PARSE_PATHS = ["strict", "repair", "salvage", "failed"];
+const parseStats = Object.fromEntries(PARSE_PATHS.map(p => [p, 0]));
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against the JSON Schema subset used here
+ * (type, properties, required, additionalProperties, items, enum, minimum,
+ * maximum, minLength, maxLength).
+ *
+ * @returns {string[]} list of problems; empty when valid
+ */
+function validate(value, schema, at = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+  const typeOk = schema.type === "number" ? (actual === "number" || actual === "integer") : actual === schema.type;
+
+  if (schema.type && !typeOk) {
+    errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validate(v, sub, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+    }
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((v, i) => errors.push(...validate(v, schema.items, `${at}[${i}]`)));
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} < ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} > ${schema.maximum}`);
+  }
+
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+  }
+
+  return errors;
+}
+
+function toItem(r) {
+  return {
+    name: r.name.trim(),
+    relevanceScore: r.relevanceScore,
+    matchReason: r.matchReason.trim(),
+  };
+}
+
+// Strict parse: the whole reply must be valid. A bare array of items is accepted as the recommendations list.
+function parseStrict(text) {
+  let value;
+  try {
+    value = JSON.parse(String(text || "").trim());
+  } catch (e) {
+    return { items: null, errors: [`invalid JSON: ${e.message}`] };
+  }
+  if (Array.isArray(value)) value = { recommendations: value };
+  const errors = validate(value, RECOMMENDATIONS_SCHEMA);
+  return errors.length ? { items: null, errors } : { items: value.recommendations.map(toItem), errors };
+}
+
+/**
+ * Parse and validate a recommendations reply.
+ *
+ * @param {string} text - raw model reply
+ * @param {object} [opts]
+ * @param {(errors: string[]) => Promise<string>} [opts.repair] - asks the model to fix its reply; called at most once
+ * @param {(text: string) => object[]} [opts.salvage] - loose extractor used as a last resort
+ * @returns {Promise<{ items: object[], parsePath: string, errors: string[] }>}
+ */
+async function parseRecommendations(text, opts = {}) {
+  const done = (items, parsePath, errors) => {
+    parseStats[parsePath]++;
+    return { items, parsePath, errors };
+  };
+
+  const first = parseStrict(text);
+  if (first.items) return done(first.items, "strict", []);
+  let errors = first.errors;
+
+  if (opts.repair) {
+    try {
+      const repaired = parseStrict(await opts.repair(errors.slice(0, 10)));
+      if (repaired.items) return done(repaired.items, "repair", errors);
+      errors = errors.concat(repaired.errors.map(e => `repair: ${e}`));
+    } catch (e) {
+      errors = errors.concat(`repair: ${e.message}`);
+    }
+  }
+
+  if (opts.salvage) {
+    const salvaged = opts.salvage(text)
+      .filter(r => r && typeof r === "object" && validate(r, RECOMMENDATION_ITEM_SCHEMA).length === 0)
+      .map(toItem);
+    if (salvaged.length) return done(salvaged, "salvage", errors);
+  }
+
+  return done([], "failed", errors);
+}
+
+/**
+ * Incremental item extraction for streamed replies. Feed text chunks to
+ * push(); every `{...}` object that closes and validates against
+ * RECOMMENDATION_ITEM_SCHEMA is passed to onItem once. String contents
+ * (including braces inside them) are skipped correctly.
+ *
+ * @param {(item: object) => void} onItem
+ * @returns {{ push: (chunk: string) => void, items: object[] }}
+ */
+function createItemScanner(onItem) {
+  let text = "";
+  let pos = 0;
+  let inString = false;
+  let escaped = false;
+  const starts = []; // open-brace offsets, innermost last
+  const items = [];
+
+  function push(chunk) {
+    text += chunk;
+    for (; pos < text.length; pos++) {
+      const ch = text[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === "{") starts.push(pos);
+      else if (ch === "}" && starts.length) {
+        const start = starts.pop();
+        let value;
+        try { value = JSON.parse(text.slice(start, pos + 1)); } catch { continue; }
+        if (validate(value, RECOMMENDATION_ITEM_SCHEMA).length) continue;
+        const item = toItem(value);
+        items.push(item);
+        onItem(item);
+      }
+    }
+  }
+
+  return { push, items };
+}
+
+module.exports = {
+  RECOMMENDATIONS_SCHEMA,
+  RECOMMENDATION_ITEM_SCHEMA,
+  PARSE_PATHS,
+  parseStats,
+  validate,
+  parseRecommendations,
+  createItemScanner,
+};
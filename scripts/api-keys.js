@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * API Key Management
+ *
+ * Adds, rotates and revokes the client keys in the key registry file
+ * (lib/api-keys.js). New keys are printed once; the file only keeps their
+ * SHA-256 hashes. A running server picks up changes within a few seconds.
+ *
+ * USAGE:
+ *   npm run keys -- list
+ *   npm run keys -- add wordpress --name "Law library WordPress site" --scopes search --rate-limit 600
+ *   npm run keys -- rotate wordpress --overlap 7d
+ *   npm run keys -- revoke 9c1e04ab
+ *   npm run keys -- remove github-pages
+ *   npm run keys -- prune
+ *
+ *   list            clients, scopes and key ids with expiry
+ *   add <client>    new client with a first key
+ *   rotate <client> new key; the client's current keys expire after --overlap
+ *   revoke <keyId>  drop one key at once
+ *   remove <client> drop a client and all its keys
+ *   prune           drop expired keys
+ *
+ *   --file        key file (default: API_KEYS_FILE or ./api-keys.json)
+ *   --name        display name (add)
+ *   --scopes      comma-separated: search, admin, logs (add; default search)
+ *   --rate-limit  requests per rate-limit window for the client (add)
+ *   --expires     when the new key stops working: ISO date or 90d / 12h (add, rotate)
+ *   --overlap     how long the old keys keep working: 7d, 12h, 0 (rotate; default 7d)
+ *   --json        machine-readable output
+ *
+ * Exit code: 0 ok, 1 failed, 2 bad arguments.
+ */
+
+const path = require("node:path");
+const keys = require("../lib/api-keys");
+require("dotenv").config({ quiet: true });
+
+const COMMANDS = ["list", "add", "rotate", "revoke", "remove", "prune"];
+
+// "7d", "12h", "30m", "0" → milliseconds
+function parseDuration(value, flag) {
+  const match = /^(\d+(?:\.\d+)?)\s*([dhm]?)$/.exec(String(value).trim());
+  if (!match) throw new Error(`${flag} must look like 7d, 12h or 30m`);
+  const unit = { d: 86400000, h: 3600000, m: 60000, "": 86400000 }[match[2]];
+  return Math.round(Number(match[1]) * unit);
+}
+
+function parseExpiry(value) {
+  if (/^\d+(?:\.\d+)?\s*[dhm]?$/.test(value)) return new Date(Date.now() + parseDuration(value, "--expires")).toISOString();
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) throw new Error("--expires must be an ISO date or a duration like 90d");
+  return new Date(at).toISOString();
+}
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    target: null,
+    file: path.resolve(__dirname, "..", process.env.API_KEYS_FILE || "./api-keys.json"),
+    name: null,
+    scopes: ["search"],
+    rateLimit: undefined,
+    expiresAt: null,
+    overlapMs: parseDuration("7d"),
+    json: false,
+  };
+  const value = (i, flag) => {
+    if (argv[i] === undefined || argv[i].startsWith("--")) throw new Error(`${flag} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--file") args.file = path.resolve(value(++i, a));
+    else if (a === "--name") args.name = value(++i, a);
+    else if (a === "--scopes") args.scopes = value(++i, a).split(",").map(s => s.trim()).filter(Boolean);
+    else if (a === "--rate-limit") args.rateLimit = Number(value(++i, a));
+    else if (a === "--expires") args.expiresAt = parseExpiry(value(++i, a));
+    else if (a === "--overlap") args.overlapMs = parseDuration(value(++i, a), a);
+    else if (a === "--json") args.json = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown argument: ${a}`);
+    else if (!args.command) args.command = a;
+    else if (!args.target) args.target = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  if (args.help) return args;
+  if (!COMMANDS.includes(args.command)) throw new Error(`Command must be one of: ${COMMANDS.join(", ")}`);
+  if (["add", "rotate", "revoke", "remove"].includes(args.command) && !args.target) {
+    throw new Error(`${args.command} needs a ${args.command === "revoke" ? "key id" : "client id"}`);
+  }
+  if (args.command === "add" && !keys.CLIENT_ID.test(args.target)) {
+    throw new Error('Client ids are lowercase letters, digits, "-" or "_"');
+  }
+  if (args.rateLimit !== undefined && !(Number.isFinite(args.rateLimit) && args.rateLimit >= 0)) {
+    throw new Error("--rate-limit must be a number >= 0");
+  }
+  return args;
+}
+
+function describeKey(k, now) {
+  const expired = k.expiresAt && Date.parse(k.expiresAt) <= now;
+  const until = k.expiresAt ? `${expired ? "expired" : "expires"} ${k.expiresAt}` : "no expiry";
+  return `${k.id}  created ${k.createdAt || "?"}, ${until}`;
+}
+
+function printList(data, file) {
+  const now = Date.now();
+  console.log(`🔑 ${file}: ${data.clients.length} client${data.clients.length === 1 ? "" : "s"}`);
+  for (const c of data.clients) {
+    console.log(`\n   ${c.id} - ${c.name || c.id}`);
+    console.log(`   scopes: ${c.scopes.join(", ")}${c.rateLimit !== undefined ? `; rate limit ${c.rateLimit}` : ""}`);
+    if (!c.keys.length) console.log("   (no keys)");
+    for (const k of c.keys) console.log(`   • ${describeKey(k, now)}`);
+  }
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+  if (args.help) {
+    console.log("Usage: node scripts/api-keys.js <list|add|rotate|revoke|remove|prune> [client|keyId] [--file <path>] [options]");
+    return 0;
+  }
+
+  let data;
+  try {
+    data = keys.readKeyFile(args.file);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 1;
+  }
+
+  if (args.command === "list") {
+    if (args.json) console.log(JSON.stringify(data.clients.map(({ keys: list, ...c }) => ({ ...c, keys: list.map(({ hash, ...k }) => k) })), null, 2));
+    else printList(data, args.file);
+    return 0;
+  }
+
+  let result;
+  try {
+    if (args.command === "add") {
+      result = keys.addClient(data, { id: args.target, name: args.name, scopes: args.scopes, rateLimit: args.rateLimit, expiresAt: args.expiresAt });
+    } else if (args.command === "rotate") {
+      result = keys.rotateKey(data, args.target, { overlapMs: args.overlapMs, expiresAt: args.expiresAt });
+    } else if (args.command === "revoke") {
+      result = keys.revokeKey(data, args.target);
+    } else if (args.command === "remove") {
+      result = keys.removeClient(data, args.target);
+    } else {
+      result = { pruned: keys.pruneExpired(data) };
+    }
+    keys.writeKeyFile(args.file, data);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 1;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ command: args.command, client: result.client?.id, key: result.key, keyId: result.keyId, retiring: result.retiring, pruned: result.pruned }, null, 2));
+    return 0;
+  }
+  if (args.command === "add" || args.command === "rotate") {
+    console.log(`✅ New key for ${result.client.id} (${result.client.keys[result.client.keys.length - 1].id}):`);
+    console.log(`\n   ${result.key}\n`);
+    console.log("   Store it now - only its hash is kept.");
+    for (const r of result.retiring || []) console.log(`   Old key ${r.id} keeps working until ${r.expiresAt}`);
+  } else if (args.command === "revoke") {
+    console.log(`✅ Revoked key ${result.keyId} of ${result.client.id}`);
+  } else if (args.command === "remove") {
+    console.log(`✅ Removed client ${result.client.id} and its ${result.client.keys.length} key(s)`);
+  } else {
+    console.log(`✅ Dropped ${result.pruned} expired key(s)`);
+  }
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Relevance Evaluation
+ *
+ * Runs the golden query set through the real search pipeline (server.js,
+ * without HTTP, logging or rate limits) with the mock model, scores the
+ * ranked results with nDCG, precision and recall at k, checks the
+ * legal-advice detection cases, and compares the run with an earlier one so
+ * scoring changes can be reviewed on numbers. Metrics: lib/relevance-eval.js.
+ *
+ * USAGE:
+ *   npm run eval
+ *   npm run eval -- --compare fixtures/eval/baseline.json
+ *   npm run eval -- --thresholds fixtures/eval/thresholds.json
+ *   npm run eval -- --save fixtures/eval/baseline.json
+ *   npm run eval -- --provider gemini --record fixtures/eval/recorded-replies.json
+ *   npm run eval -- --fixtures fixtures/eval/recorded-replies.json --compare fixtures/eval/baseline.json
+ *
+ *   --golden         golden set (default: fixtures/eval/golden-queries.json)
+ *   --k              cut-off and page size (default: the golden set's k, else 8)
+ *   --only           comma-separated query ids to run
+ *   --provider       model for the AI stage: mock (default), gemini or openai
+ *   --fixtures       mock replies to replay (default: LLM_FIXTURES or fixtures/llm/mock-responses.json)
+ *   --record         save every model reply as mock fixtures, to replay a real model offline later
+ *   --save           write this run as JSON
+ *   --compare        earlier run to compare with; exit 1 when this one is worse
+ *   --max-drop       mean nDCG drop --compare tolerates (default 0.01)
+ *   --thresholds     minimum metrics (JSON); exit 1 when the run is below one (not with --only)
+ *   --with-feedback  keep FEEDBACK_BOOST_MAX (default: learned boosts off, so runs are reproducible)
+ *   --json           machine-readable output
+ *   --verbose        keep the server's console output
+ *
+ * For reproducible runs the latency budget, hedging, link-health ranking, the
+ * learned boost and file caches are switched off; the embedding index is
+ * built before the first query.
+ *
+ * Exit code: 0 ok, 1 regression against --compare or below --thresholds (or every
+ * search failed), 2 bad arguments.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { normalize } = require("../lib/query-analysis");
+const { scoreQuery, scoreLegalAdvice, summarize, compareRuns, checkThresholds, validateThresholds, validateGoldenSet } = require("../lib/relevance-eval");
+
+const ROOT = path.resolve(__dirname, "..");
+const PROVIDERS = ["mock", "gemini", "openai"];
+
+function parseArgs(argv) {
+  const args = {
+    golden: path.join(ROOT, "fixtures/eval/golden-queries.json"),
+    k: null,
+    only: null,
+    provider: "mock",
+    fixtures: null,
+    record: null,
+    save: null,
+    compare: null,
+    maxDrop: 0.01,
+    thresholds: null,
+    withFeedback: false,
+    json: false,
+    verbose: false,
+  };
+  const value = (i, flag) => {
+    if (argv[i] === undefined || argv[i].startsWith("--")) throw new Error(`${flag} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--golden") args.golden = path.resolve(value(++i, a));
+    else if (a === "--k") args.k = Number(value(++i, a));
+    else if (a === "--only") args.only = value(++i, a).split(",").map(s => s.trim()).filter(Boolean);
+    else if (a === "--provider") args.provider = value(++i, a).toLowerCase();
+    else if (a === "--fixtures") args.fixtures = path.resolve(value(++i, a));
+    else if (a === "--record") args.record = path.resolve(value(++i, a));
+    else if (a === "--save") args.save = path.resolve(value(++i, a));
+    else if (a === "--compare") args.compare = path.resolve(value(++i, a));
+    else if (a === "--max-drop") args.maxDrop = Number(value(++i, a));
+    else if (a === "--thresholds") args.thresholds = path.resolve(value(++i, a));
+    else if (a === "--with-feedback") args.withFeedback = true;
+    else if (a === "--json") args.json = true;
+    else if (a === "--verbose") args.verbose = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (args.k !== null && !(Number.isInteger(args.k) && args.k > 0 && args.k <= 50)) throw new Error("--k must be an integer from 1 to 50");
+  if (!PROVIDERS.includes(args.provider)) throw new Error(`--provider must be one of: ${PROVIDERS.join(", ")}`);
+  if (!(args.maxDrop >= 0)) throw new Error("--max-drop must be a number >= 0");
+  if (args.compare && !fs.existsSync(args.compare)) throw new Error(`No run to compare with at ${args.compare}`);
+  if (args.thresholds && args.only) throw new Error("--thresholds applies to the whole golden set; drop --only");
+  return args;
+}
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read ${what} ${file}: ${e.message}`);
+  }
+}
+
+// Settings that would make results depend on the machine or on timing; must be set before server.js loads
+function pinEnvironment(args) {
+  Object.assign(process.env, {
+    LLM_PROVIDER: args.provider,
+    SEARCH_BUDGET_MS: "0",
+    HEDGE_AFTER_MS: "0",
+    CACHE_BACKEND: "memory",
+    RATE_LIMIT_STORE: "memory",
+    LINK_CHECK_INTERVAL_HOURS: "0",
+    LINK_HEALTH_MODE: "off",
+    CATALOG_WATCH: "0",
+  });
+  if (args.fixtures) process.env.LLM_FIXTURES = args.fixtures;
+  if (!args.withFeedback) process.env.FEEDBACK_BOOST_MAX = "0";
+}
+
+const rel = (file) => {
+  const relative = path.relative(ROOT, file);
+  return relative && !relative.startsWith("..") ? relative : file;
+};
+const fmt = (n) => (n === null || n === undefined ? "  -  " : n.toFixed(3));
+const signed = (n) => `${n > 0 ? "+" : ""}${n.toFixed(3)}`;
+
+function printRun(run) {
+  console.log(`📏 Relevance evaluation: ${run.summary.queries} queries, k=${run.k}, provider ${run.provider}${run.fixtures ? ` (${run.fixtures})` : ""}`);
+  console.log(`\n   nDCG   P@${run.k}    R@${run.k}    query`);
+  for (const q of run.queries) {
+    const note = q.error ? `  ❌ ${q.error}` : q.missing.length ? `  missing: ${q.missing.slice(0, 3).join("; ")}${q.missing.length > 3 ? " …" : ""}` : "";
+    console.log(`   ${fmt(q.ndcg)}  ${fmt(q.precision)}  ${fmt(q.recall)}  ${q.id}${note}`);
+  }
+  console.log(`   ─────  ─────  ─────`);
+  console.log(`   ${fmt(run.summary.ndcg)}  ${fmt(run.summary.precision)}  ${fmt(run.summary.recall)}  mean${run.summary.zeroResults ? ` (${run.summary.zeroResults} with no results)` : ""}`);
+
+  const legal = run.legalAdvice;
+  if (legal.cases) {
+    console.log(`\n⚖️  Legal advice detection: ${legal.correct}/${legal.cases} correct (accuracy ${legal.accuracy}, precision ${legal.precision}, recall ${legal.recall})`);
+    for (const q of legal.missed) console.log(`   missed:      "${q}"`);
+    for (const q of legal.falseAlarms) console.log(`   false alarm: "${q}"`);
+  }
+}
+
+function printComparison(diff, base, file) {
+  console.log(`\n🔀 Compared with ${rel(file)} (${base.createdAt || "undated"}):`);
+  console.log(`   nDCG ${signed(diff.summary.ndcg)}, precision ${signed(diff.summary.precision)}, recall ${signed(diff.summary.recall)}, zero-result queries ${diff.summary.zeroResults >= 0 ? "+" : ""}${diff.summary.zeroResults}`);
+  for (const c of diff.improved) console.log(`   ▲ ${c.id}  ${fmt(c.before)} → ${fmt(c.after)}`);
+  for (const c of diff.regressed) console.log(`   ▼ ${c.id}  ${fmt(c.before)} → ${fmt(c.after)}`);
+  if (!diff.improved.length && !diff.regressed.length) console.log("   no per-query nDCG changes");
+  if (diff.onlyInBase.length || diff.onlyInRun.length) {
+    console.log(`   not compared: ${[...diff.onlyInBase.map(id => `${id} (removed)`), ...diff.onlyInRun.map(id => `${id} (new)`)].join(", ")}`);
+  }
+  for (const q of diff.legalAdvice.fixed) console.log(`   ⚖️ now right: "${q}"`);
+  for (const q of diff.legalAdvice.broken) console.log(`   ⚖️ now wrong: "${q}"`);
+}
+
+async function main() {
+  let args;
+  let golden;
+  let thresholds = null;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log("Usage: node scripts/eval-relevance.js [--golden <file>] [--k <n>] [--only <ids>] [--provider mock|gemini|openai] [--fixtures <file>] [--record <file>] [--save <file>] [--compare <run.json>] [--max-drop <x>] [--thresholds <file>] [--with-feedback] [--json] [--verbose]");
+      return 0;
+    }
+    golden = readJson(args.golden, "golden set");
+    const problems = validateGoldenSet(golden);
+    if (problems.length) throw new Error(`Invalid golden set ${rel(args.golden)}:\n   ${problems.join("\n   ")}`);
+    if (args.thresholds) {
+      thresholds = readJson(args.thresholds, "thresholds");
+      const invalid = validateThresholds(thresholds);
+      if (invalid.length) throw new Error(`Invalid thresholds ${rel(args.thresholds)}:\n   ${invalid.join("\n   ")}`);
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+
+  const k = args.k || golden.k || 8;
+  const queries = (golden.queries || []).filter(q => !args.only || args.only.includes(q.id));
+  const legalCases = args.only ? [] : golden.legalAdvice || [];
+  if (!queries.length && !legalCases.length) {
+    console.error(`❌ No golden queries match --only ${args.only.join(",")}`);
+    return 2;
+  }
+
+  // The server (and the pipeline it wires up) is chatty; keep stdout for the report
+  pinEnvironment(args);
+  const { log, warn } = console;
+  const quiet = () => {
+    if (!args.verbose) console.log = console.warn = () => {};
+  };
+  const loud = () => Object.assign(console, { log, warn });
+  let server;
+  quiet();
+  try {
+    server = require("../server");
+    await server.whenReady();
+  } finally {
+    loud();
+  }
+
+  // --record: keep each model reply, keyed the way the mock provider looks fixtures up
+  const recorded = new Map();
+  if (args.record) {
+    server.pipelineHooks.ai = {
+      after(ctx) {
+        if (ctx.text) recorded.set(normalize(ctx.searchQuery), { query: ctx.searchQuery, text: ctx.text });
+      },
+    };
+  }
+
+  const search = async (query) => {
+    quiet();
+    try {
+      return await server.searchPipeline.run(query, { limit: k, label: "Eval" });
+    } finally {
+      loud();
+    }
+  };
+
+  const scored = [];
+  for (const q of queries) {
+    try {
+      const out = await search(q.query);
+      const results = out.results.map(r => r.name);
+      scored.push({
+        id: q.id,
+        query: q.query,
+        mode: out.mode,
+        ...(out.didYouMean ? { didYouMean: out.didYouMean } : {}),
+        ...scoreQuery(results, q.relevant, { k, normalize }),
+        results,
+      });
+    } catch (e) {
+      scored.push({ id: q.id, query: q.query, mode: null, error: e.message, ndcg: 0, precision: 0, recall: 0, firstRelevant: null, found: [], missing: Object.keys(q.relevant), results: [] });
+    }
+  }
+
+  const legalResults = [];
+  for (const c of legalCases) {
+    try {
+      const out = await search(c.query);
+      legalResults.push({ query: c.query, expected: c.expected, detected: out.mode === "legal-help" });
+    } catch (e) {
+      legalResults.push({ query: c.query, expected: c.expected, detected: false, error: e.message });
+    }
+  }
+
+  const run = {
+    createdAt: new Date().toISOString(),
+    golden: rel(args.golden),
+    k,
+    provider: args.provider,
+    fixtures: args.provider === "mock" ? rel(path.resolve(ROOT, process.env.LLM_FIXTURES || "./fixtures/llm/mock-responses.json")) : null,
+    learnedBoost: args.withFeedback,
+    summary: summarize(scored),
+    queries: scored,
+    legalAdvice: { ...scoreLegalAdvice(legalResults), results: legalResults },
+  };
+
+  let diff = null;
+  let base = null;
+  if (args.compare) {
+    try {
+      base = readJson(args.compare, "run");
+      diff = compareRuns(base, run);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      return 2;
+    }
+  }
+
+  try {
+    if (args.save) {
+      fs.mkdirSync(path.dirname(args.save), { recursive: true });
+      fs.writeFileSync(args.save, JSON.stringify(run, null, 2) + "\n");
+    }
+    if (args.record) {
+      fs.mkdirSync(path.dirname(args.record), { recursive: true });
+      fs.writeFileSync(args.record, JSON.stringify({ default: "allowlist", responses: [...recorded.values()] }, null, 2) + "\n");
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 1;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(diff ? { ...run, comparison: diff } : run, null, 2));
+  } else {
+    printRun(run);
+    if (diff) printComparison(diff, base, args.compare);
+    if (args.save) console.log(`\n💾 Run saved to ${rel(args.save)}`);
+    if (args.record) console.log(`🎙️  ${recorded.size} model replies recorded to ${rel(args.record)} (replay with --fixtures)`);
+  }
+
+  const failed = scored.filter(q => q.error).length + legalResults.filter(c => c.error).length;
+  if (failed && failed === scored.length + legalResults.length) {
+    console.error("❌ Every search failed - check the provider settings");
+    return 1;
+  }
+  if (diff && (diff.summary.ndcg < -args.maxDrop || diff.legalAdvice.broken.length)) {
+    console.error(`❌ Worse than ${rel(args.compare)}: mean nDCG ${signed(diff.summary.ndcg)} (tolerance ${args.maxDrop})${diff.legalAdvice.broken.length ? `, ${diff.legalAdvice.broken.length} legal-advice case(s) broken` : ""}`);
+    return 1;
+  }
+  if (thresholds) {
+    const below = checkThresholds(run, thresholds);
+    if (below.length) {
+      console.error(`❌ Below ${rel(args.thresholds)}: ${below.join(", ")}`);
+      return 1;
+    }
+    if (!args.json) console.log(`\n✅ Meets ${rel(args.thresholds)}`);
+  }
+  return 0;
+}
+
+main().then((code) => {
+  // server.js keeps timers (key file checks, link checker, ...) that would hold the process open
+  process.exit(code);
+});
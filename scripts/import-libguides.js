@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * LibGuides Import
+ *
+ * Regenerates the guides, databases and LibGuide asset catalogs and both
+ * whitelists from a Springshare LibGuides export, and writes a report of what
+ * was added, removed or changed compared with the current files. Mapping
+ * rules are in lib/libguides-import.js.
+ *
+ * USAGE:
+ *   npm run import:libguides -- --input fixtures/libguides/export.json --dry-run
+ *   node scripts/import-libguides.js [--input <export.json> | --site-id <id> --key <key>] [options]
+ *
+ *   --input        saved export ({ guides, az, assets, subjects }) instead of calling the API
+ *   --site-id      LibGuides site id (default: LIBGUIDES_SITE_ID)
+ *   --key          LibGuides API key (default: LIBGUIDES_API_KEY)
+ *   --api-url      API base (default: LIBGUIDES_API_URL or https://lgapi-us.libapps.com/1.1)
+ *   --save-export  also save the downloaded export, e.g. as a new fixture
+ *   --out          folder the catalog files are written to (default: project root)
+ *   --report       diff report path (default: <out>/libguides-import-report.md)
+ *   --dry-run      write only the report
+ *   --allow-empty  write a file even if it would replace a non-empty list with nothing
+ *   --include-unpublished  also import unpublished and private guides
+ *   --json         print the report as JSON
+ *
+ * Exit code: 0 ok, 1 import failed or refused, 2 bad arguments.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { CATALOG_FILES, lintCatalogs } = require("../lib/catalog-schema");
+const { DEFAULT_API_URL, mapExport, fetchExport, diffCatalog, formatReport } = require("../lib/libguides-import");
+require("dotenv").config({ quiet: true });
+
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    siteId: process.env.LIBGUIDES_SITE_ID,
+    key: process.env.LIBGUIDES_API_KEY,
+    apiUrl: process.env.LIBGUIDES_API_URL || DEFAULT_API_URL,
+    saveExport: null,
+    out: path.resolve(__dirname, ".."),
+    report: null,
+    dryRun: false,
+    allowEmpty: false,
+    includeUnpublished: false,
+    json: false,
+  };
+  const value = (i, flag) => {
+    if (argv[i] === undefined || argv[i].startsWith("--")) throw new Error(`${flag} needs a value`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--input") args.input = path.resolve(value(++i, a));
+    else if (a === "--site-id") args.siteId = value(++i, a);
+    else if (a === "--key") args.key = value(++i, a);
+    else if (a === "--api-url") args.apiUrl = value(++i, a);
+    else if (a === "--save-export") args.saveExport = path.resolve(value(++i, a));
+    else if (a === "--out") args.out = path.resolve(value(++i, a));
+    else if (a === "--report") args.report = path.resolve(value(++i, a));
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--allow-empty") args.allowEmpty = true;
+    else if (a === "--include-unpublished") args.includeUnpublished = true;
+    else if (a === "--json") args.json = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  args.report = args.report || path.join(args.out, "libguides-import-report.md");
+  return args;
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// Same layout as the hand-maintained files: 2-space JSON, no trailing newline
+function writeAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, typeof data === "string" ? data : JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+  if (args.help) {
+    console.log("Usage: node scripts/import-libguides.js [--input <export.json> | --site-id <id> --key <key>] [--out <dir>] [--report <file>] [--dry-run] [--json]");
+    return 0;
+  }
+
+  let dump;
+  let source;
+  try {
+    if (args.input) {
+      dump = JSON.parse(fs.readFileSync(args.input, "utf8"));
+      source = path.relative(process.cwd(), args.input) || args.input;
+    } else {
+      if (!args.json) console.log(`🌐 Downloading LibGuides export from ${args.apiUrl} (site ${args.siteId || "?"})...`);
+      dump = await fetchExport({ siteId: args.siteId, key: args.key, apiUrl: args.apiUrl });
+      source = `${args.apiUrl} (site ${args.siteId})`;
+      if (args.saveExport) {
+        writeAtomic(args.saveExport, JSON.stringify(dump, null, 2) + "\n");
+        if (!args.json) console.log(`💾 Saved export to ${args.saveExport}`);
+      }
+    }
+  } catch (e) {
+    console.error(`❌ Could not read LibGuides export: ${e.message}`);
+    return 1;
+  }
+
+  const mapped = mapExport(dump, { includeUnpublished: args.includeUnpublished });
+  const assetList = Object.values(mapped.assets);
+
+  const { errors } = lintCatalogs([
+    { label: "guides", kind: "catalog", items: mapped.guides },
+    { label: "databases", kind: "catalog", items: mapped.databases },
+    { label: "assets", kind: "catalog", items: assetList },
+    { label: "whitelistA", kind: "whitelist", items: mapped.whitelistA },
+    { label: "whitelistB", kind: "whitelist", items: mapped.whitelistB },
+  ]);
+  if (errors.length) {
+    console.error(`❌ Import produced invalid catalogs: ${errors.slice(0, 5).map(f => `${f.source} ${f.at}: ${f.message}`).join("; ")}`);
+    return 1;
+  }
+
+  const [whitelistB] = [].concat(CATALOG_FILES.whitelistB);
+  const outputs = {
+    guides: { file: CATALOG_FILES.guides, data: mapped.guides, items: mapped.guides },
+    databases: { file: CATALOG_FILES.databases, data: mapped.databases, items: mapped.databases },
+    assets: { file: CATALOG_FILES.assets, data: mapped.assets, items: assetList, keyed: true },
+    whitelistA: { file: CATALOG_FILES.whitelistA, data: mapped.whitelistA, items: mapped.whitelistA },
+    whitelistB: { file: whitelistB, data: mapped.whitelistB, items: mapped.whitelistB },
+  };
+
+  const report = { source, generatedAt: new Date().toISOString(), dryRun: args.dryRun, skipped: mapped.skipped, files: {} };
+  const refused = [];
+  for (const [label, o] of Object.entries(outputs)) {
+    const existing = readJson(path.resolve(args.out, o.file), o.keyed ? {} : []);
+    const before = o.keyed && existing && !Array.isArray(existing) ? Object.values(existing) : [].concat(existing || []);
+    report.files[label] = { file: o.file, before: before.length, after: o.items.length, diff: diffCatalog(before, o.items) };
+    if (before.length && !o.items.length && !args.allowEmpty) refused.push(`${o.file} would go from ${before.length} entries to 0`);
+  }
+
+  if (refused.length) {
+    report.dryRun = true;
+    console.error(`❌ Refusing to write: ${refused.join("; ")} (use --allow-empty)`);
+  } else if (!args.dryRun) {
+    for (const o of Object.values(outputs)) writeAtomic(path.resolve(args.out, o.file), o.data);
+  }
+
+  writeAtomic(args.report, formatReport(report));
+
+  if (args.json) {
+    console.log(JSON.stringify({ ...report, report: args.report }, null, 2));
+  } else {
+    console.log(`📚 LibGuides import from ${source}${report.dryRun ? " (dry run)" : ""}`);
+    for (const [label, f] of Object.entries(report.files)) {
+      console.log(`   ${label.padEnd(11)} ${String(f.before).padStart(5)} → ${String(f.after).padEnd(5)} +${f.diff.added.length} -${f.diff.removed.length} ~${f.diff.changed.length}  ${f.file}`);
+    }
+    console.log(`📝 Report written to ${path.relative(process.cwd(), args.report) || args.report}`);
+  }
+  return refused.length ? 1 : 0;
+}
+
+main().then((code) => { process.exitCode = code; });
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Catalog Lint
+ *
+ * Checks the catalog and whitelist files against their schemas and reports
+ * duplicates, orphaned whitelist entries, alias collisions across catalogs,
+ * missing or protocol-less URLs and descriptions that results would truncate.
+ * Rules are defined in lib/catalog-schema.js.
+ *
+ * USAGE:
+ *   npm run lint:catalogs
+ *   node scripts/lint-catalogs.js [--dir <folder>] [--all] [--json] [--strict]
+ *
+ *   --dir     folder holding the catalog files (default: project root)
+ *   --all     list every finding instead of the first 10 per rule
+ *   --json    machine-readable output
+ *   --strict  exit 1 on warnings as well as errors
+ *
+ * Exit code: 0 clean, 1 errors (or warnings with --strict), 2 bad arguments.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { CATALOG_FILES, lintCatalogs, countByRule } = require("../lib/catalog-schema");
+
+const PER_RULE = 10;
+
+function parseArgs(argv) {
+  const args = { dir: path.resolve(__dirname, ".."), all: false, json: false, strict: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dir") args.dir = path.resolve(argv[++i] || ".");
+    else if (a === "--all") args.all = true;
+    else if (a === "--json") args.json = true;
+    else if (a === "--strict") args.strict = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+// Read one file; unreadable JSON becomes a schema error instead of a crash
+function readSource(dir, label, kind, candidates, keyed = false) {
+  const files = [].concat(candidates);
+  const file = files.find(f => fs.existsSync(path.resolve(dir, f)));
+  if (!file) return { label, kind, file: files[0], missing: true, items: [] };
+  try {
+    const data = JSON.parse(fs.readFileSync(path.resolve(dir, file), "utf8"));
+    const items = keyed && data && !Array.isArray(data) && typeof data === "object" ? Object.values(data) : data;
+    return { label, kind, file, items };
+  } catch (e) {
+    return { label, kind, file, parseError: e.message, items: [] };
+  }
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+  if (args.help) {
+    console.log("Usage: node scripts/lint-catalogs.js [--dir <folder>] [--all] [--json] [--strict]");
+    return 0;
+  }
+
+  const sources = [
+    readSource(args.dir, "guides", "catalog", CATALOG_FILES.guides),
+    readSource(args.dir, "databases", "catalog", CATALOG_FILES.databases),
+    readSource(args.dir, "assets", "catalog", CATALOG_FILES.assets, true),
+    readSource(args.dir, "whitelistA", "whitelist", CATALOG_FILES.whitelistA),
+    readSource(args.dir, "whitelistB", "whitelist", CATALOG_FILES.whitelistB),
+  ];
+
+  const { errors, warnings } = lintCatalogs(sources.filter(s => !s.missing && !s.parseError));
+  for (const s of sources.filter(s => s.parseError)) {
+    errors.unshift({ rule: "schema", severity: "error", source: s.label, at: "$", message: `invalid JSON: ${s.parseError}` });
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      files: sources.map(s => ({ label: s.label, file: s.file, missing: Boolean(s.missing), entries: Array.isArray(s.items) ? s.items.length : 0 })),
+      summary: { errors: errors.length, warnings: warnings.length, byRule: countByRule([...errors, ...warnings]) },
+      errors,
+      warnings,
+    }, null, 2));
+  } else {
+    console.log(`📋 Catalog lint: ${args.dir}`);
+    for (const s of sources) {
+      const state = s.missing ? "missing" : s.parseError ? "invalid JSON" : `${Array.isArray(s.items) ? s.items.length : 0} entries`;
+      console.log(`   ${s.label.padEnd(11)} ${s.file} (${state})`);
+    }
+    console.log("");
+
+    const byRule = new Map();
+    for (const f of [...errors, ...warnings]) {
+      if (!byRule.has(f.rule)) byRule.set(f.rule, []);
+      byRule.get(f.rule).push(f);
+    }
+    for (const [rule, list] of byRule) {
+      const icon = list[0].severity === "error" ? "❌" : "⚠️ ";
+      console.log(`${icon} ${rule} (${list.length})`);
+      const shown = args.all ? list : list.slice(0, PER_RULE);
+      for (const f of shown) console.log(`   ${f.source} ${f.at}: ${f.message}`);
+      if (shown.length < list.length) console.log(`   … ${list.length - shown.length} more (use --all)`);
+    }
+    console.log(`${errors.length ? "❌" : "✅"} ${errors.length} errors, ${warnings.length} warnings`);
+  }
+
+  return errors.length || (args.strict && warnings.length) ? 1 : 0;
+}
+
+process.exitCode = main();
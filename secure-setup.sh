@@ -21,15 +21,25 @@ echo "✅ Firewall rules updated"
 API_KEY=$(openssl rand -hex 32)
 echo "🔑 Generated API key: $API_KEY"
 
-# 3. Add API key to .env file
-if ! grep -q "API_KEY=" .env 2>/dev/null; then
-    echo "API_KEY=$API_KEY" >> .env
-    echo "✅ API key added to .env file"
+# 3. Add API key to .env file (the server reads LOCAL_API_KEY)
+if ! grep -q "^LOCAL_API_KEY=" .env 2>/dev/null; then
+    echo "LOCAL_API_KEY=$API_KEY" >> .env
+    echo "✅ LOCAL_API_KEY added to .env file"
 else
-    echo "⚠️  API_KEY already exists in .env file"
+    API_KEY=$(grep "^LOCAL_API_KEY=" .env | head -1 | cut -d= -f2-)
+    echo "⚠️  LOCAL_API_KEY already exists in .env file - keeping it"
 fi
 
-# 4. Show current firewall status
+# 4. Separate admin key: LOCAL_API_KEY only opens the search routes
+if ! grep -q "^ADMIN_API_KEY=" .env 2>/dev/null; then
+    ADMIN_KEY=$(openssl rand -hex 32)
+    echo "ADMIN_API_KEY=$ADMIN_KEY" >> .env
+    echo "✅ ADMIN_API_KEY added to .env file (keep it off public pages)"
+else
+    echo "⚠️  ADMIN_API_KEY already exists in .env file - keeping it"
+fi
+
+# 5. Show current firewall status
 echo "🛡️  Current firewall rules:"
 sudo ufw status numbered
 
@@ -40,6 +50,8 @@ echo "📋 Next Steps:"
 echo "1. Update your WordPress functions.php to include the API key"
 echo "2. Restart your Node.js server to load the new API key"
 echo "3. Test the restricted access"
+echo "4. Optional: give each site or tool its own key with scopes and rotation:"
+echo "   npm run keys -- add wordpress --name \"WordPress site\" --scopes search"
 echo ""
 echo "🔑 Your API Key: $API_KEY"
 echo "📁 Saved to: .env file"
\ No newline at end of file
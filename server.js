@@ -22,9 +22,9 @@
  *                            └─────────────────────┘
  *
  * SECURITY FEATURES:
- * - API key authentication (X-API-Key header required)
- * - Rate limiting (10 requests/minute per IP)
- * - Request logging with privacy protection (hashed IPs)
+ * - API keys per client with scopes, expiry and rotation (lib/api-keys.js)
+ * - Rate limiting per client, route and API key (RateLimit-* headers)
+ * - Request logging with privacy protection (daily-rotating HMAC visitor ids, log rotation and retention)
  * - CORS and Helmet security headers
  * - Legal advice detection and referral system
  *
@@ -38,9 +38,56 @@
  *   PORT=8443                          # Server port (8443 for HTTPS)
  *   GEMINI_API_KEY=your_api_key_here  # Google Gemini API key
  *   MODEL=gemini-2.0-flash-lite       # AI model to use
- *   LOCAL_API_KEY=your_local_key      # API key for client authentication
+ *   LOCAL_API_KEY=your_local_key      # public API key for the search routes (search scope only)
+ *   ADMIN_API_KEY=your_admin_key      # API key for /admin, /logs, /models (must differ from LOCAL_API_KEY; admin routes are closed without it or an admin client)
+ *   API_KEYS_FILE=./api-keys.json     # named clients with scopes and hashed keys (npm run keys)
+ *   ANALYTICS_SECRET=                 # HMAC secret for visitor ids (default: generated into ./cache/analytics.secret)
+ *   LOG_MAX_MB=10                     # rotate search.log beyond this size (it also rotates daily)
+ *   LOG_RETENTION_DAYS=90             # delete rotated search logs older than this (0 = keep)
+ *   CATALOG_WATCH=1                   # reload catalogs when their files change (0 = off)
+ *   CATALOG_DIR=.                     # directory holding the catalog and whitelist JSON files
+ *   CATALOG_AUDIT_FILE=./catalog-audit.log  # JSON-lines log of /admin/catalog edits
  *   MAX_ALLOWLIST_SIZE=60             # Max resources sent to AI per query
  *   MAX_OUTPUT_TOKENS=4096            # AI response token limit
+ *   CACHE_TTL_SECONDS=3600            # Query result cache lifetime
+ *   CACHE_MAX_ENTRIES=500             # Query result cache size bound
+ *   CACHE_BACKEND=memory              # memory | file (CACHE_FILE=./cache/query-cache.json)
+ *   LLM_PROVIDER=gemini               # gemini | openai (OpenAI-compatible) | mock
+ *   OPENAI_BASE_URL=http://localhost:11434/v1  # openai provider endpoint (Ollama, vLLM, ...)
+ *   OPENAI_API_KEY=                   # openai provider key (optional for local servers)
+ *   LLM_FIXTURES=./fixtures/llm/mock-responses.json  # mock provider fixtures
+ *   EMBEDDINGS_PROVIDER=local         # local (hashed terms + dictionary expansion, offline) | openai (semantic, OpenAI-compatible /embeddings) | none
+ *   EMBEDDINGS_MODEL=nomic-embed-text # openai embedder model (EMBEDDINGS_BASE_URL defaults to OPENAI_BASE_URL)
+ *   EMBEDDINGS_FILE=./cache/embeddings.json  # on-disk vector cache
+ *   EMBEDDING_WEIGHT=0.4              # share of the allowlist score taken from cosine similarity
+ *   EMBEDDINGS_QUERY_TIMEOUT_MS=2000  # limit for embedding a query (openai embedder); keyword-only allowlist when exceeded
+ *   PROXY_HOSTS=idm.oclc.org,dbs.lib.byu.edu  # URLs on these hosts count as access=proxied (facets)
+ *   LINK_CHECK_INTERVAL_HOURS=24      # check every catalog URL this often (0 = off)
+ *   LINK_CHECK_CONCURRENCY=4          # parallel link checks (at most 2 per host)
+ *   LINK_CHECK_TIMEOUT_MS=10000       # per-request timeout for link checks
+ *   LINK_HEALTH_FILE=./cache/link-health.json  # link status history
+ *   LINK_HEALTH_MODE=annotate         # annotate | demote (broken links last) | off
+ *   SEARCH_BUDGET_MS=20000            # answer from the catalogs when the model takes longer (0 = wait)
+ *   HEDGE_AFTER_MS=0                  # ask a second model when the first has not answered by then (0 = off)
+ *   HEDGE_MODEL=gemini-2.5-flash      # that second model (Gemini default: the next entry in CANDIDATES)
+ *   LLM_RETRIES=2                     # extra attempts for 429/5xx/network errors (backoff with jitter, Retry-After honored)
+ *   LLM_RETRY_BASE_MS=500             # first backoff step; doubles per attempt
+ *   LLM_RETRY_MAX_MS=8000             # longest wait between attempts (longer Retry-After: fail now)
+ *   LLM_BREAKER_THRESHOLD=5           # failed model calls in a row that open the circuit breaker
+ *   LLM_BREAKER_COOLDOWN_MS=30000     # open breaker answers in fallback mode this long, then probes
+ *   RATE_LIMIT_ALGORITHM=sliding-window  # sliding-window | token-bucket
+ *   TRUST_PROXY=loopback              # proxies whose X-Forwarded-For is believed: loopback, addresses/CIDRs (comma-separated), a hop count, true or false
+ *   RATE_LIMIT_WINDOW_SECONDS=60      # window the limits below count over
+ *   RATE_LIMIT_PER_CLIENT=10          # searches per window per client (forwarded visitor IP; 0 = off)
+ *   RATE_LIMIT_PER_KEY=0              # searches per window per API client, all its keys and visitors together (0 = off)
+ *   RATE_LIMIT_ROUTES=/v2/search/stream=5  # per-client limit for a route, counted separately
+ *   RATE_LIMIT_STORE=memory           # memory | file (RATE_LIMIT_FILE=./cache/rate-limits.json)
+ *   FEEDBACK_FILE=./feedback-events.jsonl  # result impressions, clicks and thumbs (POST /v2/feedback)
+ *   FEEDBACK_BOOST_MAX=0              # largest learned relevance boost from feedback, in points (0 = off; keep off while TRUST_PROXY=true)
+ *   FEEDBACK_PER_VISITOR_MAX=1        # events of one type a visitor adds to a resource per query term
+ *   FEEDBACK_MIN_IMPRESSIONS=5        # impressions (one per visitor) per query term and resource before feedback boosts it
+ *   FEEDBACK_WINDOW_DAYS=180          # feedback older than this is dropped at start
+ *   FEEDBACK_RATE_LIMIT=60            # feedback events per rate-limit window per visitor (0 = off)
  */
 
 // ============================================================================
@@ -54,6 +101,25 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const crypto = require("crypto");
+const { createSearchPipeline } = require("./lib/search-pipeline");
+const { requestIdFrom, warningsFor, buildEnvelope, errorEnvelope } = require("./lib/response-envelope");
+const { createLlmProvider, isServiceError } = require("./lib/llm");
+const { hedge } = require("./lib/llm/hedge");
+const { RECOMMENDATIONS_SCHEMA, parseRecommendations, parseStats, createItemScanner } = require("./lib/structured-output");
+const { createSearchIndex } = require("./lib/search-index");
+const { createSpellingCorrector } = require("./lib/spelling");
+const { createEmbedder, createVectorIndex } = require("./lib/embeddings");
+const { createCatalogStore } = require("./lib/catalog-store");
+const { createCatalogEditor } = require("./lib/catalog-editor");
+const { createLinkChecker, STATES: LINK_STATES } = require("./lib/link-checker");
+const { createFacets, buildGazetteer, parseFilters } = require("./lib/facets");
+const { CATALOG_FILES, DESCRIPTION_MAX_LENGTH, lintCatalogs, countByRule } = require("./lib/catalog-schema");
+const { normalize, loadDictionary, createQueryAnalyzer } = require("./lib/query-analysis");
+const { createQueryCache, createMemoryBackend, createFileBackend } = require("./lib/query-cache");
+const { createRateLimiter, rateLimitHeaders, parseLimitList } = require("./lib/rate-limit");
+const { createKeyRegistry } = require("./lib/api-keys");
+const { createAnalytics } = require("./lib/analytics");
+const { createFeedbackStore } = require("./lib/feedback");
 require("dotenv").config();
 
 
@@ -63,92 +129,77 @@ require("dotenv").config();
 // ============================================================================
 /**
  * Security layer with rate limiting and privacy-aware logging.
- * - Prevents API abuse with 10 requests/minute limit per IP
- * - Logs requests with hashed IPs for privacy protection
+ * - Limits searches per client, per route and per API key (lib/rate-limit.js)
+ * - Logs requests under daily-rotating visitor ids, never IPs (lib/analytics.js)
  * - Tracks search queries and results for analytics
+ *
+ * The client is req.ip, i.e. the visitor address forwarded in X-Forwarded-For
+ * by a trusted proxy (TRUST_PROXY): the WordPress proxy passes its visitor's
+ * address along, so visitors behind it get their own allowance instead of
+ * sharing the WordPress server's. Anyone else is limited by their own address. The
+ * API client limit (its `rateLimit` in the key registry, else
+ * RATE_LIMIT_PER_KEY) caps everything coming in with its keys, forwarded or not.
  */
 
-// Simple in-memory rate limiting (consider Redis for production with multiple servers)
-const rateLimiter = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 10;   // 10 requests per minute per IP
-
-// Request logging
+// Request logging, rotation, retention and reports
 const LOG_FILE = path.join(__dirname, "search.log");
+const analytics = createAnalytics({
+  logFile: LOG_FILE,
+  secret: process.env.ANALYTICS_SECRET,
+  secretFile: path.resolve(__dirname, process.env.ANALYTICS_SECRET_FILE || "./cache/analytics.secret"),
+  maxBytes: Number(process.env.LOG_MAX_MB || 10) * 1024 * 1024,
+  retentionDays: Number(process.env.LOG_RETENTION_DAYS ?? 90),
+});
+
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000;
+const RATE_LIMIT_PER_CLIENT = Number(process.env.RATE_LIMIT_PER_CLIENT ?? 10);
+const RATE_LIMIT_PER_KEY = Number(process.env.RATE_LIMIT_PER_KEY ?? 0);
+const RATE_LIMIT_ROUTES = parseLimitList(process.env.RATE_LIMIT_ROUTES);
+const RATE_LIMIT_MAX_ENTRIES = 20000;
+const rateLimiter = createRateLimiter({
+  algorithm: process.env.RATE_LIMIT_ALGORITHM || "sliding-window",
+  store: process.env.RATE_LIMIT_STORE === "file"
+    ? createFileBackend({
+        filePath: path.resolve(__dirname, process.env.RATE_LIMIT_FILE || "./cache/rate-limits.json"),
+        maxEntries: RATE_LIMIT_MAX_ENTRIES,
+        label: "rate limit",
+      })
+    : createMemoryBackend({ maxEntries: RATE_LIMIT_MAX_ENTRIES }),
+});
+
+// The limits a search request counts against (see createRateLimiter)
+function rateLimitRules(req) {
+  const client = analytics.pseudonym(req.ip || 'unknown');
+  const routeLimit = RATE_LIMIT_ROUTES[req.path];
+  const rules = [routeLimit === undefined
+    ? { id: "client", key: `client:${client}`, limit: RATE_LIMIT_PER_CLIENT, windowMs: RATE_LIMIT_WINDOW_MS }
+    : { id: "route", key: `route:${req.path}:${client}`, limit: routeLimit, windowMs: RATE_LIMIT_WINDOW_MS }];
+  if (req.apiClient) {
+    const limit = req.apiClient.rateLimit ?? RATE_LIMIT_PER_KEY;
+    rules.push({ id: "api-client", key: `apiclient:${req.apiClient.id}`, limit, windowMs: RATE_LIMIT_WINDOW_MS });
+  }
+  return rules;
+}
 
-function logRequest(ip, query, userAgent, results = 0, error = null) {
+// `from` is the request (logs its API client too) or just an IP
+function logRequest(from, query, userAgent, results = 0, error = null, extra = {}) {
   const timestamp = new Date().toISOString();
-  const hashedIP = crypto.createHash('md5').update(ip).digest('hex').substring(0,8);
+  const ip = typeof from === 'string' ? from : (from.ip || 'unknown');
   const logEntry = {
     timestamp,
-    hashedIP, // Privacy: log hashed IP instead of real IP
+    visitor: analytics.visitorId(ip), // Privacy: keyed hash that changes daily, never the IP
+    client: typeof from === 'string' ? undefined : (from.apiClient ? from.apiClient.id : undefined),
     query: query.substring(0, 200), // Truncate long queries
     userAgent: userAgent ? userAgent.substring(0, 100) : 'unknown',
     results,
-    error: error ? error.substring(0, 200) : null
+    error: error ? error.substring(0, 200) : null,
+    ...extra
   };
-  
-  const logLine = JSON.stringify(logEntry) + '\n';
-  
-  // Async write to avoid blocking
-  fs.appendFile(LOG_FILE, logLine, (err) => {
-    if (err) console.error('Failed to write to log:', err.message);
-  });
-}
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const key = ip;
-  
-  if (!rateLimiter.has(key)) {
-    rateLimiter.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return { allowed: true, remaining: MAX_REQUESTS_PER_WINDOW - 1 };
-  }
-  
-  const limiter = rateLimiter.get(key);
-  
-  if (now > limiter.resetTime) {
-    // Reset window
-    limiter.count = 1;
-    limiter.resetTime = now + RATE_LIMIT_WINDOW;
-    return { allowed: true, remaining: MAX_REQUESTS_PER_WINDOW - 1 };
-  }
-  
-  if (limiter.count >= MAX_REQUESTS_PER_WINDOW) {
-    return { 
-      allowed: false, 
-      remaining: 0,
-      resetIn: Math.ceil((limiter.resetTime - now) / 1000)
-    };
-  }
-  
-  limiter.count++;
-  return { allowed: true, remaining: MAX_REQUESTS_PER_WINDOW - limiter.count };
+  // Async write to avoid blocking; rotates search.log when due
+  analytics.append(logEntry);
 }
 
-// Cleanup old rate limit entries every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, limiter] of rateLimiter.entries()) {
-    if (now > limiter.resetTime + RATE_LIMIT_WINDOW) {
-      rateLimiter.delete(key);
-    }
-  }
-}, 5 * 60 * 1000);
-
-function normalize(s) {
-  return String(s || "")
-    // smart quotes & dashes -> ASCII
-    .replace(/['']/g, "'")
-    .replace(/[""]/g, '"')
-    .replace(/[–—]/g, "-")
-    .toLowerCase()
-    .replace(/&/g, "and")
-    .replace(/[@™©®]/g, " ")
-    .replace(/[^a-z0-9 ]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
 
 // ============================================================================
 // LEGAL ADVICE DETECTION & REFERRAL SYSTEM
@@ -271,23 +322,43 @@ function createLegalHelpResponse() {
   ];
 }
 
+/* ----------------------------- Result feedback ----------------------- */
+
+// Clicks and thumbs on returned results, and the learned boost they add (lib/feedback.js)
+const feedback = createFeedbackStore({
+  filePath: path.resolve(__dirname, process.env.FEEDBACK_FILE || "./feedback-events.jsonl"),
+  normalize,
+  boostMax: Number(process.env.FEEDBACK_BOOST_MAX || 0),
+  minImpressions: Number(process.env.FEEDBACK_MIN_IMPRESSIONS || 5),
+  windowDays: Number(process.env.FEEDBACK_WINDOW_DAYS ?? 180),
+  perVisitorMax: Math.max(1, Number(process.env.FEEDBACK_PER_VISITOR_MAX || 1)),
+});
+if (feedback.status().boostMax && parseTrustProxy(process.env.TRUST_PROXY) === true) {
+  console.warn("⚠️  FEEDBACK_BOOST_MAX is on while TRUST_PROXY=true: any caller can pose as new visitors and vote rankings up or down");
+}
+const FEEDBACK_RATE_LIMIT = Number(process.env.FEEDBACK_RATE_LIMIT ?? 60);
+
+// Feedback is aggregated per index term, the same terms the catalog searches rank by
+function feedbackTerms(queryOrAnalysis) {
+  const analysis = typeof queryOrAnalysis === "string" ? analyzeQuery(queryOrAnalysis) : queryOrAnalysis;
+  return analysis.terms.map(t => t.term);
+}
+
 /* ----------------------------- Local guide search ----------------------- */
 
-function searchLocalGuides(query) {
-  const q = normalize(query);
-  const qTokens = new Set(q.split(" ").filter(Boolean));
+function searchLocalGuides(query, limit = 5) {
+  const analysis = analyzeQuery(query);
+  const learned = feedback.boostFor(feedbackTerms(analysis));
   const scored = [];
 
-  for (const guide of CATALOG_A) {
-    if (!guide.name) continue;
-    
-    const haystack = normalize(`${guide.name} ${guide.description || ""} ${(guide.aliases || []).join(" ")}`);
-    const tokens = new Set(haystack.split(" ").filter(Boolean));
-    
-    let score = 0;
+  // BM25 over name, aliases and description (see GUIDE_FIELDS).
+  // Check changes to the boosts and the score mapping below with `npm run eval`.
+  for (const { item: guide, score: bm25 } of indexFor(catalogs.current().guides, GUIDE_FIELDS).search(analysis.terms)) {
+    if (bm25 < MIN_KEYWORD_SCORE) continue;
+    let score = bm25;
     
     // Exact name match gets high score
-    if (normalize(guide.name).includes(q) || q.includes(normalize(guide.name))) {
+    if (nameMatchesQuery(guide.name, analysis)) {
       score += 10;
       
       // Boost general/topic matches over country-specific ones
@@ -299,50 +370,33 @@ function searchLocalGuides(query) {
       }
     }
     
-    // Token overlap scoring
-    for (const token of qTokens) {
-      if (token.length >= 3 && tokens.has(token)) {
-        score += 2;
-      }
-    }
-    
-    // Subject/alias bonus
-    for (const alias of guide.aliases || []) {
-      if (normalize(alias).includes(q) || q.includes(normalize(alias))) {
-        score += 5;
-      }
-    }
-    
-    if (score > 0) {
-      scored.push({
-        name: guide.name,
-        relevanceScore: Math.min(98, 60 + score * 3), // Cap at 98, higher than LibGuide assets
-        matchReason: "BYU Law Library subject guide on this topic",
-        url: guide.url,
-        description: guide.description || `Research guide for ${guide.name}`,
-        isLocalGuide: true
-      });
-    }
+    const learnedBoost = learned(guide.name); // visitor feedback (FEEDBACK_BOOST_MAX)
+    scored.push({
+      name: guide.name,
+      relevanceScore: Math.min(98, Math.round(60 + score * 3 + learnedBoost)), // Cap at 98, higher than LibGuide assets
+      matchReason: "BYU Law Library subject guide on this topic",
+      url: guide.url,
+      description: guide.description || `Research guide for ${guide.name}`,
+      isLocalGuide: true,
+      ...(learnedBoost ? { learnedBoost } : {})
+    });
   }
   
-  return scored.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, 5);
+  return scored.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, limit);
 }
 
-function searchLibGuideAssets(query) {
-  const q = normalize(query);
-  const qTokens = new Set(q.split(" ").filter(Boolean));
+function searchLibGuideAssets(query, limit = 5) {
+  const analysis = analyzeQuery(query);
+  const learned = feedback.boostFor(feedbackTerms(analysis));
   const scored = [];
 
-  for (const asset of CATALOG_C) {
-    if (!asset.name) continue;
-    
-    const haystack = normalize(`${asset.name} ${asset.description || ""} ${(asset.subjects || []).join(" ")}`);
-    const tokens = new Set(haystack.split(" ").filter(Boolean));
-    
-    let score = 0;
+  // BM25 over name, subjects and description (see ASSET_FIELDS)
+  for (const { item: asset, score: bm25 } of indexFor(catalogs.current().assets, ASSET_FIELDS).search(analysis.terms)) {
+    if (bm25 < MIN_KEYWORD_SCORE) continue;
+    let score = bm25;
     
     // Exact name match gets high score
-    if (normalize(asset.name).includes(q) || q.includes(normalize(asset.name))) {
+    if (nameMatchesQuery(asset.name, analysis)) {
       score += 10;
       
       // Boost general/topic matches over country-specific ones
@@ -354,33 +408,19 @@ function searchLibGuideAssets(query) {
       }
     }
     
-    // Token overlap scoring
-    for (const token of qTokens) {
-      if (token.length >= 3 && tokens.has(token)) {
-        score += 2;
-      }
-    }
-    
-    // Subject bonus
-    for (const subject of asset.subjects || []) {
-      if (normalize(subject).includes(q) || q.includes(normalize(subject))) {
-        score += 5;
-      }
-    }
-    
-    if (score > 0) {
-      scored.push({
-        name: asset.name,
-        relevanceScore: Math.min(90, 50 + score * 3), // Cap at 90, slightly lower than local guides
-        matchReason: "LibGuide asset resource",
-        url: asset.url,
-        description: asset.description || asset.name,
-        isLibGuideAsset: true
-      });
-    }
+    const learnedBoost = learned(asset.name);
+    scored.push({
+      name: asset.name,
+      relevanceScore: Math.min(90, Math.round(50 + score * 3 + learnedBoost)), // Cap at 90, slightly lower than local guides
+      matchReason: "LibGuide asset resource",
+      url: asset.url,
+      description: asset.description || asset.name,
+      isLibGuideAsset: true,
+      ...(learnedBoost ? { learnedBoost } : {})
+    });
   }
   
-  return scored.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, 5);
+  return scored.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, limit);
 }
 
 /* ----------------------------- Scoring / shortlisting ----------------------- */
@@ -405,14 +445,22 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// Trust proxy headers for proper IP detection (important for rate limiting)
-app.set('trust proxy', true);
+// Which hops may set X-Forwarded-For (Express "trust proxy"). Only their word is taken
+// for the visitor address, so a direct caller cannot pick its own rate-limit identity.
+function parseTrustProxy(value) {
+  const v = String(value ?? 'loopback').trim();
+  if (v === 'true') return true; // every hop: only behind a proxy that overwrites X-Forwarded-For
+  if (v === 'false' || v === '') return false;
+  if (/^\d+$/.test(v)) return Number(v);
+  return v.split(',').map(s => s.trim()).filter(Boolean);
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : true,
   credentials: true,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'x-api-key'],
-  exposedHeaders: ['X-Total-Count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'x-api-key', 'X-Request-Id'],
+  exposedHeaders: ['X-Total-Count', 'X-Did-You-Mean', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
   optionsSuccessStatus: 200
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -421,35 +469,109 @@ const PORT = process.env.PORT || 3000;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const LOCAL_API_KEY = process.env.LOCAL_API_KEY;
 const MODEL = process.env.MODEL || "gemini-2.0-flash-lite";
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
 const ALLOWLIST_SIZE = Number(process.env.ALLOWLIST_SIZE || 60);
 const MAX_OUTPUT_TOKENS = Number(process.env.MAX_OUTPUT_TOKENS || 2048);
+const SEARCH_BUDGET_MS = Number(process.env.SEARCH_BUDGET_MS ?? 20000);
+const HEDGE_AFTER_MS = Number(process.env.HEDGE_AFTER_MS || 0);
 
-if (!GEMINI_API_KEY) {
+if (LLM_PROVIDER === "gemini" && !GEMINI_API_KEY) {
   console.warn("⚠️  GEMINI_API_KEY missing in .env — /search will fail until set.");
 }
 
-// Simple API key authentication middleware
-function requireApiKey(req, res, next) {
-  // Skip authentication for health endpoint and localhost
-  if (req.path === '/health' || req.ip === '127.0.0.1' || req.ip === '::1') {
-    return next();
-  }
-  
-  if (!LOCAL_API_KEY) {
-    console.warn("⚠️  LOCAL_API_KEY not set - API authentication disabled");
-    return next();
-  }
-  
-  const providedKey = req.headers['x-api-key'] || req.query.apiKey;
-  if (!providedKey || providedKey !== LOCAL_API_KEY) {
-    logRequest(req.ip, req.path, req.headers['user-agent'], 0, 'Invalid or missing API key');
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  
-  next();
+// Token from an "Authorization: Bearer <key>" header, if present
+function bearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+// API keys: named clients with scopes from API_KEYS_FILE, plus LOCAL_API_KEY /
+// ADMIN_API_KEY (lib/api-keys.js). Add, rotate and revoke with `npm run keys`.
+const apiKeys = createKeyRegistry({
+  filePath: path.resolve(__dirname, process.env.API_KEYS_FILE || "./api-keys.json"),
+  localKey: LOCAL_API_KEY,
+  adminKey: process.env.ADMIN_API_KEY,
+});
+
+// Admin and log routes need a credential of their own: ADMIN_API_KEY or a registry
+// client with the scope. LOCAL_API_KEY is the public browser key and never counts.
+function hasSeparateKeyFor(scopes) {
+  return apiKeys.list().some(c => c.id !== 'local' && scopes.some(s => c.scopes.includes(s)));
+}
+
+/**
+ * Middleware: the request needs a key whose client has one of `scopes`
+ * (X-API-Key header or Bearer token; search routes also accept ?apiKey). The
+ * client is kept on req.apiClient / req.apiKeyId for logging and rate limits.
+ *
+ * With no keys configured at all only localhost gets in (local development),
+ * and only to the search routes: admin and log routes stay closed until a
+ * separate admin key is configured.
+ */
+function requireScope(...scopes) {
+  const scope = scopes.join(' or ');
+  return (req, res, next) => {
+    if (!scopes.includes('search') && !hasSeparateKeyFor(scopes)) {
+      logRequest(req, req.path, req.headers['user-agent'], 0, 'Admin endpoints disabled');
+      return sendSearchError(req, res, 403, 'forbidden', { error: `${scope} endpoints are disabled - set ADMIN_API_KEY or add a client with the ${scope} scope (npm run keys)` });
+    }
+    if (!apiKeys.enabled()) {
+      if (req.ip === '127.0.0.1' || req.ip === '::1') return next();
+      return sendSearchError(req, res, 403, 'forbidden', { error: 'No API keys are configured - set LOCAL_API_KEY or add a client with npm run keys' });
+    }
+
+    const providedKey = req.headers['x-api-key'] || bearerToken(req) || (scopes.includes('search') ? req.query.apiKey : null);
+    const auth = apiKeys.authenticate(providedKey);
+    if (!auth) {
+      logRequest(req, req.path, req.headers['user-agent'], 0, 'Invalid or missing API key');
+      return sendSearchError(req, res, 401, 'unauthorized', { error: 'Invalid or missing API key' });
+    }
+
+    req.apiClient = auth.client;
+    req.apiKeyId = auth.keyId;
+    if (auth.expired || !scopes.some(s => auth.client.scopes.includes(s))) {
+      const error = auth.expired ? 'API key expired - ask for a new key' : `API key not allowed to use ${scope} endpoints`;
+      apiKeys.record(auth.client.id, auth.keyId, 'denied');
+      logRequest(req, req.path, req.headers['user-agent'], 0, error);
+      return sendSearchError(req, res, auth.expired ? 401 : 403, auth.expired ? 'unauthorized' : 'forbidden', { error });
+    }
+    apiKeys.record(auth.client.id, auth.keyId, 'allowed');
+    next();
+  };
+}
+
+const requireApiKey = requireScope('search');
+const requireAdminKey = requireScope('admin');
+
+// Search routes tag each request with an id (client X-Request-Id or a new one, echoed back)
+// and the response format it expects: 1 = legacy shapes, 2 = the /v2 envelope
+function searchRoute(apiVersion) {
+  return (req, res, next) => {
+    req.apiVersion = apiVersion;
+    req.requestId = requestIdFrom(req.headers['x-request-id'], crypto.randomUUID);
+    res.set('X-Request-Id', req.requestId);
+    next();
+  };
+}
+
+// `body` is the v1 error body; v2 requests get it as { error: { code, message, ... } }
+function sendSearchError(req, res, status, code, body) {
+  if (req.apiVersion !== 2) return res.status(status).json(body);
+  const { error, message, ...extra } = body;
+  res.status(status).json(errorEnvelope(req.requestId, code, message || error, extra));
 }
 
-let RESOLVED_MODEL = null;
+// Who made an admin change: X-Admin-User if given, plus the API client, key id and a pseudonym of the IP
+function adminActor(req) {
+  const user = String(req.headers['x-admin-user'] || '').trim().substring(0, 100) || null;
+  return {
+    user,
+    client: req.apiClient ? req.apiClient.id : null,
+    keyId: req.apiKeyId || null,
+    ipPseudonym: analytics.pseudonym(req.ip || 'unknown'),
+  };
+}
 
 const CANDIDATES = [
   process.env.MODEL,            // your env preference first
@@ -461,34 +583,29 @@ const CANDIDATES = [
   "gemini-1.5-flash-8b",
 ].filter(Boolean);
 
-async function firstWorkingModel() {
-  // Try known candidates
-  for (const m of CANDIDATES) {
-    const metaUrl = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(m)}?key=${GEMINI_API_KEY}`;
-    const r = await fetch(metaUrl);
-    if (!r.ok) continue;
-    const j = await r.json();
-    const methods = j?.supportedGenerationMethods || [];
-    if (methods.length === 0 || methods.includes("generateContent")) return m;
-  }
-  // Fall back to listing what your key can use
-  const listUrl = `https://generativelanguage.googleapis.com/v1/models?key=${GEMINI_API_KEY}`;
-  const resp = await fetch(listUrl);
-  if (resp.ok) {
-    const j = await resp.json();
-    const arr = j?.models || [];
-    const pick =
-      arr.find(m => (m.supportedGenerationMethods||[]).includes("generateContent")) ||
-      arr[0];
-    if (pick?.name) return pick.name;
-  }
-  throw new Error("No working Gemini model found for your API key");
-}
-
-async function getModel() {
-  if (!RESOLVED_MODEL) RESOLVED_MODEL = await firstWorkingModel();
-  return RESOLVED_MODEL;
-}
+// Pluggable model provider: gemini (default), openai (OpenAI-compatible, e.g. Ollama/vLLM) or mock
+const llm = createLlmProvider(LLM_PROVIDER, {
+  // gemini
+  apiKey: LLM_PROVIDER === "openai" ? process.env.OPENAI_API_KEY : GEMINI_API_KEY,
+  candidates: CANDIDATES,
+  // openai-compatible
+  baseUrl: process.env.OPENAI_BASE_URL,
+  model: LLM_PROVIDER === "openai" ? process.env.MODEL : undefined,
+  // mock
+  fixturesPath: path.resolve(__dirname, process.env.LLM_FIXTURES || "./fixtures/llm/mock-responses.json"),
+  maxOutputTokens: MAX_OUTPUT_TOKENS,
+  // retries with backoff + circuit breaker (lib/llm/resilience.js)
+  resilience: {
+    retries: Number(process.env.LLM_RETRIES ?? 2),
+    baseDelayMs: Number(process.env.LLM_RETRY_BASE_MS || 500),
+    maxDelayMs: Number(process.env.LLM_RETRY_MAX_MS || 8000),
+    breaker: {
+      failureThreshold: Number(process.env.LLM_BREAKER_THRESHOLD || 5),
+      cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000),
+    },
+  },
+});
+console.log(`🤖 LLM provider: ${llm.name}`);
 
 // ============================================================================
 // DATA LOADING: LEGAL RESOURCE CATALOGS & WHITELISTS  
@@ -501,9 +618,15 @@ async function getModel() {
  * - Whitelists for AI resource recommendations
  */
 
-function loadJsonSafe(p) {
+// Catalog and whitelist files (CATALOG_FILES) live here; tests point it at a copy
+const CATALOG_DIR = path.resolve(__dirname, process.env.CATALOG_DIR || ".");
+const catalogPath = (p) => path.resolve(CATALOG_DIR, p);
+
+// Load problems (unreadable JSON, wrong shape) are also pushed to `errors` so a
+// catalog reload can refuse to swap in a broken file
+function loadJsonSafe(p, errors = []) {
   try {
-    const full = path.resolve(__dirname, p);
+    const full = catalogPath(p);
     if (!fs.existsSync(full)) {
       console.warn(`⚠️  Missing whitelist file: ${p}`);
       return [];
@@ -516,15 +639,16 @@ function loadJsonSafe(p) {
     return data;
   } catch (e) {
     console.error(`❌ Failed to load ${p}:`, e.message);
+    errors.push(`${p}: ${e.message}`);
     return [];
   }
 }
 
 /* ----------------------------- Catalog load (for URLs & descriptions) ----------------------------- */
 
-function loadCatalogSafe(p) {
+function loadCatalogSafe(p, errors = []) {
   try {
-    const full = path.resolve(__dirname, p);
+    const full = catalogPath(p);
     if (!fs.existsSync(full)) {
       console.warn(`⚠️  Missing catalog file: ${p}`);
       return [];
@@ -533,25 +657,17 @@ function loadCatalogSafe(p) {
     const data = JSON.parse(raw);
     if (!Array.isArray(data)) {
       console.warn(`⚠️  Catalog file is not an array: ${p}`);
+      errors.push(`${p}: catalog file is not an array`);
       return [];
     }
     return data;
   } catch (e) {
     console.error(`❌ Failed to load catalog ${p}:`, e.message);
+    errors.push(`${p}: ${e.message}`);
     return [];
   }
 }
 
-// Load catalog files (enhanced versions with URL and description)
-// Load catalogs: A = librarian guides (local), B = external databases (AI whitelist), C = LibGuide assets
-const CATALOG_A = loadCatalogSafe("./library-resources-database.catalog.json");  // Local guides
-const CATALOG_B = loadCatalogSafe("./resource-database.catalog.json");          // External databases
-const CATALOG_C = Object.values(loadJsonSafe("./libguide-assets.catalog.json") || {}); // LibGuide assets
-
-console.log(`📚 Loaded local guides (A): ${CATALOG_A.length} items`);
-console.log(`📚 Loaded external databases (B): ${CATALOG_B.length} items`);
-console.log(`📚 Loaded LibGuide assets (C): ${CATALOG_C.length} items`);
-
 // Load legal help content
 let LEGAL_HELP_CONTENT = "";
 try {
@@ -605,26 +721,21 @@ function indexCatalog(items) {
   return { byName, aliasToName };
 }
 
-// Order matters: Local guides last to take precedence over LibGuide assets for duplicates
-const CATALOG = indexCatalog([...CATALOG_B, ...CATALOG_C, ...CATALOG_A]);
-
-console.log(`📚 Catalog index has ${CATALOG.byName.size} entries`);
-console.log(`📚 Sample catalog keys:`, [...CATALOG.byName.keys()].slice(0, 5));
-
 function lookupCatalog(name) {
   if (!name) return null;
   
   const n = normalize(name);
+  const catalog = catalogs.current().catalog;
   
   // Direct match by name or alias
-  const k = CATALOG.byName.has(n) ? n : (CATALOG.aliasToName.get(n) || null);
-  if (k && CATALOG.byName.has(k)) {
+  const k = catalog.byName.has(n) ? n : (catalog.aliasToName.get(n) || null);
+  if (k && catalog.byName.has(k)) {
     console.log(`🔍 Found direct match for "${name}" -> "${k}"`);
-    return CATALOG.byName.get(k);
+    return catalog.byName.get(k);
   }
 
   // Fuzzy matching - look for partial matches
-  for (const [key, val] of CATALOG.byName.entries()) {
+  for (const [key, val] of catalog.byName.entries()) {
     if (!key) continue;
     
     // If either string contains the other and both are at least 4 chars
@@ -652,19 +763,15 @@ function lookupCatalog(name) {
 // Enrich results with catalog information
 function enrichResults(items) {
   console.log(`🔧 Enriching ${items.length} results...`);
-  return items.map(r => {
+  const enriched = items.map(r => {
     console.log(`🔧 Processing: "${r.name}"`);
     const info = lookupCatalog(r.name) || {};
     
     // Use catalog description if available, otherwise fall back to matchReason
     const rawDesc = info.description || r.matchReason || "";
-    const description = rawDesc.length > 400 ? (rawDesc.slice(0, 380) + "…") : rawDesc;
+    const description = rawDesc.length > DESCRIPTION_MAX_LENGTH ? (rawDesc.slice(0, DESCRIPTION_MAX_LENGTH - 20) + "…") : rawDesc;
     
-    // Ensure URL has proper protocol
-    let url = info.url || "";
-    if (url && !/^https?:\/\//i.test(url)) {
-      url = "https://" + url;
-    }
+    const url = catalogUrl(info.url);
     
     // Use the catalog's type flags (which already have precedence logic applied)
     // Don't override the search result's type flags, but add missing ones from catalog
@@ -698,28 +805,13 @@ function enrichResults(items) {
     console.log(`🔧 Result: ${url ? 'HAS URL' : 'NO URL'}, ${info.description ? 'HAS DESC' : 'NO DESC'}, ${resultType}`);
     return result;
   });
+  return applyLinkHealth(enriched);
 }
 
-// Accept either singular or plural filename for the second list
-const WL_A = loadJsonSafe("./library-resources-database.whitelist.json");
-const WL_B = loadJsonSafe("./resource-database.whitelist.json").length
-  ? loadJsonSafe("./resource-database.whitelist.json")
-  : loadJsonSafe("./resources-database.whitelist.json");
-// Convert LibGuide assets catalog to whitelist format
-const WL_C = CATALOG_C.map(item => ({ name: item.name }));
-
-function normalize(s) {
-  return String(s || "")
-    // smart quotes & dashes -> ASCII
-    .replace(/[’‘]/g, "'")
-    .replace(/[“”]/g, '"')
-    .replace(/[–—]/g, "-")
-    .toLowerCase()
-    .replace(/&/g, "and")
-    .replace(/[@™©®]/g, " ")
-    .replace(/[^a-z0-9 ]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+// Ensure URL has proper protocol
+function catalogUrl(url) {
+  url = String(url || "").trim();
+  return url && !/^https?:\/\//i.test(url) ? "https://" + url : url;
 }
 
 function mergeWhitelists(...lists) {
@@ -734,22 +826,311 @@ function mergeWhitelists(...lists) {
   return [...map.values()];
 }
 
-const WHITELIST = mergeWhitelists(WL_A, WL_B, WL_C);
-if (WHITELIST.length === 0) {
-  console.warn("⚠️  Merged whitelist is empty. /search will likely return 0 results.");
+/* ------------------------------ Search index ----------------------------- */
+// One BM25 index per catalog, built when the catalog state loads and shared by searchLocalGuides,
+// searchLibGuideAssets, scoreAgainstWhitelist and shortlistFromCatalog.
+
+// Per-field BM25 weights
+const GUIDE_FIELDS = { name: 3, aliases: 2, description: 1 };
+const ASSET_FIELDS = { name: 3, subjects: 2, description: 1 };
+const DATABASE_FIELDS = { name: 3, aliases: 2, description: 0.5 };
+const WHITELIST_FIELDS = { name: 3, aliases: 2 };
+
+// Raw BM25 score a guide or asset hit needs before it is mapped onto the 0-100 scale.
+// A hit on nothing but a term most entries share ("law" is in 268 of 294 guide names)
+// scores about 0.1, which the `60 + score * 3` mapping would put right at minScore.
+const MIN_KEYWORD_SCORE = 0.5;
+
+// Stemming, stop words and legal abbreviation/synonym expansion (legal-synonyms.json)
+const queryDictionary = loadDictionary(path.resolve(__dirname, "./legal-synonyms.json"));
+const queryAnalyzer = createQueryAnalyzer(queryDictionary);
+const tokenize = queryAnalyzer.tokenize;
+const analyzeQuery = queryAnalyzer.analyze;
+
+// Exact-name check against the query and its abbreviation-expanded form
+function nameMatchesQuery(name, analysis) {
+  const n = normalize(name);
+  return analysis.variants.some(q => n.includes(q) || q.includes(n));
+}
+
+// Indexes are cached per catalog array and field profile
+const searchIndexes = new WeakMap();
+function indexFor(items, fields) {
+  let byFields = searchIndexes.get(items);
+  if (!byFields) searchIndexes.set(items, byFields = new Map());
+  if (!byFields.has(fields)) byFields.set(fields, createSearchIndex(items, { fields, tokenize }));
+  return byFields.get(fields);
+}
+
+
+/* --------------------------- Embedding retrieval ------------------------ */
+// Vectors for every catalog A/B/C entry (name + aliases + description), cached
+// on disk and blended with BM25 scores in shortlistFromCatalog.
+
+const EMBEDDINGS_PROVIDER = (process.env.EMBEDDINGS_PROVIDER || "local").toLowerCase();
+const EMBEDDING_WEIGHT = Math.min(1, Math.max(0, Number(process.env.EMBEDDING_WEIGHT ?? 0.4)));
+const EMBEDDING_MIN_SIMILARITY = 0.2; // weaker vector matches never enter the allowlist on their own
+const EMBEDDINGS_QUERY_TIMEOUT_MS = Number(process.env.EMBEDDINGS_QUERY_TIMEOUT_MS || 2000);
+
+const embedder = createEmbedder(EMBEDDINGS_PROVIDER, {
+  tokenize,
+  baseUrl: process.env.EMBEDDINGS_BASE_URL || process.env.OPENAI_BASE_URL,
+  apiKey: process.env.OPENAI_API_KEY,
+  model: process.env.EMBEDDINGS_MODEL,
+});
+
+const embeddingText = (item) => [item.name, ...(item.aliases || []), ...(item.subjects || []), item.description || ""].join(" ");
+
+// Rebuilt after every catalog swap; unchanged entries come from the on-disk cache
+let vectorIndex = null;
+function rebuildVectorIndex(state) {
+  if (!embedder) return;
+  vectorIndex = createVectorIndex([...state.databases, ...state.guides, ...state.assets], {
+    embedder,
+    textOf: embeddingText,
+    filePath: path.resolve(__dirname, process.env.EMBEDDINGS_FILE || "./cache/embeddings.json"),
+  });
+  vectorIndex.ready
+    .then(({ embedded, cached }) => console.log(`🧭 Embeddings ready (${embedder.id}): ${embedded} embedded, ${cached} from cache`))
+    .catch((e) => console.error(`❌ Embeddings unavailable (${embedder.id}), using keyword scores only:`, e.message));
+}
+if (!embedder) console.log("🧭 Embeddings disabled (EMBEDDINGS_PROVIDER=none)");
+
+// The query plus its abbreviation/synonym expansions ("drones" → unmanned aircraft, aviation)
+function embeddingQuery(analysis) {
+  return [analysis.normalized, ...analysis.expansions.flatMap(e => e.to)].join(" ");
+}
+
+/* ------------------------------ Link health ----------------------------- */
+// Every catalog A/B/C URL is checked on a schedule (lib/link-checker.js).
+// Results whose link is broken are annotated (linkStatus) or, with
+// LINK_HEALTH_MODE=demote, moved behind the working ones.
+
+const LINK_CHECK_INTERVAL_MS = Number(process.env.LINK_CHECK_INTERVAL_HOURS ?? 24) * 60 * 60 * 1000;
+const LINK_HEALTH_MODE = (process.env.LINK_HEALTH_MODE || "annotate").toLowerCase();
+
+const linkChecker = createLinkChecker({
+  filePath: path.resolve(__dirname, process.env.LINK_HEALTH_FILE || "./cache/link-health.json"),
+  concurrency: Number(process.env.LINK_CHECK_CONCURRENCY || 4),
+  timeoutMs: Number(process.env.LINK_CHECK_TIMEOUT_MS || 10000),
+});
+
+function linkEntries(state) {
+  return [
+    ...state.guides.map(it => ({ url: catalogUrl(it.url), name: it.name, catalog: "guides" })),
+    ...state.databases.map(it => ({ url: catalogUrl(it.url), name: it.name, catalog: "databases" })),
+    ...state.assets.map(it => ({ url: catalogUrl(it.url), name: it.name, catalog: "assets" })),
+  ].filter(e => e.url);
 }
 
-// Quick lookup sets
-const exactTokens = new Set();
-const aliasTokens = new Set();
-for (const it of WHITELIST) {
-  exactTokens.add(normalize(it.name));
-  for (const a of it.aliases || []) aliasTokens.add(normalize(a));
+// Only links that are currently down are surfaced; redirects still reach the resource
+function applyLinkHealth(results) {
+  if (LINK_HEALTH_MODE === "off") return results;
+  const annotated = results.map(r => (r.url && linkChecker.stateOf(r.url) === "broken" ? { ...r, linkStatus: "broken" } : r));
+  if (LINK_HEALTH_MODE !== "demote") return annotated;
+  return [...annotated.filter(r => !r.linkStatus), ...annotated.filter(r => r.linkStatus)];
+}
+
+/* ------------------------------ Spelling -------------------------------- */
+// Typo correction against every word in the catalogs ("westlw" → "westlaw").
+// Dictionary terms and stop words count as known so they are never "corrected".
+
+function catalogWords(lists) {
+  const words = [];
+  const add = (value) => {
+    if (Array.isArray(value)) value.forEach(add);
+    else if (value) words.push(...normalize(value).split(" "));
+  };
+  for (const item of lists.flat()) {
+    add(item.name);
+    add(item.aliases);
+    add(item.subjects);
+    add(item.description);
+  }
+  return words;
+}
+
+const dictionaryWords = new Set([
+  ...Object.entries(queryDictionary.abbreviations || {}).flat(2),
+  ...Object.entries(queryDictionary.synonyms || {}).flat(2),
+  ...(queryDictionary.stopWords || []),
+].flatMap(phrase => normalize(phrase).split(" ")));
+
+// Top keyword hits across the catalogs, used to tell whether a correction matters
+function keywordHits(query) {
+  const { guides, databases, assets } = catalogs.current();
+  const terms = analyzeQuery(query).terms;
+  return [
+    [databases, DATABASE_FIELDS],
+    [guides, GUIDE_FIELDS],
+    [assets, ASSET_FIELDS],
+  ].flatMap(([items, fields]) => indexFor(items, fields).search(terms, { limit: 5 }).map(h => h.item.name));
+}
+
+/**
+ * Corrected query for the pipeline's spelling stage, or null when nothing was
+ * misspelled or the correction would not change what the catalogs return.
+ */
+function suggestCorrection(query) {
+  const fix = catalogs.current().spelling.correctQuery(normalize(query));
+  if (!fix) return null;
+  if (keywordHits(fix.corrected).join("\n") === keywordHits(query).join("\n")) return null;
+  return { query: fix.corrected, corrections: fix.corrections };
+}
+
+/* ----------------------------- Catalog state ----------------------------- */
+// Catalogs: A = librarian guides (local), B = external databases (AI whitelist), C = LibGuide assets
+// (file names in lib/catalog-schema.js). Everything derived from these files is rebuilt together
+// and swapped atomically (lib/catalog-store.js) on file change or POST /admin/reload.
+
+function buildCatalogState() {
+  const errors = [];
+  const guides = loadCatalogSafe(CATALOG_FILES.guides, errors);                           // Local guides
+  const databases = loadCatalogSafe(CATALOG_FILES.databases, errors);                     // External databases
+  const assets = Object.values(loadJsonSafe(CATALOG_FILES.assets, errors) || {});         // LibGuide assets
+
+  console.log(`📚 Loaded local guides (A): ${guides.length} items`);
+  console.log(`📚 Loaded external databases (B): ${databases.length} items`);
+  console.log(`📚 Loaded LibGuide assets (C): ${assets.length} items`);
+
+  const wlA = loadJsonSafe(CATALOG_FILES.whitelistA, errors);
+  const [wlBPrimary, wlBFallback] = CATALOG_FILES.whitelistB;
+  const wlB = loadJsonSafe(wlBPrimary, errors).length ? loadJsonSafe(wlBPrimary, errors) : loadJsonSafe(wlBFallback, errors);
+  // Convert LibGuide assets catalog to whitelist format
+  const wlC = assets.map(item => ({ name: item.name }));
+
+  // Schema errors block a reload; data-quality warnings are only reported (npm run lint:catalogs)
+  const findings = lintCatalogs([
+    { label: "guides", kind: "catalog", items: guides },
+    { label: "databases", kind: "catalog", items: databases },
+    { label: "assets", kind: "catalog", items: assets },
+    { label: "whitelistA", kind: "whitelist", items: wlA },
+    { label: "whitelistB", kind: "whitelist", items: wlB },
+  ]);
+  errors.push(...findings.errors.map(f => `${f.source} ${f.message}`));
+  const lint = { errors: findings.errors.length, warnings: findings.warnings.length, byRule: countByRule([...findings.errors, ...findings.warnings]) };
+  if (findings.errors.length) console.error(`❌ Catalog schema: ${findings.errors.length} errors, e.g. ${findings.errors[0].source} ${findings.errors[0].message}`);
+  if (findings.warnings.length) console.warn(`⚠️  Catalog lint: ${findings.warnings.length} warnings ${JSON.stringify(countByRule(findings.warnings))} - run "npm run lint:catalogs" for details`);
+
+  const whitelist = mergeWhitelists(wlA, wlB, wlC);
+  if (whitelist.length === 0) {
+    console.warn("⚠️  Merged whitelist is empty. /search will likely return 0 results.");
+  }
+
+  // Order matters: Local guides last to take precedence over LibGuide assets for duplicates
+  const catalog = indexCatalog([...databases, ...assets, ...guides]);
+  console.log(`📚 Catalog index has ${catalog.byName.size} entries`);
+
+  // Quick lookup sets
+  const exactTokens = new Set();
+  const aliasTokens = new Set();
+  for (const it of whitelist) {
+    exactTokens.add(normalize(it.name));
+    for (const a of it.aliases || []) aliasTokens.add(normalize(a));
+  }
+
+  indexFor(guides, GUIDE_FIELDS);
+  indexFor(databases, DATABASE_FIELDS);
+  indexFor(assets, ASSET_FIELDS);
+  indexFor(whitelist, WHITELIST_FIELDS);
+  console.log(`📚 Built search indexes (guides: ${guides.length}, databases: ${databases.length}, assets: ${assets.length}, whitelist: ${whitelist.length})`);
+
+  const spelling = createSpellingCorrector(catalogWords([guides, databases, assets, whitelist]), { isKnown: (w) => dictionaryWords.has(w) });
+  console.log(`📚 Spelling vocabulary: ${spelling.vocabularySize} words`);
+
+  // Country guides + dictionary jurisdictions for the jurisdiction facet
+  const jurisdictions = buildGazetteer(guides, queryDictionary.jurisdictions);
+
+  // Changes whenever any catalog or whitelist changes; part of every query cache key
+  const version = crypto.createHash('sha1')
+    .update(JSON.stringify([guides, databases, assets, wlA, wlB]))
+    .digest('hex')
+    .substring(0, 12);
+
+  return {
+    version,
+    errors,
+    lint,
+    guides,
+    databases,
+    assets,
+    whitelists: { listA: wlA, listB: wlB, listC: wlC },
+    whitelist,
+    catalog,
+    exactTokens,
+    aliasTokens,
+    spelling,
+    jurisdictions,
+  };
+}
+
+function whitelistCounts(state) {
+  const { listA, listB, listC } = state.whitelists;
+  return { listA: listA.length, listB: listB.length, listC: listC.length, merged: state.whitelist.length };
+}
+
+// Refuse reloads that would silently empty a list (schema errors are already in `errors`)
+function validateCatalogState(next, prev) {
+  const problems = [];
+  const lists = {
+    guides: [next.guides, prev?.guides],
+    databases: [next.databases, prev?.databases],
+    assets: [next.assets, prev?.assets],
+    whitelistA: [next.whitelists.listA, prev?.whitelists.listA],
+    whitelistB: [next.whitelists.listB, prev?.whitelists.listB],
+  };
+  for (const [label, [list, before]] of Object.entries(lists)) {
+    if (before?.length && !list.length) problems.push(`${label} would go from ${before.length} entries to 0`);
+  }
+  return problems;
+}
+
+const catalogs = createCatalogStore({
+  build: buildCatalogState,
+  validate: validateCatalogState,
+  onSwap: (state, prev) => {
+    console.log(`📚 Catalog version: ${state.version} (loaded in ${state.loadMs}ms)`);
+    rebuildVectorIndex(state);
+    // New or edited URLs get checked right away instead of at the next scheduled run
+    if (prev && LINK_CHECK_INTERVAL_MS > 0) {
+      linkChecker.checkAll(linkEntries(state), { onlyUnchecked: true, reason: "catalog change" })
+        .catch(e => console.error(`❌ Link check failed: ${e.message}`));
+    }
+  },
+});
+catalogs.init();
+
+if (LINK_CHECK_INTERVAL_MS > 0) {
+  const { nextRunAt } = linkChecker.start(() => linkEntries(catalogs.current()), LINK_CHECK_INTERVAL_MS);
+  console.log(`🔗 Link checks every ${LINK_CHECK_INTERVAL_MS / 3600000}h, next at ${nextRunAt}`);
+} else {
+  console.log("🔗 Scheduled link checks disabled (LINK_CHECK_INTERVAL_HOURS=0)");
 }
 
+// Librarians publish catalog edits by saving the files; CATALOG_WATCH=0 disables watching
+if (process.env.CATALOG_WATCH !== "0") {
+  catalogs.watch([...Object.values(CATALOG_FILES).flat()].map(catalogPath));
+}
+
+// /admin/catalog edits write the files and their whitelists (the names isWhitelistedLoose
+// lets through), then reload so the change is live before the response
+const catalogEditor = createCatalogEditor({
+  files: {
+    guides: catalogPath(CATALOG_FILES.guides),
+    databases: catalogPath(CATALOG_FILES.databases),
+  },
+  whitelists: {
+    guides: catalogPath(CATALOG_FILES.whitelistA),
+    databases: catalogPath(CATALOG_FILES.whitelistB.find(f => fs.existsSync(catalogPath(f))) || CATALOG_FILES.whitelistB[0]),
+  },
+  auditFile: path.resolve(__dirname, process.env.CATALOG_AUDIT_FILE || "./catalog-audit.log"),
+  onChange: (catalogId) => catalogs.reload(`admin edit: ${catalogId}`),
+});
+
 function isWhitelistedLoose(name) {
   const n = normalize(name);
   if (!n) return false;
+  const { exactTokens, aliasTokens } = catalogs.current();
   if (exactTokens.has(n) || aliasTokens.has(n)) return true;
 
   const candidates = [...exactTokens, ...aliasTokens];
@@ -833,44 +1214,43 @@ function filterGuides(items) {
 /* --------------------------- Scoring / shortlisting ----------------------- */
 
 function scoreAgainstWhitelist(query) {
-  const q = normalize(query);
-  const qTokens = new Set(q.split(" ").filter(Boolean));
-  const scored = [];
-
-  for (const it of WHITELIST) {
-    const hay = normalize(`${it.name} ${(it.aliases || []).join(" ")}`);
-    const tokens = new Set(hay.split(" ").filter(Boolean));
-    let match = 0;
-    for (const t of qTokens) if (tokens.has(t)) match++;
-    if (hay.includes(q)) match += 2; // mild substring boost
-    if (match > 0) {
-      scored.push({ name: it.name, score: match });
-    }
-  }
-  return scored.sort((a, b) => b.score - a.score);
+  return indexFor(catalogs.current().whitelist, WHITELIST_FIELDS)
+    .search(analyzeQuery(query).terms)
+    .map(({ item, score }) => ({ name: item.name, score }));
 }
 
-function shortlistFromCatalog(query, catalog, cap = ALLOWLIST_SIZE) {
-  const q = normalize(query);
-  const qTokens = new Set(q.split(" ").filter(Boolean));
-  const scored = [];
-
-  for (const item of catalog) {
-    if (!item.name) continue;
-    
-    const hay = normalize(`${item.name} ${(item.aliases || []).join(" ")}`);
-    const tokens = new Set(hay.split(" ").filter(Boolean));
-    
-    let match = 0;
-    for (const t of qTokens) if (tokens.has(t)) match++;
-    if (hay.includes(q)) match += 2; // mild substring boost
-    
-    if (match > 0) {
-      scored.push({ name: item.name, score: match });
+/**
+ * Allowlist for the model: BM25 keyword scores (scaled to 0..1 by the best hit)
+ * blended with embedding cosine similarity, weighted by EMBEDDING_WEIGHT.
+ */
+async function shortlistFromCatalog(query, catalog, cap = ALLOWLIST_SIZE) {
+  const analysis = analyzeQuery(query);
+  const keyword = indexFor(catalog, DATABASE_FIELDS).search(analysis.terms);
+  const maxKeyword = keyword[0]?.score || 1;
+
+  const inCatalog = new Set(catalog);
+  let semantic = [];
+  if (vectorIndex) {
+    // An embedding outage or timeout costs the semantic half of the score, not the model answer
+    try {
+      semantic = (await vectorIndex.search(embeddingQuery(analysis), { limit: cap, filter: (it) => inCatalog.has(it), timeoutMs: EMBEDDINGS_QUERY_TIMEOUT_MS }))
+        .filter((h) => h.score >= EMBEDDING_MIN_SIMILARITY);
+    } catch (e) {
+      console.warn(`⚠️  Query embedding failed (${embedder.id}), allowlist uses keyword scores only: ${e.message}`);
     }
   }
+  const semanticWeight = semantic.length ? EMBEDDING_WEIGHT : 0;
+
+  const blended = new Map();
+  const entry = (item) => blended.get(item) || blended.set(item, { name: item.name, keyword: 0, semantic: 0 }).get(item);
+  for (const { item, score } of keyword) entry(item).keyword = score / maxKeyword;
+  for (const { item, score } of semantic) entry(item).semantic = score;
+  const scored = [...blended.values()].map((s) => ({
+    name: s.name,
+    score: (1 - semanticWeight) * s.keyword + semanticWeight * s.semantic,
+  }));
 
-  console.log(`🔍 Scoring "${query}" against external databases: found ${scored.length} matches`);
+  console.log(`🔍 Scoring "${query}" against external databases: found ${keyword.length} keyword and ${semantic.length} embedding matches`);
 
   // If nothing scored, just take the first N names alphabetically to keep prompt small
   if (scored.length === 0) {
@@ -896,7 +1276,7 @@ function shortlistAllowlist(query, cap = ALLOWLIST_SIZE) {
   
   // If nothing scored, just take the first N names alphabetically to keep prompt small
   if (scored.length === 0) {
-    const fallback = WHITELIST.map((it) => it.name).sort((a, b) => a.localeCompare(b));
+    const fallback = catalogs.current().whitelist.map((it) => it.name).sort((a, b) => a.localeCompare(b));
     console.log(`🔍 No matches, using alphabetical fallback`);
     return fallback.slice(0, cap);
   }
@@ -911,7 +1291,7 @@ function shortlistAllowlist(query, cap = ALLOWLIST_SIZE) {
   return arr;
 }
 
-/* ----------------------------- Gemini helpers ---------------------------- */
+/* ------------------------------ Model helpers ----------------------------- */
 
 function buildPrompt(userQuery, allowedList) {
   const allowed = allowedList.join(", ");
@@ -922,7 +1302,7 @@ ALLOWED RESOURCES (choose strictly from these; do not invent new names):
 ${allowed}
 
 TASK: Recommend 3-8 HIGHLY RELEVANT LEGAL RESEARCH RESOURCES that best match the user's query.
-- Output ONLY valid JSON (no code fences): an array of objects with exactly:
+- Output ONLY valid JSON (no code fences): an object {"recommendations": [...]} whose array holds objects with exactly:
   - name (string; MUST be exactly from the allowed list above)
   - relevanceScore (1-100; be conservative - only use 70+ for truly relevant resources)
   - matchReason (<=100 chars; why this resource helps answer the query)
@@ -942,68 +1322,80 @@ QUALITY OVER QUANTITY:
 User Query: ${JSON.stringify(userQuery)}
 `.trim();
 }
-async function queryGemini(prompt, wantRaw = false) {
-  const model = await getModel();  // <— use resolved model
-  const url = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_API_KEY}`;
-
-  const payload = {
-    contents: [{ role: "user", parts: [{ text: prompt }] }],
-    generationConfig: {
-      temperature: 0.3,
-      topK: 32,
-      topP: 0.9,
-      maxOutputTokens: MAX_OUTPUT_TOKENS,
-    },
-  };
+// Second chance for a reply that failed schema validation
+function buildRepairPrompt(originalPrompt, badReply, errors) {
+  return `
+${originalPrompt}
 
-  // Add timeout to prevent hanging requests
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 45000); // 45 second timeout
+Your previous reply did not match the required JSON format.
+PROBLEMS:
+${errors.map(e => `- ${e}`).join("\n")}
 
-  try {
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
+PREVIOUS REPLY:
+${String(badReply || "").slice(0, 4000)}
+
+Return ONLY the corrected JSON object {"recommendations": [{"name": ..., "relevanceScore": ..., "matchReason": ...}]} with no code fences.
+`.trim();
+}
+
+// Second model for hedged requests: HEDGE_MODEL, else (Gemini only) the candidate after the one in use
+async function hedgeModel() {
+  if (!HEDGE_AFTER_MS) return null;
+  if (process.env.HEDGE_MODEL) return process.env.HEDGE_MODEL;
+  if (llm.name !== "gemini") return null;
+  let primary;
+  try { primary = await llm.resolveModel(); } catch { return null; }
+  const later = CANDIDATES.slice(CANDIDATES.indexOf(primary) + 1);
+  return [...later, ...CANDIDATES].find(m => m !== primary) || null;
+}
+
+// With onText the reply is streamed (when the provider can) and reported chunk by chunk.
+// With HEDGE_AFTER_MS the same prompt also goes to hedgeModel() when the first model is slow or fails.
+async function queryModel(prompt, wantRaw = false, onText) {
+  const opts = {
+    wantRaw,
+    maxOutputTokens: MAX_OUTPUT_TOKENS,
+    responseSchema: RECOMMENDATIONS_SCHEMA,
+  };
+  // Only the request that streams first feeds onText, so two replies never interleave
+  let streaming = null;
+  const ask = (attempt, model) => {
+    const attemptOpts = model ? { ...opts, model } : opts;
+    if (!onText || !llm.stream) return llm.generate(prompt, attemptOpts);
+    return llm.stream(prompt, attemptOpts, (delta) => {
+      streaming = streaming || attempt;
+      if (streaming === attempt) onText(delta);
     });
-    
-    clearTimeout(timeoutId);
-
-    if (!resp.ok) {
-    // if we hit 404 once, re-resolve model and retry once
-    if (resp.status === 404) {
-      RESOLVED_MODEL = null;
-      const retryModel = await getModel();
-      const retryUrl = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(retryModel)}:generateContent?key=${GEMINI_API_KEY}`;
-      const retry = await fetch(retryUrl, { method: "POST", headers: {"Content-Type":"application/json"}, body: JSON.stringify(payload) });
-      if (!retry.ok) {
-        const t = await retry.text().catch(() => "");
-        throw new Error(`Gemini HTTP ${retry.status}: ${t.slice(0, 400)}`);
-      }
-      const d2 = await retry.json();
-      const t2 = d2?.candidates?.[0]?.content?.parts?.map(p => p?.text || "").join("") ?? "[]";
-      return wantRaw ? { text: t2, data: d2 } : { text: t2, data: null };
-    }
-    const t = await resp.text().catch(() => "");
-    throw new Error(`Gemini HTTP ${resp.status}: ${t.slice(0, 400)}`);
-  }
+  };
 
-    const data = await resp.json();
-    const text = data?.candidates?.[0]?.content?.parts?.map(p => p?.text || "").join("") ?? "[]";
-    return wantRaw ? { text, data } : { text, data: null };
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    if (error.name === 'AbortError') {
-      throw new Error('AI request timed out - try a simpler query');
-    }
-    throw error;
-  }
+  const backup = await hedgeModel();
+  const { text, data, model } = backup
+    ? await hedge(() => ask("primary"), () => ask("backup", backup), {
+      afterMs: HEDGE_AFTER_MS,
+      shouldHedge: (err) => isServiceError(err) && err.kind !== "circuit_open", // an open breaker stops both
+      onHedge: (reason, err) => console.log(`🪂 Hedging with ${backup} (${reason === "slow" ? `no answer after ${HEDGE_AFTER_MS}ms` : err.message})`),
+    })
+    : await ask("primary");
+  return { text: text || "[]", data, model };
+}
+
+// Validate the reply against RECOMMENDATIONS_SCHEMA, with one repair retry and a loose salvage as last resort
+async function parseModelReply(text, prompt) {
+  const parsed = await parseRecommendations(text, {
+    repair: async (errors) => {
+      console.log(`🔧 Model reply failed validation (${errors[0]}), requesting repair...`);
+      const repaired = await queryModel(buildRepairPrompt(prompt, text, errors));
+      return repaired.text;
+    },
+    salvage: parseGeminiJsonLoose,
+  });
+  console.log(`🔧 Parsed ${parsed.items.length} recommendations via ${parsed.parsePath} path`);
+  return parsed;
 }
 
 
 // --- parse helpers ---
+// Loose parsing is only the last-resort salvage path of parseModelReply().
 
 function _normalizeToJsonishArray(text) {
   if (!text) return "";
@@ -1102,24 +1494,13 @@ function parseGeminiJsonLoose(text) {
   return objs; // may be empty, but will include any complete objects before truncation
 }
 
-function coerceItem(r) {
-  const name = r?.name || r?.platform || r?.database || r?.provider || r?.title || r?.resource || "";
-  const score = r?.relevanceScore ?? r?.score ?? r?.rank ?? r?.relevance ?? 0;
-  const reason = r?.matchReason || r?.why || r?.reason || r?.notes || "";
-  return {
-    name: String(name).trim(),
-    relevanceScore: Number.isFinite(+score) ? +score : 0,
-    matchReason: String(reason).trim(),
-  };
-}
-
 /* ----------------------------- Fallback logic ---------------------------- */
 
 function fallbackRecommend(query, limit = 12) {
   const scored = scoreAgainstWhitelist(query);
   let results = scored.slice(0, Math.max(limit * 2, 20)).map((s) => ({
     name: s.name,
-    relevanceScore: Math.min(100, 50 + s.score * 8),
+    relevanceScore: Math.min(100, Math.round(50 + s.score * 8)),
     matchReason: "Keyword overlap with query.",
   }));
   results = filterGuides(results);
@@ -1161,6 +1542,12 @@ app.get("/wordpresspage.html", (req, res) => {
   res.sendFile(path.join(__dirname, "wordpresspage.html"));
 });
 
+// Shared browser/Node client for /v2/search; loadable from pages on other origins
+app.get("/ais-client.js", (req, res) => {
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+  res.sendFile(path.join(__dirname, "ais-client.js"));
+});
+
 app.get("/test-legal", (req, res) => {
   const query = req.query.query;
   if (!query) return res.status(400).json({ error: "Missing ?query" });
@@ -1171,6 +1558,7 @@ app.get("/test-legal", (req, res) => {
   res.json({ 
     query, 
     normalized, 
+    analysis: analyzeQuery(query),
     isLegalAdvice: isLegal,
     response: isLegal ? "Would return legal help" : "Would proceed to AI search"
   });
@@ -1178,35 +1566,177 @@ app.get("/test-legal", (req, res) => {
 
 app.get("/health", async (req, res) => {
   let resolved = null;
-  try { resolved = await getModel(); } catch {}
+  try { resolved = await llm.resolveModel(); } catch {}
+  const keyStatus = apiKeys.status();
+  const feedbackStatus = feedback.status();
   res.json({
     ok: true,
     node: process.version,
     port: PORT,
+    llm_provider: llm.name,
     model_env: MODEL,
     model_resolved: resolved,
     allowlistSize: ALLOWLIST_SIZE,
     maxOutputTokens: MAX_OUTPUT_TOKENS,
-    whitelistCounts: { listA: WL_A.length, listB: WL_B.length, listC: WL_C.length, merged: WHITELIST.length },
+    parsePaths: parseStats,
+    circuitBreaker: llm.health(),
+    apiKeys: { clients: keyStatus.clients, keys: keyStatus.keys, lastError: keyStatus.lastError },
+    rateLimit: {
+      ...rateLimiter.stats(),
+      windowSeconds: RATE_LIMIT_WINDOW_MS / 1000,
+      perClient: RATE_LIMIT_PER_CLIENT,
+      perKey: RATE_LIMIT_PER_KEY,
+      routes: RATE_LIMIT_ROUTES,
+    },
+    feedback: { boostMax: feedbackStatus.boostMax, searches: feedbackStatus.impressions, resources: feedbackStatus.resources, lastError: feedbackStatus.lastError },
+    latencyBudgetMs: searchPipeline.budgetMs,
+    hedge: HEDGE_AFTER_MS ? { afterMs: HEDGE_AFTER_MS, model: await hedgeModel() } : null,
+    catalogVersion: catalogs.current().version,
+    catalogs: { ...catalogs.status(), lint: catalogs.current().lint },
+    cache: queryCache.stats(),
+    embeddings: vectorIndex ? { embedder: embedder.id, ready: vectorIndex.isReady(), entries: vectorIndex.size } : null,
+    whitelistCounts: whitelistCounts(catalogs.current()),
+    links: { ...linkChecker.counts(), running: linkChecker.isRunning(), lastRun: linkChecker.lastRun()?.finishedAt ?? null },
   });
 });
 
-app.get("/test-ai", async (req, res) => {
+/**
+ * POST /admin/reload - rebuild catalog state from disk and swap it in.
+ * 200 { ok, changed, version, previousVersion, loadMs, loadedAt }
+ * 422 { ok: false, error, errors } when the new files fail validation (the old catalogs stay live)
+ */
+app.post("/admin/reload", requireAdminKey, async (req, res) => {
+  try {
+    const result = await catalogs.reload("admin");
+    console.log(`🔄 Catalogs reloaded by admin: ${result.previousVersion} → ${result.version}`);
+    res.json({ ok: true, ...result, loadedAt: catalogs.current().loadedAt });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    res.status(422).json({ ok: false, error: e.message, errors: e.errors || [] });
+  }
+});
+
+/**
+ * Catalog entry CRUD for librarians (catalogId: guides | databases).
+ * Entries are addressed by id = normalized name ("Westlaw Edge" → "westlaw-edge").
+ *
+ *   GET    /admin/catalog/:catalogId?q=&offset=&limit=   list (q filters name/aliases)
+ *   GET    /admin/catalog/:catalogId/:entryId
+ *   POST   /admin/catalog/:catalogId                     create → 201
+ *   PUT    /admin/catalog/:catalogId/:entryId            replace editable fields
+ *   PATCH  /admin/catalog/:catalogId/:entryId            change only the given fields (null clears one)
+ *   DELETE /admin/catalog/:catalogId/:entryId
+ *   GET    /admin/audit?catalog=&limit=                  latest changes first
+ *
+ * Errors: 400 bad body, 404 unknown catalog/entry, 409 duplicate name,
+ * 422 invalid entry or rejected reload ({ error, details }).
+ */
+function sendCatalogError(res, e) {
+  const status = e.status || 500;
+  if (status >= 500) console.error(`❌ Catalog edit failed: ${e.message}`);
+  res.status(status).json({ error: e.message, ...(e.details ? { details: e.details } : {}) });
+}
+
+function pageParam(value, fallback, max) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+}
+
+app.get("/admin/catalog/:catalogId", requireAdminKey, (req, res) => {
+  try {
+    res.json(catalogEditor.list(req.params.catalogId, {
+      q: String(req.query.q || ''),
+      offset: pageParam(req.query.offset, 0, Number.MAX_SAFE_INTEGER),
+      limit: pageParam(req.query.limit, 50, 500),
+    }));
+  } catch (e) {
+    sendCatalogError(res, e);
+  }
+});
+
+app.get("/admin/catalog/:catalogId/:entryId", requireAdminKey, (req, res) => {
+  try {
+    res.json(catalogEditor.get(req.params.catalogId, req.params.entryId));
+  } catch (e) {
+    sendCatalogError(res, e);
+  }
+});
+
+app.post("/admin/catalog/:catalogId", requireAdminKey, async (req, res) => {
+  try {
+    const result = await catalogEditor.create(req.params.catalogId, req.body, adminActor(req));
+    console.log(`📝 Catalog ${req.params.catalogId}: created "${result.entry.name}"`);
+    res.status(201).json({ ok: true, ...result, version: catalogs.current().version });
+  } catch (e) {
+    sendCatalogError(res, e);
+  }
+});
+
+for (const method of ["put", "patch"]) {
+  app[method]("/admin/catalog/:catalogId/:entryId", requireAdminKey, async (req, res) => {
+    try {
+      const { catalogId, entryId } = req.params;
+      const result = await catalogEditor.update(catalogId, entryId, req.body, adminActor(req), method === "patch");
+      console.log(`📝 Catalog ${catalogId}: updated "${result.entry.name}"`);
+      res.json({ ok: true, ...result, version: catalogs.current().version });
+    } catch (e) {
+      sendCatalogError(res, e);
+    }
+  });
+}
+
+app.delete("/admin/catalog/:catalogId/:entryId", requireAdminKey, async (req, res) => {
+  try {
+    const { catalogId, entryId } = req.params;
+    const result = await catalogEditor.remove(catalogId, entryId, adminActor(req));
+    console.log(`🗑️  Catalog ${catalogId}: deleted "${entryId}"`);
+    res.json({ ok: true, id: result.id, version: catalogs.current().version });
+  } catch (e) {
+    sendCatalogError(res, e);
+  }
+});
+
+app.get("/admin/audit", requireAdminKey, (req, res) => {
+  const catalog = req.query.catalog ? String(req.query.catalog) : undefined;
+  res.json({ entries: catalogEditor.auditTrail({ limit: pageParam(req.query.limit, 50, 1000), catalog }) });
+});
+
+/**
+ * GET /admin/links?state=broken,failing&catalog=databases - link health report
+ * (default: every state but "ok"), with each URL's recent check history.
+ * POST /admin/links/check - start a full check now, or right after the run in
+ * progress if that one is not the same full check (202, `queued`; progress via GET).
+ */
+app.get("/admin/links", requireAdminKey, (req, res) => {
+  const states = String(req.query.state || '').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = states.filter(s => !LINK_STATES.includes(s));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown link state: ${unknown.join(', ')} (expected: ${LINK_STATES.join(', ')})` });
+  }
+  const catalog = req.query.catalog ? String(req.query.catalog) : undefined;
+  res.json(linkChecker.report({ states, catalog }));
+});
+
+app.post("/admin/links/check", requireAdminKey, (req, res) => {
+  const alreadyRunning = linkChecker.isRunning();
+  const entries = linkEntries(catalogs.current());
+  linkChecker.checkAll(entries, { reason: "admin" }).catch(e => console.error(`❌ Link check failed: ${e.message}`));
+  res.status(202).json({ ok: true, alreadyRunning, queued: linkChecker.isQueued(), urls: new Set(entries.map(e => e.url)).size });
+});
+
+/**
+ * GET /admin/keys - API clients, their key ids and expiry, and usage since the
+ * server started (requests, rate limited, denied). Never returns keys or hashes.
+ */
+app.get("/admin/keys", requireAdminKey, (req, res) => {
+  res.json({ ...apiKeys.status(), clients: apiKeys.list() });
+});
+
+app.get("/test-ai", requireAdminKey, async (req, res) => {
   try {
     console.log("🧪 Testing AI connection...");
-    const modelName = await getModel();
-    const url = `https://generativelanguage.googleapis.com/v1/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`;
-    const body = {
-      contents: [{ parts: [{ text: "Hello, respond with just 'OK' if you can hear me." }] }]
-    };
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    const json = await response.json();
-    if (!response.ok) throw new Error(json.error?.message || `HTTP ${response.status}`);
-    const text = json.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || 'No response';
+    const { text: reply, model: modelName } = await llm.generate("Hello, respond with just 'OK' if you can hear me.");
+    const text = reply.trim() || 'No response';
     res.json({ 
       ok: true, 
       model: modelName,
@@ -1218,315 +1748,511 @@ app.get("/test-ai", async (req, res) => {
     res.status(502).json({ 
       ok: false, 
       error: e.message,
+      ...(e.kind ? { kind: e.kind } : {}),
       timestamp: new Date().toISOString()
     });
   }
 });
 
-app.get("/models", async (req, res) => {
+app.get("/models", requireAdminKey, async (req, res) => {
   try {
-    const url = `https://generativelanguage.googleapis.com/v1/models?key=${GEMINI_API_KEY}`;
-    const r = await fetch(url);
-    const j = await r.json();
-    res.json(j);
+    res.json(await llm.listModels());
   } catch (e) {
     res.status(502).json({ error: String(e) });
   }
 });
 
+/* ----------------------------- Query cache ------------------------------ */
+
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 500);
+const queryCache = createQueryCache({
+  ttlMs: Number(process.env.CACHE_TTL_SECONDS || 3600) * 1000,
+  backend: process.env.CACHE_BACKEND === "file"
+    ? createFileBackend({
+        filePath: path.resolve(__dirname, process.env.CACHE_FILE || "./cache/query-cache.json"),
+        maxEntries: CACHE_MAX_ENTRIES,
+      })
+    : createMemoryBackend({ maxEntries: CACHE_MAX_ENTRIES }),
+});
+
+/* ----------------------------- Search pipeline --------------------------- */
+
+// Facet counts and filters over the search candidates (lib/facets.js)
+const facets = createFacets({
+  lookup: lookupCatalog,
+  gazetteer: () => catalogs.current().jurisdictions,
+  proxyHosts: (process.env.PROXY_HOSTS || "idm.oclc.org,dbs.lib.byu.edu").split(",").map(h => h.trim()).filter(Boolean),
+});
+
+/* ------------------------------- Paging --------------------------------- */
+
+// limit/offset/minScore for /search; clients can ask for other values within these bounds
+const SEARCH_DEFAULT_LIMIT = Number(process.env.SEARCH_DEFAULT_LIMIT || 8);
+const SEARCH_MAX_LIMIT = Number(process.env.SEARCH_MAX_LIMIT || 50);
+const SEARCH_MIN_SCORE = Number(process.env.SEARCH_MIN_SCORE ?? 60);
+// Candidates taken from each local source (guides, LibGuide assets); bounds how deep paging goes
+const SEARCH_POOL_SIZE = Number(process.env.SEARCH_POOL_SIZE || 20);
+
+// A cursor only continues the query and filters it was issued for
+function pagingKey(query, filters) {
+  return crypto.createHash("sha256").update(`${normalize(query)}|${JSON.stringify(filters)}`).digest("base64url").slice(0, 12);
+}
+
+function encodeCursor(query, filters, { offset, limit, minScore }) {
+  return Buffer.from(JSON.stringify({ o: offset, l: limit, m: minScore, k: pagingKey(query, filters) })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Number.isInteger(c.o) && Number.isInteger(c.l) && typeof c.m === "number" ? c : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
- * GET /search?query=...&debug=1&skipWhitelist=1&debug=2
- * - debug=1  -> diagnostics
- * - debug=2  -> diagnostics + compact raw model JSON preview
- * - skipWhitelist=1 -> return parsed Gemini output without whitelist filter
+ * Read limit, offset | page | cursor and minScore (query string or POST body).
+ * limit is capped at SEARCH_MAX_LIMIT; minScore must be 0-100.
+ * @returns {{ paging: { offset: number, limit: number, minScore: number, requested: boolean, limitCapped: boolean } }|{ error: string }}
  */
-app.get("/search", requireApiKey, async (req, res) => {
-  // Rate limiting check
-  const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-  const rateCheck = checkRateLimit(clientIP);
-  
-  if (!rateCheck.allowed) {
-    logRequest(clientIP, req.query.query || 'empty', req.headers['user-agent'], 0, `Rate limited - reset in ${rateCheck.resetIn}s`);
-    return res.status(429).json({ 
-      error: "Too many requests", 
-      retryAfter: rateCheck.resetIn,
-      message: `Please wait ${rateCheck.resetIn} seconds before trying again`
-    });
+function parsePaging(input, query, filters) {
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  const paging = { offset: 0, limit: SEARCH_DEFAULT_LIMIT, minScore: SEARCH_MIN_SCORE, requested: false };
+
+  if (given(input.cursor)) {
+    if (given(input.offset) || given(input.page)) return { error: "Use either cursor or offset/page, not both" };
+    const c = decodeCursor(input.cursor);
+    if (!c || c.k !== pagingKey(query, filters)) return { error: "Invalid cursor for this query and filters" };
+    Object.assign(paging, { offset: c.o, limit: c.l, minScore: c.m, requested: true });
   }
-
-  const query = req.query.query;
-  const debug = Number(req.query.debug || 0);
-  const skipWhitelist = req.query.skipWhitelist === "1";
-
-  if (!query || !String(query).trim()) {
-    logRequest(clientIP, query || 'empty', req.headers['user-agent'], 0, 'Missing query parameter');
-    return res.status(400).json({ error: "Missing ?query" });
+  if (given(input.limit)) {
+    const limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: "limit must be a positive integer" };
+    paging.limit = limit;
+    paging.requested = true;
+  }
+  paging.limitCapped = paging.limit > SEARCH_MAX_LIMIT;
+  paging.limit = Math.min(paging.limit, SEARCH_MAX_LIMIT);
+  if (given(input.minScore)) {
+    const minScore = Number(input.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) return { error: "minScore must be a number from 0 to 100" };
+    paging.minScore = minScore;
+    paging.requested = true;
   }
-  if (!GEMINI_API_KEY) {
-    logRequest(clientIP, query, req.headers['user-agent'], 0, 'Server missing GEMINI_API_KEY');
-    return res.status(500).json({ error: "Server missing GEMINI_API_KEY" });
+  if (given(input.offset) && given(input.page)) return { error: "Use either offset or page, not both" };
+  if (given(input.offset)) {
+    const offset = Number(input.offset);
+    if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be a non-negative integer" };
+    paging.offset = offset;
+    paging.requested = true;
   }
+  if (given(input.page)) {
+    const page = Number(input.page);
+    if (!Number.isInteger(page) || page < 1) return { error: "page must be a positive integer" };
+    paging.offset = (page - 1) * paging.limit;
+    paging.requested = true;
+  }
+  return { paging };
+}
 
-  console.log(`🔍 SEARCH REQUEST: "${query}" from ${clientIP.substring(0,8)}...`);
-  
-  try {
-    // Step 1: Check if this is a legal advice request
-    const isLegal = isLegalAdviceRequest(query);
-    console.log(`🔍 Legal advice check result: ${isLegal}`);
-    
-    if (isLegal) {
-      console.log(`✅ RETURNING LEGAL HELP for: "${query}"`);
-      const legalHelp = createLegalHelpResponse();
-      logRequest(clientIP, query, req.headers['user-agent'], legalHelp.length, null);
-      return res.json(legalHelp);
+// { total, page, limit, offset, hasMore, nextCursor? } for a pipeline result
+function pageInfo(out, query, filters, minScore) {
+  const hasMore = out.offset + out.results.length < out.total;
+  return {
+    total: out.total,
+    page: Math.floor(out.offset / out.limit) + 1,
+    limit: out.limit,
+    offset: out.offset,
+    hasMore,
+    ...(hasMore ? { nextCursor: encodeCursor(query, filters, { offset: out.offset + out.limit, limit: out.limit, minScore }) } : {}),
+  };
+}
+
+// Stage hooks for scripts that drive the pipeline directly (npm run eval -- --record)
+const pipelineHooks = {};
+
+const searchPipeline = createSearchPipeline({
+  normalize,
+  isLegalAdviceRequest,
+  createLegalHelpResponse,
+  // Use ONLY external databases (catalog B / resource-database) for AI whitelist
+  shortlist: (query) => shortlistFromCatalog(query, catalogs.current().databases, ALLOWLIST_SIZE),
+  buildPrompt,
+  queryModel,
+  parse: parseModelReply,
+  createItemScanner,
+  filterGuides,
+  isWhitelisted: isWhitelistedLoose,
+  fallbackRecommend,
+  searchLocalGuides: (query) => searchLocalGuides(query, SEARCH_POOL_SIZE),
+  searchLibGuideAssets: (query) => searchLibGuideAssets(query, SEARCH_POOL_SIZE),
+  learnedBoost: (query) => feedback.boostFor(feedbackTerms(query)),
+  enrichResults,
+  analyze: analyzeQuery,
+  suggest: suggestCorrection,
+  facets,
+  cache: queryCache,
+  cacheKey: (query, ctx) => `${catalogs.current().version}.${linkChecker.generation()}:${ctx.skipWhitelist ? 1 : 0}:${normalize(query)}`,
+  describe: () => ({
+    model: MODEL,
+    externalDatabaseCount: catalogs.current().databases.length,
+    localGuideCount: catalogs.current().guides.length,
+  }),
+}, { budgetMs: SEARCH_BUDGET_MS, hooks: pipelineHooks });
+
+/**
+ * Read search parameters from either a GET query string or a POST JSON body.
+ *
+ * GET  /search?query=...&debug=1&skipWhitelist=1&type=guide,database&jurisdiction=Utah&facets=1&limit=10&offset=20
+ * POST /search { query, filters: { type, subject, jurisdiction, access }, limit, offset | page | cursor, minScore,
+ *                options: { debug, skipWhitelist, facets } }
+ *
+ * Filter values may be a single value or a list (comma-separated in a query
+ * string); see lib/facets.js. Paging parameters: see parsePaging.
+ *
+ * Returns { query, debug, skipWhitelist, filters, wantFacets, paging } or
+ * { error } when the request is malformed.
+ */
+function parseSearchRequest(req) {
+  if (req.method === "POST") {
+    const body = req.body;
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return { error: "Request body must be a JSON object" };
     }
-    
-    console.log(`➡️ Proceeding to AI search for: "${query}"`);
+    const options = body.options || {};
+    const filters = body.filters || {};
+    const query = typeof body.query === "string" ? body.query.trim() : "";
 
-    // Step 2: Get AI recommendations from external databases (resource-database only)
-    // Use ONLY external databases (CATALOG_B / resource-database) for AI whitelist
-    const externalDatabases = CATALOG_B.map(item => ({ name: item.name, aliases: item.aliases || [] }));
-    const allowedList = shortlistFromCatalog(query, externalDatabases, ALLOWLIST_SIZE);
-    const prompt = buildPrompt(query, allowedList);
+    if (!query) return { error: "Missing query" };
+    if (typeof options !== "object" || Array.isArray(options)) {
+      return { query, error: "options must be an object" };
+    }
+    const parsedFilters = parseFilters(filters);
+    if (parsedFilters.error) return { query, error: parsedFilters.error };
+    const parsedPaging = parsePaging(body, query, parsedFilters.filters);
+    if (parsedPaging.error) return { query, error: parsedPaging.error };
+    return {
+      query,
+      debug: Number(options.debug || 0),
+      skipWhitelist: options.skipWhitelist === true || options.skipWhitelist === "1",
+      filters: parsedFilters.filters,
+      wantFacets: options.facets === true || options.facets === "1",
+      paging: parsedPaging.paging,
+    };
+  }
 
-    const { text, data } = await queryGemini(prompt, debug >= 2);
-    const aiParsed = parseGeminiJsonLoose(text);
-    const cleaned = aiParsed.map(coerceItem).filter((r) => r.name);
-    const afterGuideFilter = filterGuides(cleaned);
+  const query = req.query.query;
+  if (!query || !String(query).trim()) return { query, error: "Missing ?query" };
+  const { type, subject, jurisdiction, access } = req.query;
+  const parsedFilters = parseFilters({ type, subject, jurisdiction, access });
+  if (parsedFilters.error) return { query, error: parsedFilters.error };
+  const parsedPaging = parsePaging(req.query, String(query), parsedFilters.filters);
+  if (parsedPaging.error) return { query, error: parsedPaging.error };
+  return {
+    query: String(query),
+    debug: Number(req.query.debug || 0),
+    skipWhitelist: req.query.skipWhitelist === "1",
+    filters: parsedFilters.filters,
+    wantFacets: req.query.facets === "1",
+    paging: parsedPaging.paging,
+  };
+}
 
-    let aiResults = skipWhitelist ? afterGuideFilter : afterGuideFilter.filter((r) => isWhitelistedLoose(r.name));
+// v2 envelope for a pipeline result (shared by /v2/search and the final stream event)
+function envelopeFor(req, query, filters, paging, out, startedAt) {
+  const pagination = pageInfo(out, query, filters, paging.minScore);
+  const warnings = warningsFor(out, { limitCapped: paging.limitCapped, maxLimit: SEARCH_MAX_LIMIT });
+  return buildEnvelope({ requestId: req.requestId, query, out, pagination, warnings, startedAt });
+}
 
-    if (aiResults.length === 0) {
-      aiResults = fallbackRecommend(query, 8); // Reduce to make room for local guides
-    }
+// Log line for a fallback answer (AI outage or missed latency budget)
+function fallbackNote(prefix, out) {
+  return `${prefix}${out.aiSkipped ? "AI over budget" : "AI service error"} - returned ${out.results.length} fallback results: ${out.error.message}`;
+}
 
-    // Step 3: Add local guides that match the query
-    const localGuides = searchLocalGuides(query);
+// search.log entry for a finished search (lib/analytics.js reports on these fields)
+function logSearch(req, prefix, query, filters, out, startedAt) {
+  const error = out.mode === "fallback" ? fallbackNote(prefix, out) : null;
+  logRequest(req, query, req.headers['user-agent'], out.results.length, error, {
+    requestId: req.requestId,
+    mode: out.mode,
+    total: out.total,
+    durationMs: Date.now() - startedAt,
+    parsePath: out.parsePath || undefined,
+    cache: out.cache,
+    didYouMean: out.didYouMean,
+    aiSkipped: out.aiSkipped || undefined,
+    filters: Object.keys(filters).length ? filters : undefined,
+  });
+}
 
-    // Step 4: Add LibGuide assets that match the query
-    const libGuideAssets = searchLibGuideAssets(query);
+// Remember the returned page so POST /v2/feedback can accept clicks and thumbs on it
+function recordImpression(req, query, out) {
+  if (out.mode === "legal-help") return; // referrals are not ranked catalog results
+  feedback.recordImpression({
+    requestId: req.requestId,
+    visitor: analytics.pseudonym(req.ip || 'unknown'),
+    client: req.apiClient ? req.apiClient.id : null,
+    terms: feedbackTerms(out.didYouMean || query),
+    results: out.results,
+    offset: out.offset,
+  });
+}
 
-    // Step 5: Combine results (AI + local guides + LibGuide assets)
-    let result = [...aiResults, ...localGuides, ...libGuideAssets];
+const SSE_KEEPALIVE_MS = 15000;
 
-    // De-dupe + sort + cap
-    const best = new Map();
-    for (const item of result) {
-      const key = normalize(item.name);
-      const prev = best.get(key);
-      if (!prev || item.relevanceScore > prev.relevanceScore) best.set(key, item);
-    }
-    // Filter by relevance score and limit results - prioritize quality over quantity
-    const sortedResults = [...best.values()].sort((a, b) => b.relevanceScore - a.relevanceScore);
-    const MIN_RELEVANCE_SCORE = 60; // Don't show results below 60% relevance
-    const MAX_RESULTS = 8; // Reduce from 12 to focus on most relevant
-    const finalOut = sortedResults
-      .filter(item => item.relevanceScore >= MIN_RELEVANCE_SCORE)
-      .slice(0, MAX_RESULTS);
-
-    // Enrich results with catalog information (URLs and descriptions)
-    console.log(`🚨 About to enrich ${finalOut.length} results...`);
-    const enriched = enrichResults(finalOut);
-    console.log(`🚨 Enrichment complete. First result:`, enriched[0]);
-
-    if (debug) {
-      return res.json({
-        diagnostics: {
-          queryType: isLegalAdviceRequest(query) ? "legal-advice" : "research",
-          model: MODEL,
-          externalDatabaseCount: CATALOG_B.length,
-          localGuideCount: CATALOG_A.length,
-          allowlistSent: allowedList.length,
-          rawChars: text?.length ?? 0,
-          aiResults: aiResults.length,
-          localGuideResults: localGuides.length,
-          totalResults: finalOut.length,
-          usedFallback: cleaned.length === 0,
-          enrichedWithUrl: enriched.filter(x => x.url).length,
-          enrichedWithDesc: enriched.filter(x => x.description).length,
-          sampleAiResults: aiResults.slice(0, 3),
-          sampleLocalGuides: localGuides.slice(0, 3),
-          rawGeminiPreview: debug >= 2 ? JSON.stringify(data, null, 2).slice(0, 2000) : undefined,
-        },
-        results: enriched,
-      });
-    }
+/**
+ * Server-Sent Events answer for GET|POST /v2/search/stream:
+ *   event: local  { results }  catalog matches, sent before the model is asked
+ *   event: ai     { result }   each model recommendation as it streams in
+ *   event: final  envelope     merged, ranked answer; same body as /v2/search
+ *   event: error  { apiVersion, requestId, error: { code, message } }
+ * The stream ends after `final` or `error`. Validation and rate-limit errors
+ * are still plain JSON responses, sent before the stream starts.
+ */
+async function streamSearch(req, res, parsed, { label, startedAt }) {
+  const prefix = label ? `${label} ` : "";
+  const { query, debug, skipWhitelist, filters, paging } = parsed;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no", // nginx: pass events through unbuffered
+  });
+  res.flushHeaders();
 
-    logRequest(clientIP, query, req.headers['user-agent'], enriched.length, null);
-    res.json(enriched);
+  // The search keeps running if the client goes away (its answer still fills the cache)
+  let open = true;
+  res.on("close", () => { open = false; });
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const keepAlive = setInterval(() => { if (open) res.write(": keep-alive\n\n"); }, SSE_KEEPALIVE_MS);
+
+  try {
+    const out = await searchPipeline.run(query, { debug, skipWhitelist, filters, ...paging, label, onEvent: send });
+    logSearch(req, prefix, query, filters, out, startedAt);
+    recordImpression(req, query, out);
+    send("final", envelopeFor(req, query, filters, paging, out, startedAt));
   } catch (err) {
-    console.error("Search error:", err);
-    
-    // Check if it's any API service error that should trigger fallback
-    const isApiServiceError = err.message && (
-      err.message.includes('quota') || 
-      err.message.includes('429') || 
-      err.message.includes('RESOURCE_EXHAUSTED') ||
-      err.message.includes('503') ||
-      err.message.includes('500') ||
-      err.message.includes('502') ||
-      err.message.includes('overloaded') ||
-      err.message.includes('temporarily unavailable') ||
-      err.message.includes('service unavailable') ||
-      err.message.includes('timeout') ||
-      err.message.includes('DEADLINE_EXCEEDED')
-    );
-    
-    if (isApiServiceError) {
-      console.log(`🔄 AI service error detected, providing fallback results for: "${query}"`);
-      console.log(`🔄 Error details: ${err.message}`);
-      
-      // Provide comprehensive fallback results: external databases + local guides + LibGuide assets
-      const fallbackFromExternal = fallbackRecommend(query, 3); // 3 external databases
-      const fallbackFromLocal = searchLocalGuides(query).slice(0, 2); // 2 local guides  
-      const fallbackFromAssets = searchLibGuideAssets(query).slice(0, 2); // 2 LibGuide assets
-      const fallbackResults = [...fallbackFromExternal, ...fallbackFromLocal, ...fallbackFromAssets];
-      
-      // Enrich and return fallback results
-      const enrichedFallback = enrichResults(fallbackResults);
-      
-      logRequest(clientIP, query, req.headers['user-agent'], enrichedFallback.length, `AI service error - returned ${enrichedFallback.length} fallback results: ${err.message}`);
-      
-      return res.json({
-        results: enrichedFallback,
-        fallback: true,
-        message: "AI search temporarily unavailable - showing backup recommendations from our library catalog"
+    console.error(`❌ ${prefix}Streaming search error for "${query}":`, err);
+    logRequest(req, query, req.headers['user-agent'], 0, err.message, { requestId: req.requestId });
+    send("error", errorEnvelope(req.requestId, "upstream_error", "Error contacting Gemini API", { detail: String(err) }));
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+    open = false;
+  }
+}
+
+/**
+ * Shared request handler for all search routes.
+ * Handles rate limiting, validation and logging, runs the search pipeline and
+ * shapes the response:
+ *   - success              -> bare array of results
+ *   - debug                -> { diagnostics, results }
+ *   - AI outage (fallback) -> { results, fallback: true, message }
+ *   - AI over the latency  -> { results, fallback: true, aiSkipped: true, message }
+ *     budget
+ *   - typo corrected       -> X-Did-You-Mean header (URL-encoded correction);
+ *                             object responses also carry `didYouMean`
+ *   - facets=1 or filters  -> object responses also carry `facets`
+ *                             (the bare array becomes { results, facets })
+ *   - paging parameters    -> object responses also carry { total, page, limit,
+ *                             offset, hasMore, nextCursor? } (the bare array
+ *                             becomes { results, total, ... })
+ * Every response sets X-Total-Count (results matching minScore and filters).
+ *
+ * /v2 routes (searchRoute(2)) always answer with the envelope from
+ * lib/response-envelope.js instead; with `stream` the answer is an event
+ * stream (see streamSearch).
+ */
+function createSearchHandler({ label = "", stream = false } = {}) {
+  const prefix = label ? `${label} ` : "";
+
+  return async (req, res) => {
+    const startedAt = Date.now();
+
+    // Rate limiting check
+    const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+    const rateCheck = rateLimiter.consume(rateLimitRules(req));
+    const limitHeaders = rateLimitHeaders(rateCheck);
+    res.set(limitHeaders);
+    if (req.apiClient && rateCheck && !rateCheck.allowed) apiKeys.record(req.apiClient.id, req.apiKeyId, "limited");
+
+    if (rateCheck && !rateCheck.allowed) {
+      const retryAfter = Number(limitHeaders['Retry-After']);
+      logRequest(req, (req.body && req.body.query) || req.query.query || 'empty', req.headers['user-agent'], 0, `${prefix}Rate limited (${rateCheck.rule}) - retry in ${retryAfter}s`);
+      return sendSearchError(req, res, 429, "rate_limited", {
+        error: "Too many requests",
+        retryAfter,
+        message: `Please wait ${retryAfter} seconds before trying again`
       });
     }
-    
-    logRequest(clientIP, query, req.headers['user-agent'], 0, err.message);
-    res.status(502).json({ error: "Error contacting Gemini API", detail: String(err) });
-  }
-});
 
-/* ------------------------ WordPress Endpoint --------------------------- */
+    const parsed = parseSearchRequest(req);
+    const { query, debug, skipWhitelist, filters, wantFacets, paging } = parsed;
 
-// WordPress-style endpoint that mirrors the main search functionality
-app.get("/wp-json/ais/v1/search", requireApiKey, async (req, res) => {
-  // Rate limiting check
-  const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-  const rateCheck = checkRateLimit(clientIP);
-  
-  if (!rateCheck.allowed) {
-    logRequest(clientIP, req.query.query || 'empty', req.headers['user-agent'], 0, `WordPress rate limited - reset in ${rateCheck.resetIn}s`);
-    return res.status(429).json({ 
-      error: "Too many requests", 
-      retryAfter: rateCheck.resetIn,
-      message: `Please wait ${rateCheck.resetIn} seconds before trying again`
-    });
-  }
+    if (parsed.error) {
+      logRequest(req, query || 'empty', req.headers['user-agent'], 0, `${prefix}${parsed.error}`);
+      return sendSearchError(req, res, 400, "bad_request", { error: parsed.error });
+    }
+    if (llm.configError) {
+      logRequest(req, query, req.headers['user-agent'], 0, `${prefix}${llm.configError}`);
+      return sendSearchError(req, res, 500, "not_configured", { error: llm.configError });
+    }
 
-  const query = req.query.query;
-  const debug = Number(req.query.debug || 0);
-  const skipWhitelist = req.query.skipWhitelist === "1";
+    console.log(`🔍 ${prefix.toUpperCase()}SEARCH REQUEST: "${query}" from ${clientIP.substring(0,8)}...${req.apiClient ? ` (${req.apiClient.id})` : ""}`);
 
-  if (!query || !String(query).trim()) {
-    logRequest(clientIP, query || 'empty', req.headers['user-agent'], 0, 'WordPress missing query parameter');
-    return res.status(400).json({ error: "Missing ?query" });
-  }
-  if (!GEMINI_API_KEY) {
-    logRequest(clientIP, query, req.headers['user-agent'], 0, 'WordPress server missing GEMINI_API_KEY');
-    return res.status(500).json({ error: "Server missing GEMINI_API_KEY" });
-  }
+    if (stream) return streamSearch(req, res, parsed, { label, startedAt });
 
-  console.log(`🔍 WORDPRESS SEARCH REQUEST: "${query}" from ${clientIP.substring(0,8)}...`);
-  
-  try {
-    // Step 1: Check if this is a legal advice request
-    const isLegal = isLegalAdviceRequest(query);
-    console.log(`🔍 WordPress Legal advice check result: ${isLegal}`);
-    
-    if (isLegal) {
-      console.log(`✅ WORDPRESS RETURNING LEGAL HELP for: "${query}"`);
-      const legalHelp = createLegalHelpResponse();
-      logRequest(clientIP, query, req.headers['user-agent'], legalHelp.length, null);
-      return res.json(legalHelp);
+    try {
+      const out = await searchPipeline.run(query, { debug, skipWhitelist, filters, ...paging, label });
+      const facetCounts = (wantFacets || Object.keys(filters).length) && out.facets ? { facets: out.facets } : {};
+      const pagination = pageInfo(out, query, filters, paging.minScore);
+      res.set("X-Total-Count", String(out.total));
+      if (out.didYouMean) res.set("X-Did-You-Mean", encodeURIComponent(out.didYouMean));
+
+      logSearch(req, prefix, query, filters, out, startedAt);
+      recordImpression(req, query, out);
+      if (req.apiVersion === 2) {
+        return res.json(envelopeFor(req, query, filters, paging, out, startedAt));
+      }
+
+      if (out.mode === "fallback") {
+        return res.json({
+          ...(out.diagnostics ? { diagnostics: out.diagnostics } : {}),
+          results: out.results,
+          ...pagination,
+          ...facetCounts,
+          ...(out.didYouMean ? { didYouMean: out.didYouMean } : {}),
+          fallback: true,
+          ...(out.aiSkipped ? { aiSkipped: true } : {}),
+          message: out.message
+        });
+      }
+
+      if (out.diagnostics) {
+        return res.json({ diagnostics: out.diagnostics, results: out.results, ...pagination, ...facetCounts, didYouMean: out.didYouMean });
+      }
+      if (facetCounts.facets || paging.requested) {
+        return res.json({ results: out.results, ...pagination, ...facetCounts, ...(out.didYouMean ? { didYouMean: out.didYouMean } : {}) });
+      }
+      res.json(out.results);
+    } catch (err) {
+      console.error(`❌ ${prefix}Search error for "${query}":`, err);
+      logRequest(req, query, req.headers['user-agent'], 0, err.message);
+      sendSearchError(req, res, 502, "upstream_error", { error: "Error contacting Gemini API", detail: String(err) });
     }
-    
-    console.log(`➡️ WordPress proceeding to AI search for: "${query}"`);
+  };
+}
 
-    // Step 2: Get AI recommendations from external databases (resource-database only)
-    // Use ONLY external databases (CATALOG_B / resource-database) for AI whitelist
-    const externalDatabases = CATALOG_B.map(item => ({ name: item.name, aliases: item.aliases || [] }));
-    const allowedList = shortlistFromCatalog(query, externalDatabases, ALLOWLIST_SIZE);
-    const prompt = buildPrompt(query, allowedList);
+/**
+ * GET /search?query=...&debug=1&skipWhitelist=1&debug=2
+ * - debug=1  -> diagnostics
+ * - debug=2  -> diagnostics + compact raw model JSON preview
+ * - skipWhitelist=1 -> return parsed Gemini output without whitelist filter
+ * - type=, subject=, jurisdiction=, access= -> facet filters (comma-separated values)
+ * - facets=1 -> include facet counts over all candidates
+ * - limit=, offset= | page= | cursor=, minScore= -> server-side paging (see parsePaging)
+ */
+app.get("/search", searchRoute(1), requireApiKey, createSearchHandler());
 
-    const { text, data } = await queryGemini(prompt, debug >= 2);
-    const aiParsed = parseGeminiJsonLoose(text);
-    const cleaned = aiParsed.map(coerceItem).filter((r) => r.name);
-    const afterGuideFilter = filterGuides(cleaned);
+/**
+ * POST /search  { "query": "...", "filters": { "type": ["guide"] }, "limit": 10, "page": 1, "options": { "debug": 1, "skipWhitelist": false, "facets": true } }
+ * Same pipeline and response shapes as GET /search; keeps queries and API keys
+ * out of URLs and access logs.
+ */
+app.post("/search", searchRoute(1), requireApiKey, createSearchHandler());
 
-    let aiResults = skipWhitelist ? afterGuideFilter : afterGuideFilter.filter((r) => isWhitelistedLoose(r.name));
+/**
+ * GET|POST /v2/search - same parameters as /search; every answer, errors
+ * included, is the versioned envelope (lib/response-envelope.js):
+ * { apiVersion, requestId, mode, query, didYouMean, results, total, page, limit,
+ *   offset, hasMore, nextCursor?, facets, warnings, timing, diagnostics? }
+ */
+app.get("/v2/search", searchRoute(2), requireApiKey, createSearchHandler());
+app.post("/v2/search", searchRoute(2), requireApiKey, createSearchHandler());
 
-    if (aiResults.length === 0) {
-      aiResults = fallbackRecommend(query, 8); // Reduce to make room for local guides
-    }
+/**
+ * GET|POST /v2/search/stream - same parameters; answers with Server-Sent
+ * Events (local → ai… → final) so catalog matches show while the model is
+ * still answering. See streamSearch.
+ */
+app.get("/v2/search/stream", searchRoute(2), requireApiKey, createSearchHandler({ stream: true }));
+app.post("/v2/search/stream", searchRoute(2), requireApiKey, createSearchHandler({ stream: true }));
 
-    // Step 3: Add local guides that match the query
-    const localGuides = searchLocalGuides(query);
+/* ------------------------ WordPress Endpoint --------------------------- */
 
-    // Step 4: Add LibGuide assets that match the query
-    const libGuideAssets = searchLibGuideAssets(query);
+// WordPress-style endpoint that mirrors the main search functionality
+app.get("/wp-json/ais/v1/search", searchRoute(1), requireApiKey, createSearchHandler({ label: "WordPress" }));
+app.get("/wp-json/ais/v2/search", searchRoute(2), requireApiKey, createSearchHandler({ label: "WordPress" }));
+app.get("/wp-json/ais/v2/search/stream", searchRoute(2), requireApiKey, createSearchHandler({ label: "WordPress", stream: true }));
 
-    // Step 5: Combine results (AI + local guides + LibGuide assets)
-    let result = [...aiResults, ...localGuides, ...libGuideAssets];
+/* ------------------------- Result feedback --------------------------- */
 
-    // De-dupe + sort + cap
-    const best = new Map();
-    for (const item of result) {
-      const key = normalize(item.name);
-      const prev = best.get(key);
-      if (!prev || item.relevanceScore > prev.relevanceScore) best.set(key, item);
-    }
-    // Filter by relevance score and limit results - prioritize quality over quantity
-    const sortedResults = [...best.values()].sort((a, b) => b.relevanceScore - a.relevanceScore);
-    const MIN_RELEVANCE_SCORE = 60; // Don't show results below 60% relevance
-    const MAX_RESULTS = 8; // Reduce from 12 to focus on most relevant
-    const finalOut = sortedResults
-      .filter(item => item.relevanceScore >= MIN_RELEVANCE_SCORE)
-      .slice(0, MAX_RESULTS);
-
-    // Enrich results with catalog information (URLs and descriptions)
-    const enriched = enrichResults(finalOut);
-
-    if (debug) {
-      return res.json({
-        diagnostics: {
-          queryType: isLegalAdviceRequest(query) ? "legal-advice" : "research",
-          model: MODEL,  
-          externalDatabaseCount: CATALOG_B.length,
-          localGuideCount: CATALOG_A.length,
-          allowlistSent: allowedList.length,
-          rawChars: text?.length ?? 0,
-          aiResults: aiResults.length,
-          localGuideResults: localGuides.length,
-          totalResults: finalOut.length,
-          usedFallback: cleaned.length === 0,
-          enrichedWithUrl: enriched.filter(x => x.url).length,
-          enrichedWithDesc: enriched.filter(x => x.description).length,
-          sampleAiResults: aiResults.slice(0, 3),
-          sampleLocalGuides: localGuides.slice(0, 3),
-          rawGeminiPreview: debug >= 2 ? JSON.stringify(data, null, 2).slice(0, 2000) : undefined,
-        },
-        results: enriched,
-      });
-    }
+const FEEDBACK_ERROR_CODES = { 400: "bad_request", 403: "forbidden", 404: "not_found", 422: "unprocessable" };
 
-    logRequest(clientIP, query, req.headers['user-agent'], enriched.length, null);
-    res.json(enriched);
+/**
+ * POST /v2/feedback { requestId, type, name | url }
+ * A click, thumbs up/down or "not relevant" mark on one result of an earlier
+ * search: `requestId` is that search's X-Request-Id, `type` one of click, up,
+ * down, not_relevant. Accepted for a day after the search, from the visitor
+ * who searched, for results it returned (lib/feedback.js).
+ *   202 { apiVersion, requestId, recorded, duplicate?, position }
+ *   400 | 403 | 404 | 422 | 429 error envelope
+ */
+function handleFeedback(req, res) {
+  const visitor = analytics.pseudonym(req.ip || 'unknown');
+  const rateCheck = rateLimiter.consume([{ id: "feedback", key: `feedback:${visitor}`, limit: FEEDBACK_RATE_LIMIT, windowMs: RATE_LIMIT_WINDOW_MS }]);
+  const limitHeaders = rateLimitHeaders(rateCheck);
+  res.set(limitHeaders);
+  if (rateCheck && !rateCheck.allowed) {
+    const retryAfter = Number(limitHeaders['Retry-After']);
+    return sendSearchError(req, res, 429, "rate_limited", { error: "Too many feedback events", retryAfter });
+  }
 
-  } catch (error) {
-    console.error(`❌ WORDPRESS SEARCH ERROR for "${query}":`, error.message);
-    logRequest(clientIP, query, req.headers['user-agent'], 0, error.message);
-    return res.status(500).json({ 
-      error: "Error contacting Gemini API", 
-      detail: error.message 
+  const body = req.body;
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return sendSearchError(req, res, 400, "bad_request", { error: "Request body must be a JSON object" });
+  }
+  const text = (value) => (typeof value === "string" ? value.trim().substring(0, 500) : undefined);
+  try {
+    const result = feedback.recordEvent({
+      requestId: text(body.requestId),
+      type: body.type,
+      name: text(body.name),
+      url: text(body.url),
+      visitor,
+      client: req.apiClient ? req.apiClient.id : null,
     });
+    res.status(202).json({ apiVersion: 2, requestId: req.requestId, ...result });
+  } catch (e) {
+    if (!e.status) throw e;
+    sendSearchError(req, res, e.status, FEEDBACK_ERROR_CODES[e.status] || "bad_request", { error: e.message });
+  }
+}
+
+app.post("/v2/feedback", searchRoute(2), requireApiKey, handleFeedback);
+app.post("/wp-json/ais/v2/feedback", searchRoute(2), requireApiKey, handleFeedback);
+
+/**
+ * GET /admin/feedback?minImpressions=20&top=20
+ * Feedback per resource: shown often but never clicked, most clicked and most
+ * marked down / not relevant, with click rates. Needs the admin or logs scope.
+ */
+app.get("/admin/feedback", requireScope("admin", "logs"), (req, res) => {
+  const minImpressions = Number(req.query.minImpressions || 20);
+  const top = Number(req.query.top || 20);
+  if (!(Number.isInteger(minImpressions) && minImpressions >= 1) || !(Number.isInteger(top) && top > 0 && top <= 500)) {
+    return res.status(400).json({ error: "minImpressions must be a positive integer, top an integer from 1 to 500" });
   }
+  res.json({ ...feedback.report({ minImpressions, top }), status: feedback.status() });
 });
 
 // Logs endpoint (for monitoring)
-app.get("/logs", (req, res) => {
+app.get("/logs", requireScope("logs"), (req, res) => {
   const lines = parseInt(req.query.lines) || 50;
   
   if (!fs.existsSync(LOG_FILE)) {
@@ -1534,19 +2260,10 @@ app.get("/logs", (req, res) => {
   }
   
   try {
-    const content = fs.readFileSync(LOG_FILE, 'utf8');
-    const logLines = content.trim().split('\n').slice(-lines);
-    const logs = logLines.map(line => {
-      try {
-        return JSON.parse(line);
-      } catch {
-        return { raw: line };
-      }
-    });
-    
+    const logs = analytics.tail(lines);
     res.json({ 
       logs,
-      total: logLines.length,
+      total: logs.length,
       requested: lines,
       logFile: LOG_FILE
     });
@@ -1555,6 +2272,61 @@ app.get("/logs", (req, res) => {
   }
 });
 
+/**
+ * GET /admin/analytics?days=30&top=20&client=wordpress
+ * Aggregates over search.log and its rotated files (lib/analytics.js): search
+ * counts, zero-result / fallback / legal-advice / cache-hit rates, latency
+ * percentiles, top queries and the zero-result and fallback queries that
+ * point at topics without a guide. Needs the admin or logs scope.
+ */
+app.get("/admin/analytics", requireScope("admin", "logs"), async (req, res) => {
+  const days = Number(req.query.days || 30);
+  const top = Number(req.query.top || 20);
+  if (!(days > 0 && days <= 3650) || !(Number.isInteger(top) && top > 0 && top <= 500)) {
+    return res.status(400).json({ error: "days must be between 0 and 3650, top an integer from 1 to 500" });
+  }
+  try {
+    const client = req.query.client ? String(req.query.client) : undefined;
+    res.json({ ...(await analytics.report({ days, top, client })), log: analytics.status() });
+  } catch (e) {
+    console.error(`❌ Analytics report failed: ${e.message}`);
+    res.status(500).json({ error: "Failed to build analytics report", detail: e.message });
+  }
+});
+
+/* ----------------------------- Error handling ----------------------------- */
+
+const V2_PATH = /^\/(wp-json\/ais\/)?v2\//;
+const BODY_ERRORS = {
+  "entity.parse.failed": "Invalid JSON body",
+  "entity.too.large": "Request body too large",
+};
+
+/**
+ * Errors that reach Express: malformed or oversized JSON bodies (express.json
+ * rejects them before any route runs) and anything a handler throws. v1 routes
+ * answer { error }, /v2 routes the error envelope; nothing answers with a stack trace.
+ */
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const bodyError = BODY_ERRORS[err.type];
+  if (V2_PATH.test(req.path)) {
+    req.apiVersion = 2;
+    req.requestId = req.requestId || requestIdFrom(req.headers['x-request-id'], crypto.randomUUID);
+    res.set('X-Request-Id', req.requestId);
+  }
+  if (bodyError) {
+    logRequest(req, req.path, req.headers['user-agent'], 0, bodyError);
+    return sendSearchError(req, res, err.status || 400, "bad_request", { error: bodyError });
+  }
+  // Client errors raised by middleware (err.expose) keep their status and message
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return sendSearchError(req, res, err.status, "bad_request", { error: err.message });
+  }
+  console.error(`❌ Unhandled error on ${req.method} ${req.path}:`, err);
+  sendSearchError(req, res, 500, "internal_error", { error: "Internal server error" });
+});
+
 /* ------------------------------- Startup -------------------------------- */
 
 // Export app for production startup, or start directly if this file is run
@@ -1571,3 +2343,9 @@ if (require.main === module) {
 }
 
 module.exports = app;
+
+// For scripts that run searches without HTTP, logging or rate limits (scripts/eval-relevance.js).
+// whenReady() resolves once the embedding index is built, so allowlists do not depend on timing.
+module.exports.searchPipeline = searchPipeline;
+module.exports.pipelineHooks = pipelineHooks;
+module.exports.whenReady = () => (vectorIndex ? vectorIndex.ready.catch(() => {}) : Promise.resolve());
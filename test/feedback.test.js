@@ -0,0 +1,66 @@
+/**
+ * Feedback store (lib/feedback.js) on a temporary JSON-lines file.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createFeedbackStore } = require("../lib/feedback");
+const { normalize } = require("../lib/query-analysis");
+
+const RESULTS = [{ name: "Westlaw", url: "https://westlaw.example.org/" }, { name: "HeinOnline" }];
+
+// Lines are appended asynchronously, not necessarily in order
+async function linesIn(filePath, count) {
+  for (let i = 0; i < 100; i++) {
+    const lines = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8").trim().split("\n").filter(Boolean) : [];
+    if (lines.length >= count) return lines;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`${filePath} never reached ${count} lines`);
+}
+
+function shown(store) {
+  const list = store.report({ minImpressions: 0 }).shownNeverClicked;
+  return Object.fromEntries(list.map(r => [r.name, r.impressions]));
+}
+
+test("a visitor repeating a search adds each result's impressions once", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+  const filePath = path.join(dir, "feedback-events.jsonl");
+  const open = () => createFeedbackStore({ filePath, normalize, boostMax: 10, minImpressions: 2 });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const store = open();
+    for (let i = 1; i <= 5; i++) {
+      store.recordImpression({ requestId: `r${i}`, visitor: "alice", terms: ["water"], results: RESULTS });
+    }
+    assert.deepEqual(shown(store), { Westlaw: 1, HeinOnline: 1 });
+    assert.equal(store.status().repeated, 4);
+    assert.equal((await linesIn(filePath, 1)).length, 1, "repeats write no lines");
+
+    // Feedback on a repeated search is still accepted
+    assert.equal(store.recordEvent({ requestId: "r5", type: "click", name: "Westlaw", visitor: "alice" }).recorded, true);
+
+    // A new term is a new (term, resource) pair, not another resource impression
+    store.recordImpression({ requestId: "r6", visitor: "alice", terms: ["water", "rights"], results: RESULTS });
+    store.recordImpression({ requestId: "r7", visitor: "bob", terms: ["water"], results: RESULTS });
+    assert.deepEqual(shown(store), { HeinOnline: 2 });
+    assert.deepEqual(store.report().mostClicked.map(r => [r.name, r.impressions, r.clicks]), [["Westlaw", 2, 1]]);
+    // Two visitors, one click: the pair impressions are 2, not 7
+    assert.equal(store.boostFor(["water"])("Westlaw"), Math.round((1 / 12) * 10));
+
+    // The same counts come back from the file after a restart
+    assert.deepEqual((await linesIn(filePath, 4)).map(line => JSON.parse(line).requestId).sort(), ["r1", "r5", "r6", "r7"]);
+    const restarted = open();
+    assert.deepEqual(shown(restarted), { HeinOnline: 2 });
+    assert.deepEqual(restarted.report().mostClicked.map(r => [r.name, r.impressions]), [["Westlaw", 2]]);
+    assert.equal(restarted.boostFor(["water"])("Westlaw"), store.boostFor(["water"])("Westlaw"));
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,222 @@
+/**
+ * LibGuides importer (lib/libguides-import.js, scripts/import-libguides.js)
+ * against the saved export in fixtures/libguides/export.json, and fetchExport
+ * against a local stand-in for the LibGuides API.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { execFile } = require("node:child_process");
+const { mapExport, diffCatalog, formatReport, plainText, fetchExport } = require("../lib/libguides-import");
+const { CATALOG_FILES } = require("../lib/catalog-schema");
+
+const ROOT = path.resolve(__dirname, "..");
+const FIXTURE = path.join(ROOT, "fixtures/libguides/export.json");
+const SCRIPT = path.join(ROOT, "scripts/import-libguides.js");
+const dump = () => JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+
+function runImport(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], { cwd: ROOT, timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "libguides-import-"));
+}
+
+test("mapExport builds the catalogs and counts what it skipped", () => {
+  const mapped = mapExport(dump());
+
+  assert.deepEqual(mapped.guides.map(g => g.name), ["Accounting Law", "Administrative Law", "Utah Water Law"]);
+  assert.deepEqual(mapped.databases.map(d => d.name), ["HeinOnline", "Westlaw"]);
+  assert.deepEqual(Object.keys(mapped.assets), ["70001", "70002"]);
+  assert.deepEqual(mapped.skipped, { unpublishedGuides: 1, hiddenDatabases: 1, assetsWithoutUrl: 1, duplicates: 1 });
+  assert.deepEqual(mapped.whitelistA, mapped.guides.map(g => ({ name: g.name })));
+  assert.deepEqual(mapped.whitelistB, [{ name: "HeinOnline" }, { name: "Westlaw" }]);
+});
+
+test("mapExport fills fields the way the hand-written catalogs do", () => {
+  const { guides, databases, assets } = mapExport(dump());
+  const guide = (name) => guides.find(g => g.name === name);
+
+  assert.equal(guide("Accounting Law").url, "https://guides.law.byu.edu/accounting", "friendly_url wins");
+  assert.equal(guide("Utah Water Law").url, "https://guides.law.byu.edu/c.php?g=9003", "url without friendly_url");
+  assert.equal(guide("Accounting Law").description, "Accounting Law", "empty description falls back to the name");
+  assert.deepEqual(guide("Administrative Law").subjects, ["Administrative Law"], "bare subject ids are resolved");
+  assert.deepEqual(databases.find(d => d.name === "Westlaw").aliases, ["Westlaw Edge", "WL"]);
+  assert.equal("aliases" in databases.find(d => d.name === "HeinOnline"), false, "empty fields are left out");
+  assert.deepEqual(assets["70001"].subjects, ["Natural Resources"], "assets inherit their guide's subjects");
+});
+
+test("HTML descriptions become plain text with entities decoded", () => {
+  const { guides } = mapExport(dump());
+  assert.equal(guides.find(g => g.name === "Administrative Law").description, "Legal resources for researching administrative law.");
+  assert.equal(guides.find(g => g.name === "Utah Water Law").description, "Water rights, adjudications & the Utah Division of Water Rights.");
+  assert.equal(plainText("<p>Tom&#39;s &quot;guide&quot;&nbsp;&lt;beta&gt; &#8212; &bogus;</p>"), "Tom's \"guide\" <beta> — &bogus;");
+});
+
+test("duplicates are kept once, by normalized name (and URL for assets)", () => {
+  const data = dump();
+  data.guides.push({ ...data.guides[1], id: 9100, name: "administrative  LAW" });
+  data.az.push({ ...data.az[0], id: 5100, name: "WESTLAW" });
+  data.assets.push({ ...data.assets[0], id: 70100, url: "https://waterrights.utah.gov/other" });
+  const mapped = mapExport(data);
+
+  assert.equal(mapped.guides.filter(g => g.name.toLowerCase().startsWith("administrative")).length, 1);
+  assert.equal(mapped.databases.filter(d => d.name.toLowerCase() === "westlaw").length, 1);
+  assert.equal(mapped.skipped.duplicates, 3);
+  assert.ok(mapped.assets["70100"], "same name under another URL is a different asset");
+});
+
+test("includeUnpublished keeps draft guides", () => {
+  const mapped = mapExport(dump(), { includeUnpublished: true });
+  assert.ok(mapped.guides.some(g => g.name === "Draft: Space Law"));
+  assert.equal(mapped.skipped.unpublishedGuides, 0);
+});
+
+test("diffCatalog reports added, removed and changed entries by normalized name", () => {
+  const before = [
+    { name: "Westlaw", url: "http://old.example.com/", description: "Online legal research service providing access to statutes, case law, treatises and journal articles.", aliases: ["Westlaw Edge", "WL"], subjects: ["Legal Research"] },
+    { name: "heinonline", url: "https://heinonline.org/", description: "Law journals, session laws and historical legal materials." },
+    { name: "Lexis" },
+  ];
+  const diff = diffCatalog(before, mapExport(dump()).databases);
+
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, ["Lexis"]);
+  assert.deepEqual(diff.changed, [{ name: "Westlaw", fields: ["url"] }]);
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diffCatalog([], [{ name: "A" }]).added, ["A"]);
+});
+
+test("formatReport summarizes every file and lists the changes", () => {
+  const mapped = mapExport(dump());
+  const markdown = formatReport({
+    source: "fixtures/libguides/export.json",
+    generatedAt: "2025-01-15T17:00:00.000Z",
+    dryRun: true,
+    skipped: mapped.skipped,
+    files: {
+      guides: { file: "guides.json", before: 1, after: 3, diff: diffCatalog([{ name: "Old Guide" }], mapped.guides) },
+      databases: { file: "databases.json", before: 2, after: 2, diff: diffCatalog(mapped.databases, mapped.databases) },
+    },
+  });
+
+  assert.match(markdown, /^# LibGuides import report\n/);
+  assert.match(markdown, /- Mode: dry run \(no files written\)/);
+  assert.match(markdown, /- Skipped: unpublishedGuides 1, hiddenDatabases 1, assetsWithoutUrl 1, duplicates 1/);
+  assert.match(markdown, /\| guides\.json \| 1 \| 3 \| 3 \| 1 \| 0 \|/);
+  assert.match(markdown, /\| databases\.json \| 2 \| 2 \| 0 \| 0 \| 0 \|/);
+  assert.match(markdown, /## guides \(guides\.json\)\n\n### Added \(3\)\n- Accounting Law\n- Administrative Law\n- Utah Water Law\n\n### Removed \(1\)\n- Old Guide/);
+  assert.doesNotMatch(markdown, /## databases/, "files without changes get no section");
+});
+
+test("the import script writes every catalog file and the report", async () => {
+  const out = tempDir();
+  try {
+    const { code } = await runImport(["--input", FIXTURE, "--out", out, "--json"]);
+    assert.equal(code, 0);
+    const read = (file) => JSON.parse(fs.readFileSync(path.join(out, file), "utf8"));
+    assert.equal(read(CATALOG_FILES.guides).length, 3);
+    assert.equal(read(CATALOG_FILES.databases).length, 2);
+    assert.deepEqual(Object.keys(read(CATALOG_FILES.assets)), ["70001", "70002"]);
+    assert.ok(fs.existsSync(path.join(out, "libguides-import-report.md")));
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});
+
+test("the import script refuses to replace a non-empty catalog with an empty one", async () => {
+  const out = tempDir();
+  try {
+    const guidesFile = path.join(out, CATALOG_FILES.guides);
+    const current = JSON.stringify([{ name: "Water Law", url: "https://guides.law.byu.edu/water" }]);
+    fs.writeFileSync(guidesFile, current);
+    const empty = path.join(out, "empty-export.json");
+    fs.writeFileSync(empty, JSON.stringify({ guides: [], az: [], assets: [], subjects: [] }));
+
+    const refused = await runImport(["--input", empty, "--out", out]);
+    assert.equal(refused.code, 1);
+    assert.match(refused.stderr, /Refusing to write: .* would go from 1 entries to 0/);
+    assert.equal(fs.readFileSync(guidesFile, "utf8"), current, "the catalog is left alone");
+    assert.match(fs.readFileSync(path.join(out, "libguides-import-report.md"), "utf8"), /dry run/);
+
+    const allowed = await runImport(["--input", empty, "--out", out, "--allow-empty"]);
+    assert.equal(allowed.code, 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(guidesFile, "utf8")), []);
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});
+
+/* ---------------------- fetchExport against a local API ---------------------- */
+
+// /<mode>/<endpoint>: ok answers from the fixture, the others fail the way the real API can
+let api;
+let apiBase;
+
+// A port nothing listens on
+async function closedPort() {
+  const srv = http.createServer();
+  await new Promise((resolve) => srv.listen(0, "127.0.0.1", resolve));
+  const { port } = srv.address();
+  await new Promise((resolve) => srv.close(resolve));
+  return port;
+}
+
+test.before(async () => {
+  api = http.createServer((req, res) => {
+    const [, mode, endpoint] = new URL(req.url, "http://localhost").pathname.split("/");
+    const json = (status, body) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+    if (mode === "ok") return json(200, dump()[endpoint]);
+    if (mode === "denied") return json(401, { error: "invalid key" });
+    if (mode === "wrong-site") return json(200, { error: "site_id not found" });
+    if (mode === "hang") return; // never answers
+    json(404, { error: "not found" });
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+  apiBase = `http://127.0.0.1:${api.address().port}`;
+});
+
+test.after(() => {
+  api.closeAllConnections();
+  api.close();
+});
+
+const fetchFrom = (mode, opts = {}) => fetchExport({ siteId: "123", key: "secret-key", apiUrl: `${apiBase}/${mode}`, ...opts });
+
+test("fetchExport downloads the four endpoints", async () => {
+  const data = await fetchFrom("ok");
+  const saved = dump();
+  for (const endpoint of ["guides", "az", "assets", "subjects"]) assert.deepEqual(data[endpoint], saved[endpoint]);
+  assert.ok(data.exportedAt);
+});
+
+test("fetchExport failures are reported as LibGuides errors, not AI service errors", async () => {
+  const failures = [
+    [() => fetchFrom("denied"), /^LibGuides (guides|az|assets|subjects) HTTP 401: check the site id and API key \(LIBGUIDES_SITE_ID, LIBGUIDES_API_KEY\)$/],
+    [() => fetchFrom("wrong-site"), /^LibGuides (guides|az|assets|subjects) did not return a list: \{"error":"site_id not found"\}$/],
+    [() => fetchFrom("missing"), /^LibGuides (guides|az|assets|subjects) HTTP 404: /],
+    [() => fetchFrom("hang", { timeoutMs: 200 }), /^LibGuides (guides|az|assets|subjects): no answer from http:\/\/127\.0\.0\.1:\d+\/hang within 200ms$/],
+    [async () => fetchExport({ siteId: "123", key: "secret-key", apiUrl: `http://127.0.0.1:${await closedPort()}` }), /^LibGuides (guides|az|assets|subjects): cannot reach http:\/\/127\.0\.0\.1:\d+ \(ECONNREFUSED\)$/],
+  ];
+  for (const [run, message] of failures) {
+    const err = await run().then(() => assert.fail("expected a rejection"), (e) => e);
+    assert.match(err.message, message);
+    assert.doesNotMatch(err.message, /\bAI\b|secret-key/);
+  }
+});
+
+test("the import script reports a LibGuides outage as such", async () => {
+  const { code, stderr } = await runImport(["--site-id", "123", "--key", "secret-key", "--api-url", `${apiBase}/denied`, "--dry-run"]);
+  assert.equal(code, 1);
+  assert.match(stderr, /❌ Could not read LibGuides export: LibGuides (guides|az|assets|subjects) HTTP 401: check the site id and API key/);
+  assert.doesNotMatch(stderr, /\bAI\b/);
+});
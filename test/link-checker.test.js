@@ -0,0 +1,172 @@
+/**
+ * Link checker (lib/link-checker.js) against a local HTTP server on an
+ * ephemeral port, using the real fetch.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { createLinkChecker, proxyTarget } = require("../lib/link-checker");
+
+const quiet = { log() {}, warn() {}, error() {} };
+const hits = [];
+let server;
+let base;
+
+// path -> (req, res); anything else is a 404
+const routes = {
+  "/ok": (req, res) => res.writeHead(200).end(),
+  "/no-head": (req, res) => res.writeHead(req.method === "HEAD" ? 405 : 200).end(),
+  "/hop1": (req, res) => res.writeHead(301, { Location: "/hop2" }).end(),
+  "/hop2": (req, res) => res.writeHead(302, { Location: `${base}/moved` }).end(),
+  "/moved": (req, res) => res.writeHead(200).end(),
+  // What EZproxy does for a visitor without a session
+  "/login": (req, res) => res.writeHead(302, { Location: `${base}/sso/start` }).end(),
+};
+
+function listen(srv) {
+  return new Promise((resolve) => srv.listen(0, "127.0.0.1", () => resolve(srv.address().port)));
+}
+
+// A port nothing listens on, for connection-refused failures
+async function closedPort() {
+  const srv = http.createServer();
+  const port = await listen(srv);
+  await new Promise((resolve) => srv.close(resolve));
+  return port;
+}
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    hits.push(`${req.method} ${pathname}`);
+    (routes[pathname] || ((_, r) => r.writeHead(404).end()))(req, res);
+  });
+  base = `http://127.0.0.1:${await listen(server)}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => { hits.length = 0; });
+
+test("a HEAD answered with 405 is retried with GET", async () => {
+  const result = await createLinkChecker({ log: quiet }).checkUrl(`${base}/no-head`);
+  assert.equal(result.outcome, "ok");
+  assert.equal(result.status, 200);
+  assert.deepEqual(hits, ["HEAD /no-head", "GET /no-head"]);
+});
+
+test("redirect chains are followed by hand and recorded", async () => {
+  const result = await createLinkChecker({ log: quiet }).checkUrl(`${base}/hop1`);
+  assert.equal(result.outcome, "redirected");
+  assert.equal(result.redirects, 2);
+  assert.equal(result.finalUrl, `${base}/moved`);
+  assert.deepEqual(hits, ["HEAD /hop1", "HEAD /hop2", "HEAD /moved"]);
+
+  const capped = await createLinkChecker({ log: quiet, maxRedirects: 1 }).checkUrl(`${base}/hop1`);
+  assert.equal(capped.outcome, "failed");
+  assert.equal(capped.error, "more than 1 redirects");
+});
+
+test("EZproxy links are checked at their target, not the proxy login", async () => {
+  const proxied = `${base}/login?url=${encodeURIComponent(`${base}/ok`)}`;
+  assert.equal(proxyTarget(proxied), `${base}/ok`);
+  assert.equal(proxyTarget(`${base}/login?qurl=${encodeURIComponent("https://example.com/db")}`), "https://example.com/db");
+  assert.equal(proxyTarget(`${base}/login?url=javascript:alert(1)`), null);
+  assert.equal(proxyTarget(`${base}/ok?url=${encodeURIComponent(`${base}/ok`)}`), null);
+
+  const checker = createLinkChecker({ log: quiet });
+  await checker.checkAll([{ url: proxied, name: "Proxied DB", catalog: "databases" }]);
+  assert.equal(checker.stateOf(proxied), "ok");
+  assert.deepEqual(hits, ["HEAD /ok"]);
+  assert.equal(checker.report({ states: ["ok"] }).links[0].checkedUrl, `${base}/ok`);
+});
+
+test("a URL is broken only after two failed checks in a row", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "link-checker-"));
+  const filePath = path.join(dir, "link-health.json");
+  const entries = [{ url: `${base}/gone`, name: "Gone", catalog: "guides" }];
+  try {
+    const checker = createLinkChecker({ filePath, log: quiet });
+    await checker.checkAll(entries);
+    assert.equal(checker.stateOf(`${base}/gone`), "failing");
+    assert.equal(checker.lastCheck(`${base}/gone`).error, "HTTP 404");
+
+    // The second failure may come after a restart: history is read back from disk
+    const restarted = createLinkChecker({ filePath, log: quiet });
+    assert.equal(restarted.stateOf(`${base}/gone`), "failing");
+    await restarted.checkAll(entries);
+    assert.equal(restarted.stateOf(`${base}/gone`), "broken");
+    assert.equal(restarted.counts().broken, 1);
+
+    routes["/gone"] = routes["/ok"];
+    await restarted.checkAll(entries);
+    assert.equal(restarted.stateOf(`${base}/gone`), "ok", "one good check clears it");
+  } finally {
+    delete routes["/gone"];
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a run that mostly fails at the network level is discarded", async () => {
+  const warnings = [];
+  const checker = createLinkChecker({ log: { ...quiet, warn: (msg) => warnings.push(msg) } });
+  const live = { url: `${base}/ok`, name: "Live", catalog: "databases" };
+  await checker.checkAll([live]);
+  assert.equal(checker.stateOf(live.url), "ok");
+
+  const dead = `http://127.0.0.1:${await closedPort()}`;
+  const unreachable = Array.from({ length: 10 }, (_, i) => ({ url: `${dead}/db${i}`, name: `DB ${i}`, catalog: "databases" }));
+  const run = await checker.checkAll([live, ...unreachable]);
+
+  assert.equal(run.discarded, true);
+  assert.equal(run.checked, 11);
+  assert.equal(run.networkErrors, 10);
+  assert.match(warnings.join("\n"), /Link check discarded: 10\/11/);
+  assert.equal(checker.stateOf(live.url), "ok");
+  assert.equal(checker.report({ states: ["ok"] }).links[0].history.length, 1, "the discarded run left no history");
+  assert.equal(checker.stateOf(`${dead}/db0`), "unchecked");
+});
+
+test("a call with other URLs or scope during a run gets a follow-up run instead of the current result", async () => {
+  routes["/slow"] = (req, res) => setTimeout(() => res.writeHead(200).end(), 150);
+  const slow = { url: `${base}/slow`, name: "Slow", catalog: "databases" };
+  const added = { url: `${base}/ok`, name: "Added in the editor", catalog: "databases" };
+  try {
+    const checker = createLinkChecker({ log: quiet });
+
+    // A catalog edit during the scheduled run: the new URL is checked right after it
+    const scheduled = checker.checkAll([slow]);
+    assert.equal(checker.checkAll([slow]), scheduled, "the same call shares the run");
+    const edited = checker.checkAll([slow, added], { onlyUnchecked: true, reason: "catalog change" });
+    assert.notEqual(edited, scheduled);
+    assert.equal(checker.isQueued(), true);
+    assert.equal((await scheduled).checked, 1);
+    assert.equal(checker.stateOf(added.url), "unchecked");
+    const followUp = await edited;
+    assert.equal(followUp.reason, "catalog change");
+    assert.equal(followUp.checked, 1, "only the URL without history");
+    assert.equal(checker.stateOf(added.url), "ok");
+    assert.deepEqual(hits, ["HEAD /slow", "HEAD /ok"]);
+
+    // A manual full check during an "only unchecked" run is a full run of its own
+    hits.length = 0;
+    const fresh = createLinkChecker({ log: quiet });
+    const partial = fresh.checkAll([slow], { onlyUnchecked: true, reason: "catalog change" });
+    const manual = fresh.checkAll([slow, added], { reason: "admin" });
+    const later = fresh.checkAll([slow, added], { onlyUnchecked: true, reason: "catalog change" });
+    assert.equal(later, manual, "one follow-up run for every waiting caller");
+    assert.deepEqual([(await partial).checked, (await manual).checked], [1, 2]);
+    assert.equal((await manual).reason, "admin", "the full check wins");
+    assert.equal(fresh.isQueued(), false);
+    assert.deepEqual(hits.sort(), ["HEAD /ok", "HEAD /slow", "HEAD /slow"]);
+  } finally {
+    delete routes["/slow"];
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * Relevance evaluation (lib/relevance-eval.js) and the regression gate: the
+ * golden set run through scripts/eval-relevance.js with the mock model must
+ * reach fixtures/eval/thresholds.json.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { checkThresholds, validateThresholds } = require("../lib/relevance-eval");
+
+const ROOT = path.resolve(__dirname, "..");
+const THRESHOLDS = path.join(ROOT, "fixtures/eval/thresholds.json");
+
+test("runs below a threshold are reported, unknown thresholds rejected", () => {
+  const run = { summary: { ndcg: 0.69, precision: 0.4, recall: 0.7 }, legalAdvice: { accuracy: 0.9444 } };
+  assert.deepEqual(checkThresholds(run, { ndcg: 0.7, recall: 0.7, legalAdviceAccuracy: 1 }), [
+    "ndcg 0.69 is below 0.7",
+    "legalAdviceAccuracy 0.9444 is below 1",
+  ]);
+  assert.deepEqual(checkThresholds(run, { ndcg: 0.6, precision: 0.4 }), []);
+
+  assert.deepEqual(validateThresholds(JSON.parse(fs.readFileSync(THRESHOLDS, "utf8"))), []);
+  assert.deepEqual(validateThresholds({ ndgc: 0.7, recall: 70 }), [
+    'unknown threshold "ndgc" (use ndcg, precision, recall, legalAdviceAccuracy)',
+    "recall must be a number from 0 to 1",
+  ]);
+});
+
+test("the golden set with the mock model meets the checked-in thresholds", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ais-eval-"));
+  try {
+    // The default mock replies, and state files kept out of the repo
+    const env = {
+      ...process.env,
+      ANALYTICS_SECRET: "test",
+      API_KEYS_FILE: path.join(tmp, "api-keys.json"),
+      FEEDBACK_FILE: path.join(tmp, "feedback-events.jsonl"),
+      EMBEDDINGS_FILE: path.join(tmp, "embeddings.json"),
+      LINK_HEALTH_FILE: path.join(tmp, "link-health.json"),
+      CATALOG_AUDIT_FILE: path.join(tmp, "catalog-audit.log"),
+    };
+    delete env.LLM_FIXTURES;
+    const { status, stdout, stderr } = spawnSync(process.execPath, ["scripts/eval-relevance.js", "--thresholds", THRESHOLDS, "--json"], {
+      cwd: ROOT,
+      encoding: "utf8",
+      timeout: 120000,
+      env,
+    });
+    assert.equal(status, 0, stderr);
+    const run = JSON.parse(stdout);
+    assert.equal(run.provider, "mock");
+    assert.ok(run.summary.queries > 0 && run.legalAdvice.cases > 0);
+    assert.deepEqual(run.queries.filter(q => q.error).map(q => q.id), [], "every golden query ran");
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
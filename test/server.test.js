@@ -0,0 +1,226 @@
+/**
+ * The search server (server.js) booted in-process with LLM_PROVIDER=mock and
+ * the replies in fixtures/llm/mock-responses.json: no network, no model keys.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { CATALOG_FILES } = require("../lib/catalog-schema");
+
+const ROOT = path.resolve(__dirname, "..");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "ais-server-"));
+const SEARCH_KEY = "test-search-key";
+const ADMIN_KEY = "test-admin-key";
+
+// Catalog edits go to a copy of the catalogs
+const CATALOG_DIR = path.join(TMP, "catalogs");
+fs.mkdirSync(CATALOG_DIR);
+for (const file of Object.values(CATALOG_FILES).flat()) {
+  if (fs.existsSync(path.join(ROOT, file))) fs.copyFileSync(path.join(ROOT, file), path.join(CATALOG_DIR, file));
+}
+
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  LLM_RETRIES: "0",               // fixture errors reach the pipeline on the first attempt
+  LLM_BREAKER_THRESHOLD: "1000",
+  LOCAL_API_KEY: SEARCH_KEY,
+  ADMIN_API_KEY: ADMIN_KEY,
+  API_KEYS_FILE: path.join(TMP, "api-keys.json"),
+  ANALYTICS_SECRET: "test",
+  RATE_LIMIT_PER_CLIENT: "0",
+  FEEDBACK_FILE: path.join(TMP, "feedback-events.jsonl"),
+  EMBEDDINGS_FILE: path.join(TMP, "embeddings.json"),
+  LINK_CHECK_INTERVAL_HOURS: "0",
+  LINK_HEALTH_FILE: path.join(TMP, "link-health.json"),
+  CATALOG_WATCH: "0",
+  CATALOG_DIR,
+  CATALOG_AUDIT_FILE: path.join(TMP, "catalog-audit.log"),
+});
+
+// The server narrates every search; keep the test output readable
+console.log = console.info = console.warn = () => {};
+const app = require("../server");
+
+let server;
+let base;
+
+function search(route, query, params = {}) {
+  const qs = new URLSearchParams({ query, ...params });
+  return fetch(`${base}${route}?${qs}`, { headers: { "X-API-Key": SEARCH_KEY } });
+}
+
+test.before(async () => {
+  await app.whenReady();
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test("v1 /search answers a plain query with the bare result array", async () => {
+  const res = await search("/search", "utah water law");
+  assert.equal(res.status, 200);
+  const results = await res.json();
+
+  assert.ok(Array.isArray(results));
+  assert.ok(results.length > 0 && results.length <= 8, "default page size");
+  assert.ok(Number(res.headers.get("x-total-count")) >= results.length);
+  for (const r of results) {
+    assert.equal(typeof r.name, "string");
+    assert.equal(typeof r.relevanceScore, "number");
+    assert.equal(typeof r.matchReason, "string");
+  }
+  assert.ok(results.some(r => r.name === "Westlaw" && r.url), "fixture picks come back with catalog URLs");
+  assert.deepEqual(results.map(r => r.relevanceScore), results.map(r => r.relevanceScore).sort((a, b) => b - a));
+});
+
+test("v2 /search wraps the same answer in the envelope", async () => {
+  const res = await search("/v2/search", "utah water law");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.apiVersion, 2);
+  assert.equal(body.mode, "ai");
+  assert.equal(body.requestId, res.headers.get("x-request-id"));
+  assert.equal(body.query, "utah water law");
+  assert.ok(body.results.some(r => r.name === "Westlaw"));
+  assert.deepEqual(body.warnings, []);
+  assert.equal(typeof body.timing.totalMs, "number");
+});
+
+test("a reply in a ```json fence is still used", async () => {
+  const res = await search("/v2/search", "constitutional law", { debug: "1" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.mode, "ai");
+  assert.ok(["strict", "repair", "salvage"].includes(body.diagnostics.parsePath));
+  assert.ok(body.diagnostics.aiResults >= 2, "both fenced recommendations survive");
+  assert.ok(body.results.some(r => r.name === "Oxford Constitutional Law (OXCON)"));
+  assert.ok(body.results.some(r => r.name === "HeinOnline"));
+});
+
+test("a 503 from the model answers from the catalogs in fallback mode", async () => {
+  const res = await search("/search", "simulate overload", { debug: "1" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.fallback, true);
+  assert.equal(typeof body.message, "string");
+  assert.ok(body.results.length > 0);
+  assert.equal(body.diagnostics.mode, "fallback");
+  assert.equal(body.diagnostics.aiErrorStatus, 503);
+  assert.equal(body.diagnostics.aiErrorKind, "unavailable");
+
+  const v2 = await (await search("/v2/search", "simulate overload")).json();
+  assert.equal(v2.mode, "fallback");
+  assert.deepEqual(v2.warnings.map(w => w.code), ["ai_unavailable"]);
+});
+
+test("a 429 from the model is reported as rate limited, not as a failed search", async () => {
+  const res = await search("/search", "simulate quota", { debug: "1" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.fallback, true);
+  assert.equal(body.diagnostics.aiErrorStatus, 429);
+  assert.equal(body.diagnostics.aiErrorKind, "rate_limited");
+  assert.ok(body.results.length > 0);
+});
+
+test("search errors keep their status codes", async () => {
+  const missing = await fetch(`${base}/search`, { headers: { "X-API-Key": SEARCH_KEY } });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(await missing.json(), { error: "Missing ?query" });
+
+  const unauthorized = await fetch(`${base}/v2/search?query=water`, { headers: { "X-API-Key": "wrong" } });
+  assert.equal(unauthorized.status, 401);
+  assert.equal((await unauthorized.json()).error.code, "unauthorized");
+});
+
+function postRaw(route, body) {
+  return fetch(`${base}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": SEARCH_KEY, "X-Request-Id": "bad-body-1" },
+    body,
+  });
+}
+
+test("a malformed JSON body on /v2 routes gets the error envelope, not an HTML stack trace", async () => {
+  for (const route of ["/v2/search", "/v2/search/stream", "/v2/feedback"]) {
+    const res = await postRaw(route, "{bad");
+    assert.equal(res.status, 400, route);
+    assert.match(res.headers.get("content-type"), /^application\/json/, route);
+    assert.equal(res.headers.get("x-request-id"), "bad-body-1");
+    const text = await res.text();
+    assert.doesNotMatch(text, /\bat .*\.js:\d+/, "no stack trace");
+    assert.deepEqual(JSON.parse(text), {
+      apiVersion: 2,
+      requestId: "bad-body-1",
+      error: { code: "bad_request", message: "Invalid JSON body" },
+    });
+  }
+});
+
+test("a malformed JSON body on POST /search gets a JSON error", async () => {
+  const res = await postRaw("/search", "{bad");
+  assert.equal(res.status, 400);
+  assert.match(res.headers.get("content-type"), /^application\/json/);
+  assert.deepEqual(await res.json(), { error: "Invalid JSON body" });
+});
+
+test("a catalog entry that shares only \"law\" with the query is not a result", async () => {
+  for (const query of ["water law", "constitutional law"]) {
+    const body = await (await search("/v2/search", query, { limit: "50" })).json();
+    const names = body.results.map(r => r.name);
+    assert.ok(names.includes(query === "water law" ? "Water Law" : "Constitutional Law"), query);
+    assert.ok(!names.includes("Accounting Law"), `"Accounting Law" for "${query}"`);
+    assert.ok(!names.includes("Bankruptcy Law"), `"Bankruptcy Law" for "${query}"`);
+  }
+});
+
+function admin(method, route, body) {
+  return fetch(`${base}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json", "X-API-Key": ADMIN_KEY, "X-Admin-User": "test" },
+    body: body && JSON.stringify(body),
+  });
+}
+
+test("a database created, renamed or deleted in the catalog editor is what the model may recommend", async () => {
+  const readWhitelist = () => JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, CATALOG_FILES.whitelistB[0]), "utf8")).map(e => e.name);
+  const resultNames = async (query) => (await (await search("/v2/search", query)).json()).results.map(r => r.name);
+
+  const created = await admin("POST", "/admin/catalog/databases", {
+    name: "Zephyr Tidewater Archive",
+    url: "https://tidewater.example.org/",
+    description: "Tidewater rights adjudications and tidal boundary surveys.",
+  });
+  assert.equal(created.status, 201);
+  assert.ok(readWhitelist().includes("Zephyr Tidewater Archive"));
+  const found = (await (await search("/v2/search", "zephyr tidewater")).json()).results.find(r => r.name === "Zephyr Tidewater Archive");
+  assert.ok(found, "the mock model's pick survives the whitelist filter");
+  assert.equal(found.url, "https://tidewater.example.org/");
+
+  const renamed = await admin("PATCH", "/admin/catalog/databases/zephyr-tidewater-archive", { name: "Zephyr Tidal Archive" });
+  assert.equal(renamed.status, 200);
+  assert.ok(readWhitelist().includes("Zephyr Tidal Archive"));
+  assert.ok(!readWhitelist().includes("Zephyr Tidewater Archive"));
+  assert.ok((await resultNames("zephyr tidal")).includes("Zephyr Tidal Archive"));
+
+  const removed = await admin("DELETE", "/admin/catalog/databases/zephyr-tidal-archive");
+  assert.equal(removed.status, 200);
+  assert.ok(!readWhitelist().some(name => name.startsWith("Zephyr")));
+  assert.ok(!(await resultNames("zephyr tidal")).some(name => name.startsWith("Zephyr")));
+
+  const trail = (await (await admin("GET", "/admin/audit?catalog=databases")).json()).entries;
+  assert.deepEqual(trail.slice(0, 3).map(r => [r.action, r.whitelist]), [["delete", "removed"], ["update", "renamed"], ["create", "added"]]);
+});